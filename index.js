@@ -1,6 +1,12 @@
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const os = require('os');
+const { AsyncLocalStorage } = require('async_hooks');
+const { EventEmitter } = require('events');
+const { promisify } = require('util');
+
+const scryptAsync = promisify(crypto.scrypt);
 
 /**
  * Tipos de datos soportados
@@ -12,13 +18,347 @@ const DataType = {
   DATE: 'Date',
   OBJECT: 'Object',
   ARRAY: 'Array',
-  PATH: 'Path'
+  PATH: 'Path',
+  BIGINT: 'BigInt',
+  BUFFER: 'Buffer',
+  MAP: 'Map',
+  SET: 'Set'
 };
 
 /**
- * DataOrbit - Sistema de base de datos NoSQL basado en JSON
+ * Cabecera de los archivos de la base de datos
+ */
+const FILE_MAGIC = 'DATAORBIT';
+const FILE_FORMAT = 2;
+
+/**
+ * Parámetros de cifrado de los archivos en formato 2
+ */
+const CIPHER = 'aes-256-gcm';
+const KDF = { name: 'scrypt', N: 16384, r: 8, p: 1 };
+const ENVELOPE_VERSION = 'v2';
+
+/**
+ * Prefijo de los valores de campos cifrados
+ */
+const FIELD_ENVELOPE = 'enc1';
+
+/**
+ * Hooks que se pueden registrar en cada tabla
+ */
+const TABLE_HOOKS = ['beforeInsert', 'afterInsert', 'beforeUpdate', 'afterUpdate', 'beforeDelete', 'afterDelete'];
+
+/**
+ * Clave con la que el serializador marca los valores que JSON no representa ({ $type, value })
+ */
+const TYPE_TAG = '$type';
+
+/**
+ * Clave reservada del snapshot en la que se guardan los metadatos de la base de datos
+ * (p. ej. la versión del esquema). No se expone como tabla.
+ */
+const META_KEY = '$meta';
+
+/**
+ * Espera entre intentos de adquirir el bloqueo del archivo (ms)
+ */
+const LOCK_RETRY_INTERVAL = 25;
+
+/**
+ * Marca interna para que el constructor no cargue el archivo de forma síncrona (ver DataOrbit.open)
+ */
+const DEFER_LOAD = Symbol('deferLoad');
+
+/**
+ * Error de DataOrbit con un código identificable
+ */
+class DataOrbitError extends Error {
+  /**
+   * @param {string} message - Mensaje de error
+   * @param {string} code - Código del error (p. ej. 'E_CORRUPT')
+   */
+  constructor(message, code) {
+    super(message);
+    this.name = 'DataOrbitError';
+    this.code = code;
+  }
+}
+
+/**
+ * Nivel máximo de la skip list de los índices ordenados
+ */
+const SKIP_LIST_MAX_LEVEL = 24;
+
+/**
+ * Índice de igualdad: cada valor apunta al conjunto de claves primarias que lo contienen
+ */
+class HashIndex {
+  constructor() {
+    this.type = 'hash';
+    this.map = new Map();
+  }
+  
+  /**
+   * Añade una clave primaria bajo un valor
+   * @param {any} key - Valor indexado
+   * @param {any} id - Clave primaria
+   */
+  add(key, id) {
+    if (!this.map.has(key)) {
+      this.map.set(key, new Set());
+    }
+    this.map.get(key).add(id);
+  }
+  
+  /**
+   * Quita una clave primaria de un valor, eliminando el valor si queda vacío
+   * @param {any} key - Valor indexado
+   * @param {any} id - Clave primaria
+   */
+  remove(key, id) {
+    const ids = this.map.get(key);
+    if (!ids) return;
+    
+    ids.delete(id);
+    if (ids.size === 0) {
+      this.map.delete(key);
+    }
+  }
+  
+  /**
+   * Claves primarias asociadas a un valor
+   * @param {any} key - Valor indexado
+   * @returns {Set|undefined}
+   */
+  get(key) {
+    return this.map.get(key);
+  }
+  
+  /**
+   * Número de valores distintos
+   */
+  get size() {
+    return this.map.size;
+  }
+}
+
+/**
+ * Índice ordenado implementado como skip list. Mantiene los valores ordenados para
+ * resolver rangos, prefijos y ordenaciones sin recorrer la tabla.
+ */
+class SortedIndex {
+  /**
+   * @param {Function} compare - Función de comparación de valores
+   * @param {Function} normalize - Conversión de los valores antes de indexarlos (p. ej. textos a fechas)
+   */
+  constructor(compare, normalize = key => key) {
+    this.type = 'sorted';
+    this.compare = compare;
+    this.normalize = normalize;
+    this.head = { key: undefined, ids: null, next: new Array(SKIP_LIST_MAX_LEVEL).fill(null) };
+    this.level = 1;
+    this.size = 0;
+  }
+  
+  /**
+   * Nodos anteriores a un valor en cada nivel
+   * @private
+   */
+  _predecessors(key) {
+    const update = new Array(SKIP_LIST_MAX_LEVEL).fill(this.head);
+    let node = this.head;
+    
+    for (let i = this.level - 1; i >= 0; i--) {
+      while (node.next[i] && this.compare(node.next[i].key, key) < 0) {
+        node = node.next[i];
+      }
+      update[i] = node;
+    }
+    
+    return update;
+  }
+  
+  /**
+   * Añade una clave primaria bajo un valor
+   * @param {any} key - Valor indexado
+   * @param {any} id - Clave primaria
+   */
+  add(key, id) {
+    key = this.normalize(key);
+    const update = this._predecessors(key);
+    const existing = update[0].next[0];
+    
+    if (existing && this.compare(existing.key, key) === 0) {
+      existing.ids.add(id);
+      return;
+    }
+    
+    let level = 1;
+    while (level < SKIP_LIST_MAX_LEVEL && Math.random() < 0.5) {
+      level++;
+    }
+    this.level = Math.max(this.level, level);
+    
+    const node = { key, ids: new Set([id]), next: new Array(level).fill(null) };
+    for (let i = 0; i < level; i++) {
+      node.next[i] = update[i].next[i];
+      update[i].next[i] = node;
+    }
+    
+    this.size++;
+  }
+  
+  /**
+   * Quita una clave primaria de un valor, eliminando el nodo si queda vacío
+   * @param {any} key - Valor indexado
+   * @param {any} id - Clave primaria
+   */
+  remove(key, id) {
+    key = this.normalize(key);
+    const update = this._predecessors(key);
+    const node = update[0].next[0];
+    
+    if (!node || this.compare(node.key, key) !== 0) return;
+    
+    node.ids.delete(id);
+    if (node.ids.size > 0) return;
+    
+    for (let i = 0; i < node.next.length; i++) {
+      update[i].next[i] = node.next[i];
+    }
+    while (this.level > 1 && !this.head.next[this.level - 1]) {
+      this.level--;
+    }
+    
+    this.size--;
+  }
+  
+  /**
+   * Claves primarias asociadas a un valor
+   * @param {any} key - Valor indexado
+   * @returns {Set|undefined}
+   */
+  get(key) {
+    key = this.normalize(key);
+    const node = this._predecessors(key)[0].next[0];
+    return node && this.compare(node.key, key) === 0 ? node.ids : undefined;
+  }
+  
+  /**
+   * Recorre en orden los valores dentro de un rango
+   * @param {Object} bounds - Límites { gt, gte, lt, lte } (todos opcionales)
+   * @returns {Iterator<Array>} - Pares [valor, claves primarias]
+   */
+  *entries(bounds = {}) {
+    const gt = bounds.gt === undefined ? undefined : this.normalize(bounds.gt);
+    const gte = bounds.gte === undefined ? undefined : this.normalize(bounds.gte);
+    const lt = bounds.lt === undefined ? undefined : this.normalize(bounds.lt);
+    const lte = bounds.lte === undefined ? undefined : this.normalize(bounds.lte);
+    
+    const lower = gte !== undefined ? gte : gt;
+    let node = lower !== undefined ? this._predecessors(lower)[0].next[0] : this.head.next[0];
+    
+    for (; node; node = node.next[0]) {
+      if (gt !== undefined && this.compare(node.key, gt) <= 0) continue;
+      if (gte !== undefined && this.compare(node.key, gte) < 0) continue;
+      if (lt !== undefined && this.compare(node.key, lt) >= 0) break;
+      if (lte !== undefined && this.compare(node.key, lte) > 0) break;
+      
+      yield [node.key, node.ids];
+    }
+  }
+}
+
+/**
+ * Flujo de lotes de cambios devuelto por watch(). Es un iterador asíncrono que entrega los
+ * lotes en orden de secuencia, opcionalmente filtrados por tabla.
+ */
+class ChangeStream {
+  /**
+   * @param {DataOrbit} db - Base de datos observada
+   * @param {string|null} table - Tabla a observar (null para todas)
+   * @param {number} lastSeq - Último número de secuencia ya entregado
+   */
+  constructor(db, table, lastSeq) {
+    this.db = db;
+    this.table = table;
+    this.lastSeq = lastSeq;
+    this.closed = false;
+    this._queue = [];
+    this._waiting = [];
+    this._onChange = record => this.push(record);
+    
+    db.on('change', this._onChange);
+  }
+  
+  /**
+   * Encola un lote si es posterior al último entregado y afecta a la tabla observada
+   * @param {Object} record - Lote de cambios { seq, timestamp, changes }
+   */
+  push(record) {
+    if (this.closed || record.seq <= this.lastSeq) return;
+    this.lastSeq = record.seq;
+    
+    // Una restauración afecta a todas las tablas
+    const changes = this.table === null
+      ? record.changes
+      : record.changes.filter(change => change.table === this.table || change.type === 'restore');
+    if (changes.length === 0) return;
+    
+    const value = { ...record, changes };
+    if (this._waiting.length > 0) {
+      this._waiting.shift()({ value, done: false });
+    } else {
+      this._queue.push(value);
+    }
+  }
+  
+  /**
+   * Siguiente lote. Tras close() se entregan los lotes ya encolados y después termina.
+   * @returns {Promise<Object>} - { value, done }
+   */
+  next() {
+    if (this._queue.length > 0) {
+      return Promise.resolve({ value: this._queue.shift(), done: false });
+    }
+    if (this.closed) {
+      return Promise.resolve({ value: undefined, done: true });
+    }
+    return new Promise(resolve => this._waiting.push(resolve));
+  }
+  
+  /**
+   * Termina el flujo descartando los lotes pendientes (al salir de un `for await`)
+   * @returns {Promise<Object>}
+   */
+  return() {
+    this._queue = [];
+    this.close();
+    return Promise.resolve({ value: undefined, done: true });
+  }
+  
+  /**
+   * Deja de recibir lotes
+   */
+  close() {
+    if (this.closed) return;
+    this.closed = true;
+    this.db.off('change', this._onChange);
+    this.db._changeStreams.delete(this);
+    this._waiting.splice(0).forEach(resolve => resolve({ value: undefined, done: true }));
+  }
+  
+  [Symbol.asyncIterator]() {
+    return this;
+  }
+}
+
+/**
+ * DataOrbit - Sistema de base de datos NoSQL basado en JSON. Emite los eventos `insert`,
+ * `update`, `delete` y `dropTable` cuando se persiste un cambio, `change` con cada lote de
+ * cambios numerado (ver watch()), y `backup` y `restore`.
  */
-class DataOrbit {
+class DataOrbit extends EventEmitter {
   /**
    * Constructor de la clase DataOrbit
    * @param {Object} config - Configuración de la base de datos
@@ -26,13 +366,50 @@ class DataOrbit {
    * @param {string} config.encryptionKey - Clave de cifrado
    * @param {Object} config.tables - Definición de tablas
    * @param {Array} config.backups - Configuración de copias de seguridad
+   * @param {Object|boolean} config.journal - Configuración del journal (false para desactivarlo)
+   * @param {Object|boolean} config.changes - Registro de cambios para watch() (false para no guardarlo)
+   * @param {Object|boolean} config.lock - Bloqueo del archivo entre procesos (true para activarlo)
+   * @param {boolean} config.recover - Recuperar desde el último backup válido si el archivo está corrupto
+   * @param {Array} config.migrations - Migraciones del esquema { version, up(db), down(db) }
+   * @param {boolean} config.autoMigrate - Aplicar las migraciones pendientes al abrir (por defecto true)
    */
   constructor(config) {
+    super();
     this.config = this._validateConfig(config);
     this.data = {};
+    this.metadata = {};
     this.primaryKeyMap = {};
     this.uniqueKeyMap = {};
     this.indexes = {};
+    this.documentMap = {};
+    this._journalSize = 0;
+    this._journalSeq = 0;
+    this._pendingEntries = [];
+    this._pendingEvents = [];
+    this._pendingBatches = [];
+    this._changeSeq = 0;
+    this._changeLogSize = 0;
+    this._changeQueue = [];
+    this._publishingAsync = false;
+    this._changeStreams = new Set();
+    this._hooks = {};
+    this._scheduledFlush = null;
+    this._ioQueue = Promise.resolve();
+    this._backupTimers = [];
+    this._holdWrites = false;
+    this._undoLog = [];
+    this._touchedTables = new Set();
+    this._migrating = false;
+    this._lockHeld = false;
+    this._lockDepth = 0;
+    this._lockReady = null;
+    this._lockContext = new AsyncLocalStorage();
+    this._fileStamp = null;
+    this._transaction = null;
+    this._transactionContext = new AsyncLocalStorage();
+    
+    // DataOrbit.open() completa la inicialización de forma asíncrona
+    if (config[DEFER_LOAD]) return;
     
     // Crear directorio si no existe
     const dir = path.dirname(this.config.file);
@@ -40,16 +417,53 @@ class DataOrbit {
       fs.mkdirSync(dir, { recursive: true });
     }
     
-    // Cargar la base de datos
+    // Cargar la base de datos y aplicar las migraciones pendientes
     this.loadDatabase();
+    if (this.config.autoMigrate && this.config.migrations.length > 0) {
+      this.migrateTo();
+    }
+    this._onLoaded();
+  }
+  
+  /**
+   * Abre la base de datos sin bloquear el event loop
+   * @param {Object} config - Configuración de la base de datos (igual que en el constructor)
+   * @returns {Promise<DataOrbit>} - Instancia cargada
+   */
+  static async open(config) {
+    const db = new DataOrbit({ ...config, [DEFER_LOAD]: true });
+    
+    await fs.promises.mkdir(path.dirname(db.config.file), { recursive: true });
+    await db.loadDatabaseAsync();
+    if (db.config.autoMigrate && db.config.migrations.length > 0) {
+      await db.migrateToAsync();
+    }
+    db._onLoaded();
     
+    return db;
+  }
+  
+  /**
+   * Pasos comunes tras la carga inicial
+   * @private
+   */
+  _onLoaded() {
     // Iniciar el servicio de backup si está configurado
     if (this.config.backups && this.config.backups.length > 0) {
       this.startBackupService();
     }
+  }
+  
+  /**
+   * Espera a que terminen las escrituras pendientes y detiene el servicio de backup
+   * @returns {Promise<void>}
+   */
+  async close() {
+    this._backupTimers.forEach(timer => clearInterval(timer));
+    this._backupTimers = [];
     
-    // Inicializar índices
-    this._initializeIndexes();
+    await this.flush();
+    this._changeStreams.forEach(stream => stream.close());
   }
   
   /**
@@ -61,63 +475,202 @@ class DataOrbit {
     if (!config.file) throw new Error('Debe especificar el archivo de la base de datos');
     if (!config.encryptionKey) throw new Error('Debe especificar una clave de cifrado');
     
+    // Qué hacer cuando otro proceso modifica el archivo
+    if (config.lock?.onExternalChange && !['reload', 'error'].includes(config.lock.onExternalChange)) {
+      throw new Error("lock.onExternalChange debe ser 'reload' o 'error'");
+    }
+    
+    // Las migraciones se ordenan por versión
+    const migrations = [...(config.migrations || [])].sort((a, b) => a.version - b.version);
+    migrations.forEach((migration, i) => {
+      if (!Number.isInteger(migration.version) || migration.version < 1) {
+        throw new Error('La versión de una migración debe ser un entero positivo');
+      }
+      if (typeof migration.up !== 'function') {
+        throw new Error(`La migración ${migration.version} debe definir una función up`);
+      }
+      if (i > 0 && migrations[i - 1].version === migration.version) {
+        throw new Error(`Versión de migración duplicada: ${migration.version}`);
+      }
+    });
+    
     // Establecer valores por defecto
     return {
       file: config.file,
       encryptionKey: config.encryptionKey,
       tables: config.tables || {},
       backups: config.backups || [{ interval: 1 }], // Por defecto, backup diario
-      connectionTimeout: config.connectionTimeout || 5000
+      connectionTimeout: config.connectionTimeout || 5000,
+      recover: config.recover === true,
+      migrations,
+      autoMigrate: config.autoMigrate !== false,
+      journal: {
+        enabled: config.journal !== false && config.journal?.enabled !== false,
+        compactThreshold: config.journal?.compactThreshold || 1000 // Operaciones antes de compactar
+      },
+      changes: {
+        enabled: config.changes !== false && config.changes?.enabled !== false,
+        retain: config.changes?.retain || 1000 // Lotes que se conservan para reanudar watch()
+      },
+      lock: {
+        enabled: config.lock === true || (typeof config.lock === 'object' && config.lock !== null && config.lock.enabled !== false),
+        timeout: config.lock?.timeout || config.connectionTimeout || 5000, // Espera máxima por el bloqueo
+        stale: config.lock?.stale || 30000, // Antigüedad a partir de la cual se ignora un bloqueo de otro equipo
+        onExternalChange: config.lock?.onExternalChange || 'reload'
+      }
     };
   }
   
   /**
-   * Inicializa los índices de las tablas
+   * Reconstruye los índices de todas las tablas a partir de los datos en memoria.
+   * Se conservan los índices creados con createIndex().
    * @private
    */
   _initializeIndexes() {
+    const previousIndexes = this.indexes;
+    this.indexes = {};
+    this.documentMap = {};
+    
     for (const tableName in this.data) {
-      if (!this.indexes[tableName]) {
-        this.indexes[tableName] = {};
-      }
-      
-      const tableConfig = this.config.tables[tableName];
-      if (!tableConfig) continue;
-      
-      // Crear índice para primaryKey
-      const primaryKey = tableConfig.primaryKey || 'id';
-      this._createIndex(tableName, primaryKey);
-      
-      // Crear índices para campos únicos
-      const uniqueFields = tableConfig.unique || [];
-      for (const field of uniqueFields) {
-        this._createIndex(tableName, field);
-      }
+      this._initializeTableIndexes(tableName, previousIndexes[tableName]);
       
       // Calcular el próximo valor de la clave primaria
-      this._calculateNextPrimaryKey(tableName, primaryKey);
+      this._calculateNextPrimaryKey(tableName, this.config.tables[tableName]?.primaryKey || 'id');
     }
   }
   
   /**
-   * Crea un índice para un campo específico
+   * Construye el mapa de claves primarias y los índices de una tabla: los de la clave
+   * primaria, los de las restricciones de unicidad y los que tenía antes
+   * @param {string} tableName - Nombre de la tabla
+   * @param {Object} previous - Índices anteriores de la tabla (opcional)
+   * @private
+   */
+  _initializeTableIndexes(tableName, previous = {}) {
+    const tableConfig = this.config.tables[tableName] || {};
+    const primaryKey = tableConfig.primaryKey || 'id';
+    
+    // Mapa clave primaria -> documento
+    this.documentMap[tableName] = new Map();
+    for (const row of this.data[tableName] || []) {
+      this.documentMap[tableName].set(row[primaryKey], row);
+    }
+    
+    this.indexes[tableName] = {};
+    const definitions = new Map();
+    for (const fields of [primaryKey, ...(tableConfig.unique || [])]) {
+      definitions.set(this._indexName(fields), fields);
+    }
+    for (const name in previous) {
+      if (!definitions.has(name)) {
+        definitions.set(name, previous[name].fields);
+      }
+    }
+    for (const [name, fields] of definitions) {
+      this._createIndex(tableName, fields, { type: previous[name]?.type });
+    }
+  }
+  
+  /**
+   * Crea un índice para un campo (o una lista de campos en un índice compuesto):
+   * cada valor apunta al conjunto de claves primarias de los documentos que lo contienen
+   * @param {string} tableName - Nombre de la tabla
+   * @param {string|Array<string>} field - Campo o campos a indexar
+   * @param {Object} options - { type: 'hash' | 'sorted' }. Los índices compuestos son siempre ordenados.
    * @private
    */
-  _createIndex(tableName, field) {
+  _createIndex(tableName, field, options = {}) {
     if (!this.indexes[tableName]) {
       this.indexes[tableName] = {};
     }
     
-    this.indexes[tableName][field] = {};
+    const primaryKey = this.config.tables[tableName]?.primaryKey || 'id';
+    const fields = Array.isArray(field) ? field : [field];
+    const compound = fields.length > 1;
+    let index;
+    
+    if (compound || options.type === 'sorted') {
+      // Los campos de tipo Date se ordenan cronológicamente aunque se guarden como texto
+      const schema = this.config.tables[tableName]?.schema || {};
+      const isDate = fields.map(name => schema[name]?.type === DataType.DATE);
+      const toKey = (value, i) => isDate[i] ? this._toDate(value) : value;
+      
+      index = compound
+        ? new SortedIndex((a, b) => this._compareTuples(a, b), tuple => tuple.map(toKey))
+        : new SortedIndex((a, b) => this._compareValues(a, b), isDate[0] ? value => toKey(value, 0) : undefined);
+    } else if (!options.type || options.type === 'hash') {
+      index = new HashIndex();
+    } else {
+      throw new DataOrbitError(`Tipo de índice desconocido: '${options.type}'`, 'E_QUERY');
+    }
+    
+    index.fields = fields;
     
     // Poblar el índice con datos existentes
-    if (this.data[tableName]) {
-      this.data[tableName].forEach((row, index) => {
-        if (row[field] !== undefined) {
-          this.indexes[tableName][field][row[field]] = index;
+    for (const row of this.data[tableName] || []) {
+      for (const key of this._indexKeys(row, index)) {
+        index.add(key, row[primaryKey]);
+      }
+    }
+    
+    this.indexes[tableName][this._indexName(fields)] = index;
+  }
+  
+  /**
+   * Nombre de un índice o de una restricción de unicidad ('campo' o 'campoA,campoB')
+   * @private
+   */
+  _indexName(field) {
+    return Array.isArray(field) ? field.join(',') : field;
+  }
+  
+  /**
+   * Valores por los que se indexa un documento. Los arrays se indexan por cada uno de
+   * sus elementos, igual que se comparan en las consultas; los objetos no se indexan.
+   * Los índices ordenados guardan los documentos sin valor bajo null para poder
+   * recorrer la tabla completa en orden, y los compuestos usan tuplas de valores.
+   * @private
+   */
+  _indexKeys(doc, index) {
+    const fieldKeys = index.fields.map(field => {
+      const keys = new Set();
+      
+      for (const value of this._resolvePath(doc, field)) {
+        for (const element of Array.isArray(value) ? value : [value]) {
+          if (element !== undefined && (element === null || typeof element !== 'object' || element instanceof Date)) {
+            keys.add(element);
+          }
         }
-      });
+      }
+      
+      if (keys.size === 0 && index.type === 'sorted') {
+        keys.add(null);
+      }
+      
+      return keys;
+    });
+    
+    if (fieldKeys.length === 1) {
+      return fieldKeys[0];
+    }
+    
+    // Producto de los valores de cada campo
+    return fieldKeys.reduce(
+      (tuples, keys) => tuples.flatMap(tuple => [...keys].map(key => [...tuple, key])),
+      [[]]
+    );
+  }
+  
+  /**
+   * Compara dos tuplas de valores campo a campo; una tupla que es prefijo de otra va antes
+   * @private
+   */
+  _compareTuples(a, b) {
+    for (let i = 0; i < Math.min(a.length, b.length); i++) {
+      const result = this._compareValues(a[i], b[i]);
+      if (result !== 0) return result;
     }
+    return a.length - b.length;
   }
   
   /**
@@ -145,1051 +698,6201 @@ class DataOrbit {
    * Carga la base de datos desde el archivo
    */
   loadDatabase() {
+    // El journal no se puede leer mientras otro proceso escribe en él
+    if (this._needsLock()) {
+      this._acquireLock();
+      try {
+        return this.loadDatabase();
+      } finally {
+        this._releaseLock();
+      }
+    }
+    
     try {
       if (!fs.existsSync(this.config.file)) {
         // Si el archivo no existe, crear uno nuevo
-        fs.writeFileSync(this.config.file, this.encryptData('{}', this.config.encryptionKey));
-        this.data = {};
-        return;
-      }
-
-      const rawData = fs.readFileSync(this.config.file, 'utf8');
-      
-      if (rawData.trim() !== '') {
-        const decryptedData = this.decryptData(rawData, this.config.encryptionKey);
-        this.data = JSON.parse(decryptedData);
-        
-        // Inicializar mapas de claves únicas
-        this._initializeUniqueKeyMaps();
+        this._writeFileAtomic(this.config.file, this._serializeDatabaseFile('{}'));
+        this._setSnapshot({});
       } else {
-        this.data = {};
+        try {
+          this._setSnapshot(this._readDatabaseFile(this.config.file));
+        } catch (error) {
+          if (!this.config.recover || error.code === 'E_UNSUPPORTED') throw error;
+          this._setSnapshot(this._recoverFromBackups(error));
+        }
       }
+      
+      // Aplicar las operaciones pendientes del journal
+      this._replayJournal();
+      this._reviveSchemaTypes();
+      this._loadChangeLog();
+      
+      // Inicializar mapas de claves únicas e índices
+      this._initializeUniqueKeyMaps();
+      this._initializeIndexes();
+      
+      // Estado del archivo con el que se comparará antes de cada escritura
+      this._fileStamp = this._readFileStamp();
     } catch (error) {
       console.error('Error al cargar la base de datos:', error);
-      throw new Error(`No se pudo cargar la base de datos: ${error.message}`);
+      throw new DataOrbitError(`No se pudo cargar la base de datos: ${error.message}`, error.code || 'E_LOAD');
     }
   }
-  
+
   /**
-   * Inicializa los mapas de claves únicas
-   * @private
+   * Carga la base de datos desde el archivo sin bloquear el event loop
+   * @returns {Promise<void>}
    */
-  _initializeUniqueKeyMaps() {
-    this.uniqueKeyMap = {};
-    
-    for (const tableName in this.data) {
-      if (!this.uniqueKeyMap[tableName]) {
-        this.uniqueKeyMap[tableName] = {};
-      }
-      
-      const tableConfig = this.config.tables[tableName];
-      if (!tableConfig) continue;
-      
-      const uniqueConstraints = tableConfig.unique || [];
-      
-      // Inicializar Sets para cada restricción única
-      for (const uniqueKey of uniqueConstraints) {
-        this.uniqueKeyMap[tableName][uniqueKey] = new Set();
+  async loadDatabaseAsync() {
+    if (this._needsLockAsync()) {
+      await this._acquireLockAsync();
+      try {
+        return await this._lockContext.run(true, () => this.loadDatabaseAsync());
+      } finally {
+        this._releaseLock();
       }
-      
-      // Poblar los Sets con los valores existentes
-      if (this.data[tableName]) {
-        for (const row of this.data[tableName]) {
-          for (const uniqueKey of uniqueConstraints) {
-            if (row[uniqueKey] !== undefined) {
-              this.uniqueKeyMap[tableName][uniqueKey].add(row[uniqueKey]);
-            }
-          }
+    }
+    
+    try {
+      if (!await this._fileExists(this.config.file)) {
+        // Si el archivo no existe, crear uno nuevo
+        await this._writeFileAtomicAsync(this.config.file, await this._serializeDatabaseFileAsync('{}'));
+        this._setSnapshot({});
+      } else {
+        try {
+          this._setSnapshot(await this._readDatabaseFileAsync(this.config.file));
+        } catch (error) {
+          if (!this.config.recover || error.code === 'E_UNSUPPORTED') throw error;
+          this._setSnapshot(this._recoverFromBackups(error));
         }
       }
+      
+      // Aplicar las operaciones pendientes del journal
+      await this._replayJournalAsync();
+      this._reviveSchemaTypes();
+      await this._loadChangeLogAsync();
+      
+      // Inicializar mapas de claves únicas e índices
+      this._initializeUniqueKeyMaps();
+      this._initializeIndexes();
+      
+      // Estado del archivo con el que se comparará antes de cada escritura
+      this._fileStamp = this._readFileStamp();
+    } catch (error) {
+      console.error('Error al cargar la base de datos:', error);
+      throw new DataOrbitError(`No se pudo cargar la base de datos: ${error.message}`, error.code || 'E_LOAD');
     }
   }
 
   /**
-   * Guarda la base de datos en el archivo
+   * Separa las tablas y los metadatos de un snapshot leído del archivo
+   * @param {Object} snapshot - Contenido del archivo
+   * @private
    */
-  saveDatabase() {
-    try {
-      const encryptedData = this.encryptData(JSON.stringify(this.data, null, 2), this.config.encryptionKey);
-      fs.writeFileSync(this.config.file, encryptedData);
-      return true;
-    } catch (error) {
-      console.error('Error al guardar la base de datos:', error);
-      throw new Error(`No se pudo guardar la base de datos: ${error.message}`);
-    }
+  _setSnapshot(snapshot) {
+    const { [META_KEY]: metadata, ...tables } = snapshot;
+    const { journalSeq = 0, ...rest } = metadata || {};
+    this.data = tables;
+    this.metadata = rest;
+    
+    // Al recargar, el número de secuencia sale del archivo y del journal, no de la memoria:
+    // otro proceso puede haber añadido operaciones con números que esta instancia no conoce
+    this._journalSeq = journalSeq;
   }
 
   /**
-   * Cifra los datos con la clave proporcionada
-   * @param {string} data - Datos a cifrar
-   * @param {string} encryptionKey - Clave de cifrado
-   * @returns {string} - Datos cifrados
+   * Serializa las tablas y, si hay, los metadatos para guardarlos en el archivo. Los
+   * metadatos incluyen la última operación del journal que contiene el snapshot.
+   * @private
    */
-  encryptData(data, encryptionKey) {
-    // Usar un algoritmo de cifrado más seguro
-    const key = crypto.createHash('sha256').update(encryptionKey).digest('base64').substr(0, 32);
-    const iv = crypto.randomBytes(16);
-    const cipher = crypto.createCipheriv('aes-256-cbc', Buffer.from(key), iv);
-    
-    let encrypted = cipher.update(data, 'utf8', 'hex');
-    encrypted += cipher.final('hex');
-    
-    // Devolver IV + datos cifrados
-    return iv.toString('hex') + ':' + encrypted;
+  _snapshot() {
+    const metadata = this._journalSeq > 0
+      ? { ...this.metadata, journalSeq: this._journalSeq }
+      : this.metadata;
+    const snapshot = Object.keys(metadata).length > 0
+      ? { ...this.data, [META_KEY]: metadata }
+      : this.data;
+    return this._stringify(snapshot, 2);
   }
 
   /**
-   * Descifra los datos con la clave proporcionada
-   * @param {string} encryptedData - Datos cifrados
-   * @param {string} encryptionKey - Clave de cifrado
-   * @returns {string} - Datos descifrados
+   * Serializa a JSON conservando los tipos que JSON no representa: Date, BigInt, Buffer, Map
+   * y Set se guardan como { $type, value }. Un objeto que ya tiene una clave $type se guarda
+   * como { $type: 'Object', value: [[clave, valor], ...] } para no confundirlo con un tipo.
+   * @param {any} value - Valor a serializar
+   * @param {number} space - Sangría (como en JSON.stringify)
+   * @returns {string}
+   * @private
    */
-  decryptData(encryptedData, encryptionKey) {
-    const key = crypto.createHash('sha256').update(encryptionKey).digest('base64').substr(0, 32);
-    
-    // Separar IV y datos cifrados
-    const parts = encryptedData.split(':');
-    if (parts.length !== 2) {
-      // Compatibilidad con versiones anteriores (método XOR)
-      return this._legacyDecrypt(encryptedData, encryptionKey);
-    }
-    
-    const iv = Buffer.from(parts[0], 'hex');
-    const encrypted = parts[1];
-    
-    const decipher = crypto.createDecipheriv('aes-256-cbc', Buffer.from(key), iv);
-    let decrypted = decipher.update(encrypted, 'hex', 'utf8');
-    decrypted += decipher.final('utf8');
-    
-    return decrypted;
+  _stringify(value, space) {
+    return JSON.stringify(value, function (key, current) {
+      // Date y Buffer ya se han convertido con toJSON: se usa el valor original
+      const original = this[key];
+      
+      if (original instanceof Date) {
+        return { [TYPE_TAG]: 'Date', value: isNaN(original.getTime()) ? null : original.toISOString() };
+      }
+      if (typeof original === 'bigint') {
+        return { [TYPE_TAG]: 'BigInt', value: original.toString() };
+      }
+      if (Buffer.isBuffer(original)) {
+        return { [TYPE_TAG]: 'Buffer', value: original.toString('base64') };
+      }
+      if (original instanceof Map) {
+        return { [TYPE_TAG]: 'Map', value: [...original] };
+      }
+      if (original instanceof Set) {
+        return { [TYPE_TAG]: 'Set', value: [...original] };
+      }
+      if (current !== null && typeof current === 'object' && !Array.isArray(current) && Object.hasOwn(current, TYPE_TAG)) {
+        return { [TYPE_TAG]: 'Object', value: Object.entries(current) };
+      }
+      
+      return current;
+    }, space);
   }
-  
+
   /**
-   * Método de descifrado antiguo para compatibilidad
+   * Interpreta un JSON generado con _stringify, reconstruyendo los valores marcados
+   * @param {string} text - JSON
+   * @returns {any}
    * @private
    */
-  _legacyDecrypt(data, encryptionKey) {
-    let decrypted = '';
-    for (let i = 0; i < data.length; i++) {
-      decrypted += String.fromCharCode(data.charCodeAt(i) ^ encryptionKey.charCodeAt(i % encryptionKey.length));
+  _parse(text) {
+    return JSON.parse(text, (key, value) => {
+      if (value === null || typeof value !== 'object' || Array.isArray(value)) return value;
+      
+      const keys = Object.keys(value);
+      if (keys.length !== 2 || typeof value[TYPE_TAG] !== 'string' || !Object.hasOwn(value, 'value')) {
+        return value;
+      }
+      
+      switch (value[TYPE_TAG]) {
+        case 'Date':
+          return new Date(value.value === null ? NaN : value.value);
+        case 'BigInt':
+          return BigInt(value.value);
+        case 'Buffer':
+          return Buffer.from(value.value, 'base64');
+        case 'Map':
+          return new Map(value.value);
+        case 'Set':
+          return new Set(value.value);
+        case 'Object':
+          return Object.fromEntries(value.value);
+        default:
+          return value;
+      }
+    });
+  }
+
+  /**
+   * Copia profunda que conserva los tipos del serializador (structuredClone convierte los
+   * Buffer en Uint8Array)
+   * @private
+   */
+  _clone(value) {
+    return value === undefined ? undefined : this._parse(this._stringify(value));
+  }
+
+  /**
+   * Convierte los valores de los campos de tipo Date, BigInt, Buffer, Map y Set de todas
+   * las tablas a su tipo (p. ej. las fechas guardadas como texto por versiones anteriores)
+   * @private
+   */
+  _reviveSchemaTypes() {
+    for (const tableName in this.data) {
+      this.data[tableName] = this.data[tableName].map(doc => this._reviveDocument(tableName, doc));
     }
-    return decrypted;
   }
 
   /**
-   * Valida los datos contra el esquema definido
+   * Devuelve el documento con los valores de los campos del esquema convertidos a su tipo.
+   * Los campos cifrados no se modifican.
+   * @param {string} tableName - Nombre de la tabla
+   * @param {Object} doc - Documento
+   * @returns {Object} - El mismo documento si no hay nada que convertir, o una copia
    * @private
    */
-  _validateDataAgainstSchema(tableName, data) {
-    const schema = this.config.tables[tableName]?.schema;
-    if (!schema) return true; // Sin esquema, no hay validación
+  _reviveDocument(tableName, doc) {
+    const schema = this.config.tables[tableName]?.schema || {};
+    let revived = doc;
     
     for (const field in schema) {
-      const fieldType = schema[field].type;
-      const isRequired = schema[field].required === true;
-      
-      // Verificar campos obligatorios
-      if (isRequired && (data[field] === undefined || data[field] === null)) {
-        throw new Error(`El campo '${field}' es obligatorio en la tabla '${tableName}'`);
-      }
+      const value = this._getPath(revived, field);
+      if (value === undefined || value === null || this._isEncryptedValue(value)) continue;
       
-      // Si el campo está presente, validar su tipo
-      if (data[field] !== undefined && data[field] !== null) {
-        if (!this._validateFieldType(data[field], fieldType)) {
-          throw new Error(`El campo '${field}' debe ser de tipo ${fieldType}`);
-        }
+      const converted = this._reviveValue(value, schema[field].type);
+      if (converted !== value) {
+        revived = this._withPath(revived, field, converted);
       }
     }
     
-    return true;
+    return revived;
   }
-  
+
   /**
-   * Valida el tipo de un campo
+   * Convierte un valor a un tipo del esquema cuando su representación en JSON es inequívoca
    * @private
    */
-  _validateFieldType(value, type) {
+  _reviveValue(value, type) {
     switch (type) {
-      case DataType.TEXT:
-        return typeof value === 'string';
-      case DataType.NUMBER:
-        return typeof value === 'number';
-      case DataType.BOOLEAN:
-        return typeof value === 'boolean';
       case DataType.DATE:
-        return value instanceof Date || !isNaN(Date.parse(value));
-      case DataType.OBJECT:
-        return typeof value === 'object' && !Array.isArray(value) && value !== null;
-      case DataType.ARRAY:
-        return Array.isArray(value);
-      case DataType.PATH:
-        return typeof value === 'string' && fs.existsSync(value);
+        return this._toDate(value);
+      case DataType.BIGINT:
+        if ((typeof value === 'string' && /^-?\d+$/.test(value)) || Number.isInteger(value)) {
+          return BigInt(value);
+        }
+        return value;
+      case DataType.BUFFER:
+        if (value?.type === 'Buffer' && Array.isArray(value.data)) {
+          return Buffer.from(value.data);
+        }
+        return typeof value === 'string' ? Buffer.from(value, 'base64') : value;
+      case DataType.MAP:
+        if (Array.isArray(value)) return new Map(value);
+        return value.constructor === Object ? new Map(Object.entries(value)) : value;
+      case DataType.SET:
+        return Array.isArray(value) ? new Set(value) : value;
       default:
-        return true; // Tipo desconocido, no validar
+        return value;
     }
   }
 
   /**
-   * Inserta un documento en una tabla
-   * @param {string} tableName - Nombre de la tabla
-   * @param {Object} data - Datos a insertar
-   * @returns {Object} - Documento insertado
+   * Indica si existe un archivo
+   * @private
    */
-  insert(tableName, data) {
-    // Verificar si la tabla existe, si no, crearla
-    if (!this.data[tableName]) {
-      this.data[tableName] = [];
-      this.indexes[tableName] = {};
-    }
-    
-    // Obtener configuración de la tabla
-    const tableConfig = this.config.tables[tableName] || { primaryKey: 'id' };
-    const primaryKey = tableConfig.primaryKey || 'id';
-    
-    // Validar datos contra el esquema
-    this._validateDataAgainstSchema(tableName, data);
-    
-    // Clonar para evitar modificar el original
-    const newDoc = { ...data };
-    
-    // Asignar clave primaria si no tiene
-    if (newDoc[primaryKey] === undefined) {
-      newDoc[primaryKey] = this.getNextPrimaryKey(tableName);
+  async _fileExists(filePath) {
+    try {
+      await fs.promises.access(filePath);
+      return true;
+    } catch (error) {
+      return false;
     }
+  }
+
+  /**
+   * Lee, verifica y descifra un archivo de la base de datos
+   * @param {string} filePath - Ruta del archivo
+   * @param {string} encryptionKey - Clave de cifrado (por defecto, la configurada)
+   * @returns {Object} - Datos contenidos en el archivo
+   * @private
+   */
+  _readDatabaseFile(filePath, encryptionKey = this.config.encryptionKey) {
+    const rawData = fs.readFileSync(filePath, 'utf8');
     
-    // Verificar restricciones de unicidad
-    if (!this._checkUniqueConstraints(tableName, newDoc)) {
-      throw new Error('Violación de restricción de unicidad');
+    if (rawData.trim() === '') {
+      return {};
     }
     
-    // Añadir metadatos
-    const timestamp = new Date().toISOString();
-    newDoc._createdAt = timestamp;
-    newDoc._updatedAt = timestamp;
-    
-    // Insertar documento
-    this.data[tableName].push(newDoc);
-    
-    // Actualizar índices y mapas
-    const docIndex = this.data[tableName].length - 1;
-    this._updateIndexes(tableName, newDoc, docIndex);
-    this._updateUniqueKeyMap(tableName, newDoc);
-    
-    // Guardar cambios
-    this.saveDatabase();
-    
-    return newDoc;
+    return this._decodeDatabaseFile(filePath, this._parseDatabaseFile(rawData), encryptionKey);
   }
 
   /**
-   * Elimina un documento de una tabla
-   * @param {string} tableName - Nombre de la tabla
-   * @param {string|number} id - Valor de la clave primaria
-   * @returns {boolean} - Éxito de la operación
+   * Versión asíncrona de _readDatabaseFile: la lectura y la derivación de la clave no bloquean
+   * @private
    */
-  delete(tableName, id) {
-    if (!this.data[tableName]) {
-      return false;
-    }
-    
-    const tableConfig = this.config.tables[tableName] || { primaryKey: 'id' };
-    const primaryKey = tableConfig.primaryKey || 'id';
+  async _readDatabaseFileAsync(filePath, encryptionKey = this.config.encryptionKey) {
+    const rawData = await fs.promises.readFile(filePath, 'utf8');
     
-    // Buscar el índice del documento
-    const index = this.data[tableName].findIndex(item => item[primaryKey] === id);
-    if (index === -1) {
-      return false;
+    if (rawData.trim() === '') {
+      return {};
     }
     
-    // Guardar el documento para actualizar los índices
-    const deletedDoc = this.data[tableName][index];
-    
-    // Remover de los índices
-    this._removeFromIndexes(tableName, deletedDoc);
-    
-    // Remover de los mapas de claves únicas
-    this._removeFromUniqueKeyMap(tableName, deletedDoc);
+    const payload = this._parseDatabaseFile(rawData);
+    await this._prepareDecryption(payload, encryptionKey);
     
-    // Eliminar el documento
-    this.data[tableName].splice(index, 1);
+    return this._decodeDatabaseFile(filePath, payload, encryptionKey);
+  }
+
+  /**
+   * Descifra y interpreta el contenido de un archivo ya verificado
+   * @private
+   */
+  _decodeDatabaseFile(filePath, payload, encryptionKey) {
+    const decryptedData = this.decryptData(payload, encryptionKey);
     
-    // Guardar cambios
-    this.saveDatabase();
+    try {
+      return this._parse(decryptedData);
+    } catch (error) {
+      // Los formatos antiguos no están autenticados: una clave incorrecta produce datos ilegibles
+      if (!payload.startsWith(`${ENVELOPE_VERSION}$`)) {
+        throw new DataOrbitError(`No se pudo descifrar '${filePath}': la clave es incorrecta o el archivo está dañado`, 'E_AUTH');
+      }
+      throw new DataOrbitError(`El archivo '${filePath}' no contiene datos válidos`, 'E_CORRUPT');
+    }
+  }
+
+  /**
+   * Genera el contenido de un archivo: cabecera con checksum + datos cifrados
+   * @param {string} data - Datos en claro
+   * @param {string} encryptionKey - Clave de cifrado (por defecto, la configurada)
+   * @returns {string} - Contenido del archivo
+   * @private
+   */
+  _serializeDatabaseFile(data, encryptionKey = this.config.encryptionKey) {
+    const payload = this.encryptData(data, encryptionKey);
+    const header = {
+      format: FILE_FORMAT,
+      cipher: CIPHER,
+      kdf: KDF,
+      checksum: `sha256:${crypto.createHash('sha256').update(payload).digest('hex')}`
+    };
     
-    return true;
+    return `${FILE_MAGIC} ${JSON.stringify(header)}\n${payload}`;
   }
 
   /**
-   * Actualiza un documento en una tabla
-   * @param {string} tableName - Nombre de la tabla
-   * @param {string|number} id - Valor de la clave primaria
-   * @param {Object} newData - Nuevos datos
-   * @returns {Object|null} - Documento actualizado o null si no se encontró
+   * Versión asíncrona de _serializeDatabaseFile: la clave se deriva sin bloquear
+   * @private
    */
-  update(tableName, id, newData) {
-    if (!this.data[tableName]) {
-      return null;
+  async _serializeDatabaseFileAsync(data, encryptionKey = this.config.encryptionKey) {
+    await this._prepareEncryption(encryptionKey);
+    return this._serializeDatabaseFile(data, encryptionKey);
+  }
+
+  /**
+   * Separa la cabecera de un archivo y verifica su checksum
+   * @param {string} rawData - Contenido del archivo
+   * @returns {string} - Datos cifrados
+   * @private
+   */
+  _parseDatabaseFile(rawData) {
+    // Archivos anteriores a la cabecera: solo contienen los datos cifrados
+    if (!rawData.startsWith(`${FILE_MAGIC} `)) {
+      return rawData.trim();
     }
     
-    const tableConfig = this.config.tables[tableName] || { primaryKey: 'id' };
-    const primaryKey = tableConfig.primaryKey || 'id';
-    
-    // Buscar el índice del documento
-    const index = this.data[tableName].findIndex(item => item[primaryKey] === id);
-    if (index === -1) {
-      return null;
+    const newline = rawData.indexOf('\n');
+    if (newline === -1) {
+      throw new DataOrbitError('Archivo truncado: falta el contenido tras la cabecera', 'E_CORRUPT');
     }
     
-    // Validar datos contra el esquema
-    this._validateDataAgainstSchema(tableName, { ...this.data[tableName][index], ...newData });
+    let header;
+    try {
+      header = JSON.parse(rawData.slice(FILE_MAGIC.length + 1, newline));
+    } catch (error) {
+      throw new DataOrbitError('Cabecera de archivo ilegible', 'E_CORRUPT');
+    }
     
-    // Guardar el documento original para actualizar los índices
-    const originalDoc = { ...this.data[tableName][index] };
+    if (header.format > FILE_FORMAT) {
+      throw new DataOrbitError(`Formato de archivo ${header.format} no soportado por esta versión`, 'E_UNSUPPORTED');
+    }
+    if (header.cipher && header.cipher !== CIPHER) {
+      throw new DataOrbitError(`Algoritmo de cifrado no soportado: '${header.cipher}'`, 'E_UNSUPPORTED');
+    }
+    if (header.kdf && header.kdf.name !== KDF.name) {
+      throw new DataOrbitError(`Función de derivación de clave no soportada: '${header.kdf.name}'`, 'E_UNSUPPORTED');
+    }
     
-    // No permitir cambiar la clave primaria
-    if (newData[primaryKey] !== undefined && newData[primaryKey] !== originalDoc[primaryKey]) {
-      throw new Error('No se puede modificar la clave primaria');
+    const payload = rawData.slice(newline + 1);
+    const [algorithm, expected] = String(header.checksum).split(':');
+    if (algorithm !== 'sha256' || crypto.createHash('sha256').update(payload).digest('hex') !== expected) {
+      throw new DataOrbitError('El checksum del archivo no coincide: el archivo está dañado', 'E_CORRUPT');
     }
     
-    // Crear el documento actualizado
-    const updatedDoc = { 
-      ...originalDoc, 
-      ...newData,
-      _updatedAt: new Date().toISOString() 
-    };
+    return payload;
+  }
+
+  /**
+   * Escribe un archivo de forma atómica: archivo temporal, fsync y renombrado
+   * @param {string} filePath - Ruta de destino
+   * @param {string} content - Contenido
+   * @private
+   */
+  _writeFileAtomic(filePath, content) {
+    this._replaceFiles([[filePath, content]]);
+  }
+
+  /**
+   * Versión asíncrona de _writeFileAtomic
+   * @private
+   */
+  async _writeFileAtomicAsync(filePath, content) {
+    await this._replaceFilesAsync([[filePath, content]]);
+  }
+
+  /**
+   * Sustituye varios archivos a la vez: primero escribe y sincroniza todos los temporales y
+   * solo si todos se escriben bien los renombra, para no dejar unos archivos nuevos y otros no
+   * @param {Array<[string, string]>} files - Pares [ruta de destino, contenido]
+   * @private
+   */
+  _replaceFiles(files) {
+    const temps = files.map(([filePath]) => `${filePath}.${process.pid}.tmp`);
     
-    // Verificar restricciones de unicidad para los nuevos datos
-    if (!this._checkUniqueConstraintsForUpdate(tableName, updatedDoc, originalDoc)) {
-      throw new Error('Violación de restricción de unicidad');
+    try {
+      files.forEach(([, content], i) => {
+        const fd = fs.openSync(temps[i], 'w');
+        try {
+          fs.writeSync(fd, content);
+          fs.fsyncSync(fd);
+        } finally {
+          fs.closeSync(fd);
+        }
+      });
+      
+      files.forEach(([filePath], i) => fs.renameSync(temps[i], filePath));
+    } catch (error) {
+      temps.forEach(tempPath => fs.rmSync(tempPath, { force: true }));
+      throw error;
     }
     
-    // Remover de los índices
-    this._removeFromIndexes(tableName, originalDoc);
-    
-    // Actualizar el documento
-    this.data[tableName][index] = updatedDoc;
+    // Persistir las entradas del directorio (no soportado en todas las plataformas)
+    for (const dir of new Set(files.map(([filePath]) => path.dirname(filePath)))) {
+      try {
+        const dirFd = fs.openSync(dir, 'r');
+        try {
+          fs.fsyncSync(dirFd);
+        } finally {
+          fs.closeSync(dirFd);
+        }
+      } catch (error) {
+        // Ignorar
+      }
+    }
+  }
+
+  /**
+   * Versión asíncrona de _replaceFiles
+   * @private
+   */
+  async _replaceFilesAsync(files) {
+    const temps = files.map(([filePath]) => `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`);
     
-    // Actualizar índices y mapas
-    this._updateIndexes(tableName, updatedDoc, index);
-    this._updateUniqueKeyMapForUpdate(tableName, updatedDoc, originalDoc);
+    try {
+      for (let i = 0; i < files.length; i++) {
+        const handle = await fs.promises.open(temps[i], 'w');
+        try {
+          await handle.writeFile(files[i][1]);
+          await handle.sync();
+        } finally {
+          await handle.close();
+        }
+      }
+      
+      for (let i = 0; i < files.length; i++) {
+        await fs.promises.rename(temps[i], files[i][0]);
+      }
+    } catch (error) {
+      await Promise.all(temps.map(tempPath => fs.promises.rm(tempPath, { force: true })));
+      throw error;
+    }
+    
+    for (const dir of new Set(files.map(([filePath]) => path.dirname(filePath)))) {
+      try {
+        const dirHandle = await fs.promises.open(dir, 'r');
+        try {
+          await dirHandle.sync();
+        } finally {
+          await dirHandle.close();
+        }
+      } catch (error) {
+        // Ignorar
+      }
+    }
+  }
+
+  /**
+   * Carpeta donde se guardan las copias de seguridad
+   * @private
+   */
+  _backupFolder() {
+    return `${path.dirname(this.config.file)}/backups`;
+  }
+
+  /**
+   * Lista las copias de seguridad de la base de datos, de la más reciente a la más antigua
+   * @returns {Array<string>} - Rutas de los backups
+   */
+  listBackups() {
+    const backupFolder = this._backupFolder();
+    if (!fs.existsSync(backupFolder)) {
+      return [];
+    }
+    
+    // El nombre incluye la fecha ISO, por lo que el orden alfabético es cronológico
+    const prefix = `${path.basename(this.config.file, '.json')}_`;
+    return fs.readdirSync(backupFolder)
+      .filter(name => name.startsWith(prefix) && name.endsWith('.json'))
+      .sort()
+      .reverse()
+      .map(name => `${backupFolder}/${name}`);
+  }
+
+  /**
+   * Recupera los datos desde el backup válido más reciente
+   * @param {Error} cause - Error producido al leer el archivo principal
+   * @returns {Object} - Datos recuperados
+   * @private
+   */
+  _recoverFromBackups(cause) {
+    for (const backupFile of this.listBackups()) {
+      let data;
+      try {
+        data = this._readDatabaseFile(backupFile);
+      } catch (error) {
+        console.warn(`Backup no válido, se omite: ${backupFile}`);
+        continue;
+      }
+      
+      // Conservar el archivo dañado para su análisis y reemplazarlo por el backup
+      const corruptCopy = `${this.config.file}.corrupt-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+      fs.copyFileSync(this.config.file, corruptCopy);
+      this._writeFileAtomic(this.config.file, fs.readFileSync(backupFile, 'utf8'));
+      
+      console.warn(`Base de datos recuperada desde ${backupFile} (archivo dañado guardado en ${corruptCopy})`);
+      return data;
+    }
+    
+    throw new DataOrbitError(`${cause.message}. No se encontró ningún backup válido`, cause.code || 'E_CORRUPT');
+  }
+  
+  /**
+   * Inicializa los mapas de claves únicas
+   * @private
+   */
+  _initializeUniqueKeyMaps() {
+    this.uniqueKeyMap = {};
+    
+    for (const tableName in this.data) {
+      this._initializeTableUniqueKeyMap(tableName);
+    }
+  }
+
+  /**
+   * Inicializa los mapas de claves únicas de una tabla
+   * @private
+   */
+  _initializeTableUniqueKeyMap(tableName) {
+    this.uniqueKeyMap[tableName] = {};
+    
+    const tableConfig = this.config.tables[tableName];
+    if (!tableConfig) return;
+    
+    const uniqueConstraints = tableConfig.unique || [];
+    
+    // Inicializar Sets para cada restricción única
+    for (const uniqueKey of uniqueConstraints) {
+      this.uniqueKeyMap[tableName][this._indexName(uniqueKey)] = new Set();
+    }
+    
+    // Poblar los Sets con los valores existentes
+    for (const row of this.data[tableName] || []) {
+      for (const uniqueKey of uniqueConstraints) {
+        const value = this._uniqueValue(row, uniqueKey);
+        if (value !== undefined) {
+          this.uniqueKeyMap[tableName][this._indexName(uniqueKey)].add(value);
+        }
+      }
+    }
+  }
+
+  /**
+   * Guarda la base de datos en el archivo
+   */
+  saveDatabase() {
+    // Durante una migración los cambios se guardan al confirmarla
+    if (this._holdWrites) return true;
+    
+    try {
+      const snapshot = this._snapshot();
+      const journalBytes = this._journalBytes();
+      this._writeFileAtomic(this.config.file, this._serializeDatabaseFile(snapshot));
+      
+      // El snapshot ya contiene todas las operaciones del journal
+      this._truncateJournal(journalBytes);
+      return true;
+    } catch (error) {
+      console.error('Error al guardar la base de datos:', error);
+      throw new Error(`No se pudo guardar la base de datos: ${error.message}`);
+    }
+  }
+
+  /**
+   * Guarda la base de datos en el archivo sin bloquear el event loop
+   * @returns {Promise<boolean>}
+   */
+  async saveDatabaseAsync() {
+    // Durante una migración los cambios se guardan al confirmarla
+    if (this._holdWrites) return true;
+    
+    try {
+      const snapshot = this._snapshot();
+      const journalBytes = this._journalBytes();
+      const content = await this._serializeDatabaseFileAsync(snapshot);
+      await this._writeFileAtomicAsync(this.config.file, content);
+      
+      // El snapshot contiene las operaciones del journal anteriores a él, pero mientras se
+      // escribía una escritura síncrona ha podido añadir otras que hay que conservar
+      this._truncateJournal(journalBytes);
+      return true;
+    } catch (error) {
+      console.error('Error al guardar la base de datos:', error);
+      throw new Error(`No se pudo guardar la base de datos: ${error.message}`);
+    }
+  }
+
+  /**
+   * Compacta el journal en un nuevo snapshot de la base de datos
+   * @returns {Object} - Número de operaciones compactadas
+   */
+  compact() {
+    if (this._needsLock()) {
+      return this._write(() => this.compact());
+    }
     
-    // Guardar cambios
+    const compacted = this._journalSize;
     this.saveDatabase();
+    return { compacted };
+  }
+
+  /**
+   * Versión asíncrona de compact()
+   * @returns {Promise<Object>} - Número de operaciones compactadas
+   */
+  async compactAsync() {
+    if (this._needsLockAsync()) {
+      return this._writeAsync(() => this.compactAsync());
+    }
     
-    return updatedDoc;
+    return this._enqueueIO(async () => {
+      const compacted = this._journalSize;
+      await this.saveDatabaseAsync();
+      return { compacted };
+    });
+  }
+
+  /**
+   * Registra una operación pendiente de persistir
+   * @private
+   */
+  _record(entry) {
+    // El número de secuencia ordena las operaciones aunque lleguen al journal desordenadas
+    this._pendingEntries.push({ ...entry, seq: ++this._journalSeq });
+  }
+
+  /**
+   * Persiste de inmediato las operaciones pendientes
+   * @private
+   */
+  _flush() {
+    if (this._holdWrites) return;
+    
+    const entries = this._pendingEntries.splice(0);
+    if (entries.length > 0) {
+      this._commit(entries);
+    }
+    
+    this._publishChanges(this._pendingEvents.splice(0));
+  }
+
+  /**
+   * Persiste las operaciones pendientes de forma asíncrona. Las escrituras solicitadas en el
+   * mismo ciclo del event loop se agrupan en un único volcado.
+   * @private
+   */
+  _flushAsync() {
+    if (this._holdWrites) {
+      return Promise.resolve();
+    }
+    
+    // Cada escritura forma su propio lote aunque se persistan en el mismo volcado
+    if (this._pendingEvents.length > 0) {
+      this._pendingBatches.push(this._pendingEvents.splice(0));
+    }
+    
+    if (!this._scheduledFlush) {
+      this._scheduledFlush = new Promise((resolve, reject) => {
+        setImmediate(() => {
+          this._scheduledFlush = null;
+          const entries = this._pendingEntries.splice(0);
+          const batches = this._pendingBatches.splice(0);
+          this._enqueueIO(async () => {
+            await this._commitAsync(entries);
+            await this._publishChangesAsync(batches);
+          }).then(resolve, reject);
+        });
+      });
+    }
+    
+    return this._scheduledFlush;
+  }
+
+  /**
+   * Espera a que se persistan todas las escrituras asíncronas en curso
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    if (this._pendingEntries.length > 0 || this._pendingBatches.length > 0 || this._scheduledFlush) {
+      await this._flushAsync();
+    }
+    await this._ioQueue;
+  }
+
+  /**
+   * Encadena una operación de E/S para que las escrituras asíncronas no se solapen
+   * @private
+   */
+  _enqueueIO(task) {
+    const run = this._ioQueue.then(task);
+    this._ioQueue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Ejecuta una escritura síncrona y persiste sus operaciones. Con `config.lock` la escritura
+   * se hace con el archivo bloqueado y, si otro proceso lo ha modificado desde la última
+   * lectura, se recarga antes de aplicar los cambios (o se lanza E_CONFLICT).
+   * @param {Function} fn - Operación en memoria
+   * @returns {any} - Resultado de la operación
+   * @private
+   */
+  _write(fn) {
+    this._checkTransaction();
+    
+    if (!this._needsLock()) {
+      const result = fn();
+      this._flush();
+      return result;
+    }
+    
+    this._acquireLock();
+    try {
+      if (this._externalChange()) {
+        this.loadDatabase();
+      }
+      
+      const result = fn();
+      this._flush();
+      return result;
+    } finally {
+      this._releaseLock();
+    }
+  }
+
+  /**
+   * Versión asíncrona de _write. Las escrituras concurrentes de la instancia comparten el
+   * bloqueo, que se libera cuando todas se han persistido.
+   * @param {Function} fn - Operación en memoria (puede devolver una promesa)
+   * @returns {Promise<any>} - Resultado de la operación
+   * @private
+   */
+  async _writeAsync(fn) {
+    // Mientras otra operación tiene una transacción asíncrona abierta, se espera a que termine
+    if (this._transaction && !this._transactionContext.getStore()) {
+      await this._waitForTransaction();
+    }
+    
+    if (!this._needsLockAsync()) {
+      let result = fn();
+      if (result && typeof result.then === 'function') {
+        result = await result;
+      }
+      await this._flushAsync();
+      return result;
+    }
+    
+    this._lockDepth++;
+    try {
+      if (!this._lockReady) {
+        this._lockReady = this._acquireLockAsync().then(() => this._lockContext.run(true, async () => {
+          if (this._externalChange()) {
+            await this.loadDatabaseAsync();
+          }
+        }));
+      }
+      await this._lockReady;
+      
+      return await this._lockContext.run(true, () => this._writeAsync(fn));
+    } finally {
+      if (--this._lockDepth === 0) {
+        this._lockReady = null;
+        this._releaseLock();
+      }
+    }
+  }
+
+  /**
+   * Indica si una escritura síncrona tiene que adquirir el bloqueo del archivo
+   * @private
+   */
+  _needsLock() {
+    return this.config.lock.enabled && !this._lockHeld;
+  }
+
+  /**
+   * Indica si una escritura asíncrona tiene que adquirir el bloqueo del archivo, es decir,
+   * si no se ejecuta ya dentro de una operación que lo tiene
+   * @private
+   */
+  _needsLockAsync() {
+    return this.config.lock.enabled && !this._lockContext.getStore();
+  }
+
+  /**
+   * Ruta del archivo de bloqueo
+   * @private
+   */
+  _lockPath() {
+    return `${this.config.file}.lock`;
+  }
+
+  /**
+   * Adquiere el bloqueo del archivo, esperando como mucho `lock.timeout` milisegundos
+   * @private
+   */
+  _acquireLock() {
+    const deadline = Date.now() + this.config.lock.timeout;
+    const sleeper = new Int32Array(new SharedArrayBuffer(4));
+    
+    for (;;) {
+      const owner = this._tryLock();
+      if (!owner) return;
+      if (Date.now() >= deadline) throw this._lockError(owner);
+      if (!owner.stale) Atomics.wait(sleeper, 0, 0, LOCK_RETRY_INTERVAL);
+    }
+  }
+
+  /**
+   * Versión asíncrona de _acquireLock
+   * @private
+   */
+  async _acquireLockAsync() {
+    const deadline = Date.now() + this.config.lock.timeout;
+    
+    for (;;) {
+      const owner = this._tryLock();
+      if (!owner) return;
+      if (Date.now() >= deadline) throw this._lockError(owner);
+      if (!owner.stale) await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_INTERVAL));
+    }
+  }
+
+  /**
+   * Intenta crear el archivo de bloqueo. Si existe y está abandonado, lo elimina para que el
+   * siguiente intento pueda adquirirlo.
+   * @returns {Object|null} - null si se ha adquirido, o el propietario actual del bloqueo
+   * @private
+   */
+  _tryLock() {
+    const lockPath = this._lockPath();
+    
+    try {
+      const owner = { pid: process.pid, hostname: os.hostname(), acquiredAt: new Date().toISOString() };
+      fs.writeFileSync(lockPath, JSON.stringify(owner), { flag: 'wx' });
+      this._lockHeld = true;
+      return null;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+    
+    let content;
+    let stat;
+    try {
+      content = fs.readFileSync(lockPath, 'utf8');
+      stat = fs.statSync(lockPath);
+    } catch (error) {
+      // Se ha liberado entre medias
+      if (error.code === 'ENOENT') return { stale: true };
+      throw error;
+    }
+    
+    let owner = {};
+    try {
+      owner = JSON.parse(content);
+    } catch {
+      // El propietario aún está escribiendo el archivo
+    }
+    
+    // En el mismo equipo se comprueba si el proceso sigue vivo; en otro, la antigüedad
+    owner.stale = owner.pid && owner.hostname === os.hostname()
+      ? !this._processAlive(owner.pid)
+      : Date.now() - stat.mtimeMs > this.config.lock.stale;
+    
+    if (owner.stale) {
+      console.warn(`Se elimina un bloqueo abandonado de '${this.config.file}' (proceso ${owner.pid || 'desconocido'})`);
+      try {
+        if (fs.readFileSync(lockPath, 'utf8') === content) {
+          fs.rmSync(lockPath, { force: true });
+        }
+      } catch {
+        // Otro proceso lo ha eliminado antes
+      }
+    }
+    
+    return owner;
+  }
+
+  /**
+   * Libera el bloqueo y recuerda el estado del archivo tras las escrituras propias
+   * @private
+   */
+  _releaseLock() {
+    if (!this._lockHeld) return;
+    
+    this._fileStamp = this._readFileStamp();
+    this._lockHeld = false;
+    fs.rmSync(this._lockPath(), { force: true });
+  }
+
+  /**
+   * Indica si un proceso del equipo sigue en ejecución
+   * @private
+   */
+  _processAlive(pid) {
+    try {
+      process.kill(pid, 0);
+      return true;
+    } catch (error) {
+      return error.code === 'EPERM';
+    }
+  }
+
+  /**
+   * Error de bloqueo ocupado
+   * @private
+   */
+  _lockError(owner) {
+    const holder = owner.pid ? `el proceso ${owner.pid} (${owner.hostname}) desde ${owner.acquiredAt}` : 'otro proceso';
+    return new DataOrbitError(
+      `No se pudo bloquear '${this.config.file}' en ${this.config.lock.timeout} ms: lo tiene ${holder}`,
+      'E_LOCKED'
+    );
+  }
+
+  /**
+   * Identifica el estado del archivo y del journal (inodo, tamaño y fecha de modificación).
+   * Cada guardado crea un archivo nuevo y cada operación alarga el journal.
+   * @private
+   */
+  _readFileStamp() {
+    return [this.config.file, this._journalPath()].map(filePath => {
+      try {
+        const stat = fs.statSync(filePath);
+        return `${stat.ino}:${stat.size}:${stat.mtimeMs}`;
+      } catch (error) {
+        if (error.code === 'ENOENT') return '-';
+        throw error;
+      }
+    }).join('|');
+  }
+
+  /**
+   * Comprueba si otro proceso ha modificado el archivo desde la última lectura o escritura
+   * @returns {boolean} - true si hay que recargar la base de datos
+   * @private
+   */
+  _externalChange() {
+    if (this._fileStamp === null || this._readFileStamp() === this._fileStamp) {
+      return false;
+    }
+    
+    if (this.config.lock.onExternalChange === 'error') {
+      throw new DataOrbitError(
+        `Otro proceso ha modificado '${this.config.file}': vuelve a cargarla con loadDatabase() antes de escribir`,
+        'E_CONFLICT'
+      );
+    }
+    
+    return true;
+  }
+
+  /**
+   * Registra un hook en una tabla, además de los definidos en `config.tables[tabla].hooks`.
+   * Los hooks `before*` reciben el documento (y en beforeUpdate también el original) y pueden
+   * devolver uno nuevo para sustituirlo, o lanzar un error o devolver false para rechazar la
+   * escritura. Los hooks `after*` se ejecutan cuando el cambio ya se ha guardado.
+   * @param {string} tableName - Nombre de la tabla
+   * @param {string} hookName - beforeInsert, afterInsert, beforeUpdate, afterUpdate, beforeDelete o afterDelete
+   * @param {Function} fn - Función del hook
+   * @returns {Function} - Función que elimina el hook
+   */
+  addHook(tableName, hookName, fn) {
+    if (!TABLE_HOOKS.includes(hookName)) {
+      throw new DataOrbitError(`Hook desconocido: '${hookName}'`, 'E_HOOK');
+    }
+    if (typeof fn !== 'function') {
+      throw new DataOrbitError(`El hook '${hookName}' debe ser una función`, 'E_HOOK');
+    }
+    
+    const hooks = this._hooks[tableName] || (this._hooks[tableName] = {});
+    (hooks[hookName] || (hooks[hookName] = [])).push(fn);
+    
+    return () => {
+      hooks[hookName] = hooks[hookName].filter(hook => hook !== fn);
+    };
+  }
+
+  /**
+   * Hooks de una tabla: los de la configuración seguidos de los registrados con addHook()
+   * @private
+   */
+  _hooksFor(tableName, hookName) {
+    const configured = this.config.tables[tableName]?.hooks?.[hookName];
+    return [...(configured ? [].concat(configured) : []), ...(this._hooks[tableName]?.[hookName] || [])];
+  }
+
+  /**
+   * Ejecuta los hooks `before*` de una tabla sobre un documento
+   * @param {string} tableName - Nombre de la tabla
+   * @param {string} hookName - Nombre del hook
+   * @param {Object} doc - Documento que se va a escribir o eliminar
+   * @param {...any} args - Argumentos adicionales (el documento original en beforeUpdate)
+   * @returns {Object} - Documento, sustituido por el que devuelva cada hook
+   * @private
+   */
+  _runBeforeHooks(tableName, hookName, doc, ...args) {
+    for (const hook of this._hooksFor(tableName, hookName)) {
+      const result = hook(doc, ...args);
+      
+      if (result === false) {
+        throw new DataOrbitError(`El hook ${hookName} de la tabla '${tableName}' ha rechazado la operación`, 'E_HOOK');
+      }
+      if (result && typeof result.then === 'function') {
+        throw new DataOrbitError(`El hook ${hookName} de la tabla '${tableName}' debe ser síncrono`, 'E_HOOK');
+      }
+      if (result !== null && typeof result === 'object') {
+        doc = result;
+      }
+    }
+    
+    return doc;
+  }
+
+  /**
+   * Anota un cambio para emitirlo cuando se persistan las operaciones pendientes
+   * @private
+   */
+  _queueChange(event, payload) {
+    this._pendingEvents.push({ event, payload });
+  }
+
+  /**
+   * Numera como un lote unos cambios ya persistidos, lo añade al registro de cambios y
+   * notifica los eventos
+   * @param {Array} events - Cambios pendientes ({ event, payload })
+   * @private
+   */
+  _publishChanges(events) {
+    if (events.length === 0) return;
+    
+    // Mientras se guarda un lote de forma asíncrona, los siguientes esperan su turno para
+    // que el registro y los eventos conserven el orden de los números de secuencia
+    if (this._publishingAsync) {
+      this._changeQueue.push(events);
+      return;
+    }
+    
+    const record = this._changeRecord(events);
+    let saved = true;
+    if (this.config.changes.enabled) {
+      try {
+        this._appendChangeRecord(record);
+      } catch (error) {
+        console.error(`Error al guardar el lote de cambios ${record.seq}:`, error);
+        saved = false;
+      }
+    }
+    
+    this._announceChanges(record, events, saved);
+  }
+
+  /**
+   * Versión asíncrona de _publishChanges. Se ejecuta dentro de la cola de E/S y publica
+   * también los lotes síncronos que lleguen mientras tanto.
+   * @param {Array<Array>} batches - Lotes de cambios pendientes
+   * @private
+   */
+  async _publishChangesAsync(batches) {
+    this._changeQueue.push(...batches.filter(events => events.length > 0));
+    if (this._publishingAsync) return;
+    
+    this._publishingAsync = true;
+    try {
+      while (this._changeQueue.length > 0) {
+        const events = this._changeQueue.shift();
+        const record = this._changeRecord(events);
+        let saved = true;
+        if (this.config.changes.enabled) {
+          try {
+            await this._appendChangeRecordAsync(record);
+          } catch (error) {
+            console.error(`Error al guardar el lote de cambios ${record.seq}:`, error);
+            saved = false;
+          }
+        }
+        
+        this._announceChanges(record, events, saved);
+      }
+    } finally {
+      this._publishingAsync = false;
+    }
+  }
+
+  /**
+   * Lote del registro de cambios con el siguiente número de secuencia. El contenido de las
+   * tablas eliminadas no se guarda en el registro.
+   * @private
+   */
+  _changeRecord(events) {
+    return {
+      seq: this._changeSeq + 1,
+      timestamp: new Date().toISOString(),
+      changes: events.map(({ event, payload: { oldDocs, ...payload } }) => ({ type: event, ...payload }))
+    };
+  }
+
+  /**
+   * Notifica un lote. Si no se pudo guardar, el número de secuencia no avanza y no se emite
+   * `change`: watch() solo entrega lotes que se pueden recuperar con resumeAfter.
+   * @private
+   */
+  _announceChanges(record, events, saved) {
+    if (saved) {
+      this._changeSeq = record.seq;
+    }
+    
+    this._emitChanges(events);
+    
+    if (!saved) return;
+    try {
+      this.emit('change', this._clone(record));
+    } catch (error) {
+      console.error(`Error al notificar el evento 'change':`, error);
+    }
+  }
+
+  /**
+   * Ejecuta los hooks `after*` y emite los eventos de unos cambios ya persistidos. Los errores
+   * de los hooks y de los listeners no deshacen el cambio: solo se registran.
+   * @private
+   */
+  _emitChanges(events) {
+    const afterHooks = { insert: 'afterInsert', update: 'afterUpdate', delete: 'afterDelete' };
+    
+    // Los hooks y los oyentes reciben copias: modificarlas no altera los datos ni los índices
+    for (const { event, payload } of events) {
+      const hooks = afterHooks[event] ? this._hooksFor(payload.table, afterHooks[event]) : [];
+      const { oldDoc, newDoc } = hooks.length > 0
+        ? this._clone({ oldDoc: payload.oldDoc, newDoc: payload.newDoc })
+        : {};
+      
+      // Un hook que falla no impide ejecutar los demás ni emitir el evento
+      for (const hook of hooks) {
+        try {
+          if (event === 'update') {
+            hook(newDoc, oldDoc);
+          } else {
+            hook(event === 'insert' ? newDoc : oldDoc);
+          }
+        } catch (error) {
+          console.error(`Error en el hook '${afterHooks[event]}':`, error);
+        }
+      }
+      
+      try {
+        this.emit(event, this._clone(payload));
+      } catch (error) {
+        console.error(`Error al notificar el evento '${event}':`, error);
+      }
+    }
+  }
+
+  /**
+   * Observa los cambios confirmados. Cada lote agrupa los cambios de una escritura (de una
+   * transacción o una migración completa) y tiene un número de secuencia creciente que se
+   * conserva entre reinicios. Con `resumeAfter` se entregan primero los lotes guardados
+   * posteriores a ese número.
+   * @param {string} [tableName] - Tabla a observar (todas si se omite)
+   * @param {Object} options - Opciones
+   * @param {number} options.resumeAfter - Último número de secuencia procesado
+   * @returns {ChangeStream} - Iterador asíncrono de lotes { seq, timestamp, changes }
+   */
+  watch(tableName, options = {}) {
+    if (tableName !== null && typeof tableName === 'object') {
+      options = tableName;
+      tableName = null;
+    }
+    
+    const { resumeAfter } = options;
+    if (resumeAfter === undefined) {
+      const stream = new ChangeStream(this, tableName || null, this._changeSeq);
+      this._changeStreams.add(stream);
+      return stream;
+    }
+    
+    if (!Number.isInteger(resumeAfter) || resumeAfter < 0) {
+      throw new DataOrbitError('resumeAfter debe ser un número de secuencia', 'E_CHANGES');
+    }
+    if (resumeAfter > this._changeSeq) {
+      throw new DataOrbitError(`El lote de cambios ${resumeAfter} no existe (el último es ${this._changeSeq})`, 'E_CHANGES');
+    }
+    
+    // Tienen que estar todos los lotes posteriores, sin huecos
+    const records = resumeAfter < this._changeSeq
+      ? this._readChangeLog().filter(record => record.seq > resumeAfter)
+      : [];
+    if (records.length !== this._changeSeq - resumeAfter || records.some((record, i) => record.seq !== resumeAfter + 1 + i)) {
+      throw new DataOrbitError(`Los cambios posteriores al lote ${resumeAfter} ya no se conservan`, 'E_CHANGES');
+    }
+    
+    const stream = new ChangeStream(this, tableName || null, resumeAfter);
+    records.forEach(record => stream.push(record));
+    this._changeStreams.add(stream);
+    return stream;
+  }
+
+  /**
+   * Ruta del registro de cambios
+   * @private
+   */
+  _changeLogPath() {
+    return `${this.config.file}.changes`;
+  }
+
+  /**
+   * Archivos del registro de cambios, del más antiguo al más reciente. Cuando el actual
+   * llega a `retain` lotes pasa a ser el anterior, de modo que siempre se conservan entre
+   * `retain` y el doble.
+   * @private
+   */
+  _changeLogFiles() {
+    return [`${this._changeLogPath()}.1`, this._changeLogPath()];
+  }
+
+  /**
+   * Añade un lote al registro de cambios
+   * @private
+   */
+  _appendChangeRecord(record) {
+    fs.appendFileSync(this._changeLogPath(), this.encryptData(this._stringify(record), this.config.encryptionKey) + '\n');
+    this._changeLogSize++;
+    
+    if (this._changeLogSize >= this.config.changes.retain) {
+      try {
+        fs.renameSync(...this._changeLogFiles().reverse());
+        this._changeLogSize = 0;
+      } catch (error) {
+        console.warn('No se pudo rotar el registro de cambios:', error.message);
+      }
+    }
+  }
+
+  /**
+   * Versión asíncrona de _appendChangeRecord
+   * @private
+   */
+  async _appendChangeRecordAsync(record) {
+    await this._prepareEncryption(this.config.encryptionKey);
+    const line = this.encryptData(this._stringify(record), this.config.encryptionKey);
+    await fs.promises.appendFile(this._changeLogPath(), line + '\n');
+    this._changeLogSize++;
+    
+    if (this._changeLogSize >= this.config.changes.retain) {
+      try {
+        await fs.promises.rename(...this._changeLogFiles().reverse());
+        this._changeLogSize = 0;
+      } catch (error) {
+        console.warn('No se pudo rotar el registro de cambios:', error.message);
+      }
+    }
+  }
+
+  /**
+   * Lee los lotes guardados en el registro de cambios, ordenados por número de secuencia
+   * @param {string} encryptionKey - Clave con la que están cifrados
+   * @returns {Array}
+   * @private
+   */
+  _readChangeLog(encryptionKey = this.config.encryptionKey) {
+    const content = this._changeLogFiles()
+      .filter(file => fs.existsSync(file))
+      .map(file => fs.readFileSync(file, 'utf8'))
+      .join('\n');
+    return this._parseChangeLog(content, encryptionKey);
+  }
+
+  /**
+   * Descifra el contenido del registro de cambios. Las líneas ilegibles (p. ej. una escritura
+   * interrumpida) se descartan: el registro no afecta a los datos.
+   * @private
+   */
+  _parseChangeLog(content, encryptionKey = this.config.encryptionKey) {
+    const records = [];
+    
+    content.split('\n').forEach((line, i) => {
+      if (line.trim() === '') return;
+      try {
+        records.push(this._parse(this.decryptData(line, encryptionKey)));
+      } catch (error) {
+        console.warn(`Registro de cambios: se descarta la línea ${i + 1}: ${error.message}`);
+      }
+    });
+    
+    return records.sort((a, b) => a.seq - b.seq);
+  }
+
+  /**
+   * Recupera el último número de secuencia del registro de cambios
+   * @private
+   */
+  _loadChangeLog() {
+    // Sin registro la numeración continúa solo mientras la instancia está abierta
+    if (!this.config.changes.enabled) return;
+    
+    const [previous, current] = this._changeLogFiles()
+      .map(file => fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : '');
+    this._setChangeLogState(previous, current);
+  }
+
+  /**
+   * Versión asíncrona de _loadChangeLog
+   * @private
+   */
+  async _loadChangeLogAsync() {
+    if (!this.config.changes.enabled) return;
+    
+    const [previous, current] = await Promise.all(this._changeLogFiles().map(async file => {
+      try {
+        return await fs.promises.readFile(file, 'utf8');
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+        return '';
+      }
+    }));
+    
+    for (const line of `${previous}\n${current}`.split('\n')) {
+      await this._prepareDecryption(line, this.config.encryptionKey);
+    }
+    
+    this._setChangeLogState(previous, current);
+  }
+
+  /**
+   * Recupera el último número de secuencia y el tamaño del archivo actual del registro
+   * @private
+   */
+  _setChangeLogState(previous, current) {
+    const records = this._parseChangeLog(`${previous}\n${current}`);
+    this._changeLogSize = current.split('\n').filter(line => line.trim() !== '').length;
+    this._changeSeq = records.length > 0 ? records[records.length - 1].seq : 0;
+  }
+
+  /**
+   * Vuelve a cifrar el registro de cambios con una nueva clave, sin escribirlo
+   * @returns {Array<[string, string]>} - Pares [archivo, contenido cifrado con la nueva clave]
+   * @private
+   */
+  _rekeyChangeLog(oldKey, newKey) {
+    return this._changeLogFiles().filter(file => fs.existsSync(file)).map(file => {
+      const records = this._parseChangeLog(fs.readFileSync(file, 'utf8'), oldKey);
+      const lines = records.map(record => this.encryptData(this._stringify(record), newKey) + '\n');
+      return [file, lines.join('')];
+    });
+  }
+
+  /**
+   * Ruta del archivo de journal
+   * @private
+   */
+  _journalPath() {
+    return `${this.config.file}.wal`;
+  }
+
+  /**
+   * Persiste una o varias operaciones: las añade al journal o guarda el snapshot completo
+   * @param {Object|Array} entries - Operaciones a persistir
+   * @private
+   */
+  _commit(entries) {
+    if (!this.config.journal.enabled) {
+      return this.saveDatabase();
+    }
+    
+    const list = Array.isArray(entries) ? entries : [entries];
+    
+    try {
+      // Cada línea es una operación cifrada de forma independiente
+      const lines = list
+        .map(entry => this.encryptData(this._stringify(entry), this.config.encryptionKey) + '\n')
+        .join('');
+      fs.appendFileSync(this._journalPath(), lines);
+      this._journalSize += list.length;
+    } catch (error) {
+      console.error('Error al escribir en el journal:', error);
+      throw new Error(`No se pudo guardar la base de datos: ${error.message}`);
+    }
+    
+    // Compactar automáticamente al superar el umbral
+    if (this._journalSize >= this.config.journal.compactThreshold) {
+      this.compact();
+    }
+    
+    return true;
+  }
+
+  /**
+   * Versión asíncrona de _commit
+   * @private
+   */
+  async _commitAsync(entries) {
+    if (entries.length === 0) {
+      return true;
+    }
+    
+    if (!this.config.journal.enabled) {
+      return this.saveDatabaseAsync();
+    }
+    
+    try {
+      await this._prepareEncryption(this.config.encryptionKey);
+      const lines = entries
+        .map(entry => this.encryptData(this._stringify(entry), this.config.encryptionKey) + '\n')
+        .join('');
+      await fs.promises.appendFile(this._journalPath(), lines);
+      this._journalSize += entries.length;
+    } catch (error) {
+      console.error('Error al escribir en el journal:', error);
+      throw new Error(`No se pudo guardar la base de datos: ${error.message}`);
+    }
+    
+    // Compactar automáticamente al superar el umbral
+    if (this._journalSize >= this.config.journal.compactThreshold) {
+      await this.saveDatabaseAsync();
+    }
+    
+    return true;
+  }
+
+  /**
+   * Tamaño en bytes del journal
+   * @private
+   */
+  _journalBytes() {
+    try {
+      return fs.statSync(this._journalPath()).size;
+    } catch (error) {
+      if (error.code === 'ENOENT') return 0;
+      throw error;
+    }
+  }
+
+  /**
+   * Vacía el journal o, si se indica, solo sus primeros bytes: los que ya contiene el
+   * snapshot recién guardado. Es síncrono para que ninguna escritura síncrona pueda añadir
+   * una operación entre la comprobación del tamaño y el borrado.
+   * @param {number} bytes - Bytes que se descartan (por defecto, todos)
+   * @private
+   */
+  _truncateJournal(bytes = Infinity) {
+    const size = this._journalBytes();
+    
+    if (size <= bytes) {
+      if (size > 0 || fs.existsSync(this._journalPath())) {
+        fs.rmSync(this._journalPath(), { force: true });
+      }
+      this._journalSize = 0;
+      return;
+    }
+    
+    const tail = fs.readFileSync(this._journalPath()).subarray(bytes).toString('utf8');
+    this._writeFileAtomic(this._journalPath(), tail);
+    this._journalSize = tail.split('\n').filter(line => line.trim() !== '').length;
+  }
+
+  /**
+   * Versión asíncrona de _truncateJournal
+   * @private
+   */
+  async _truncateJournalAsync() {
+    await fs.promises.rm(this._journalPath(), { force: true });
+    this._journalSize = 0;
+  }
+
+  /**
+   * Aplica sobre los datos cargados las operaciones del journal
+   * @private
+   */
+  _replayJournal() {
+    this._journalSize = 0;
+    
+    if (!fs.existsSync(this._journalPath())) {
+      return;
+    }
+    
+    const validContent = this._applyJournalContent(fs.readFileSync(this._journalPath(), 'utf8'));
+    if (validContent !== null) {
+      fs.writeFileSync(this._journalPath(), validContent);
+    }
+  }
+
+  /**
+   * Versión asíncrona de _replayJournal
+   * @private
+   */
+  async _replayJournalAsync() {
+    this._journalSize = 0;
+    
+    let content;
+    try {
+      content = await fs.promises.readFile(this._journalPath(), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+    
+    // Derivar de antemano las claves de las sales presentes en el journal
+    for (const line of content.split('\n')) {
+      await this._prepareDecryption(line, this.config.encryptionKey);
+    }
+    
+    const validContent = this._applyJournalContent(content);
+    if (validContent !== null) {
+      await fs.promises.writeFile(this._journalPath(), validContent);
+    }
+  }
+
+  /**
+   * Aplica las operaciones contenidas en el journal
+   * @param {string} content - Contenido del journal
+   * @returns {string|null} - Contenido válido si hubo que descartar una línea incompleta
+   * @private
+   */
+  _applyJournalContent(content) {
+    const lines = content.split('\n');
+    const entries = [];
+    let validContent = null;
+    
+    for (let i = 0; i < lines.length; i++) {
+      if (lines[i].trim() === '') continue;
+      
+      try {
+        entries.push(this._parse(this.decryptData(lines[i], this.config.encryptionKey)));
+      } catch (error) {
+        // Una última línea incompleta indica una escritura interrumpida: se descarta
+        if (lines.slice(i + 1).every(line => line.trim() === '')) {
+          console.warn(`Journal: se descarta una operación incompleta en la línea ${i + 1}`);
+          const validLines = lines.slice(0, i).filter(line => line.trim() !== '');
+          validContent = validLines.map(line => line + '\n').join('');
+          break;
+        }
+        throw new Error(`Journal corrupto en la línea ${i + 1}: ${error.message}`);
+      }
+    }
+    
+    // Se aplican en orden de secuencia y se omiten las que el snapshot ya contiene (las
+    // operaciones de versiones anteriores, sin número, se aplican antes en su orden)
+    const snapshotSeq = this._journalSeq;
+    entries.sort((a, b) => (a.seq || 0) - (b.seq || 0));
+    
+    for (const entry of entries) {
+      if (!entry.seq || entry.seq > snapshotSeq) {
+        this._applyJournalEntry(entry);
+        this._journalSeq = Math.max(this._journalSeq, entry.seq || 0);
+      }
+      this._journalSize++;
+    }
+    
+    return validContent;
+  }
+
+  /**
+   * Aplica una operación del journal. Las operaciones son idempotentes para que
+   * repetirlas sobre un snapshot que ya las contiene no altere el resultado.
+   * @private
+   */
+  _applyJournalEntry(entry) {
+    const { op, table } = entry;
+    const primaryKey = this.config.tables[table]?.primaryKey || 'id';
+    const rows = this.data[table];
+    
+    switch (op) {
+      case 'insert':
+      case 'update': {
+        if (!rows) {
+          this.data[table] = [];
+        }
+        const key = op === 'insert' ? entry.doc[primaryKey] : entry.key;
+        const index = this.data[table].findIndex(item => item[primaryKey] === key);
+        if (index === -1) {
+          this.data[table].push(entry.doc);
+        } else {
+          this.data[table][index] = entry.doc;
+        }
+        break;
+      }
+      case 'delete': {
+        if (!rows) break;
+        const index = rows.findIndex(item => item[primaryKey] === entry.key);
+        if (index !== -1) {
+          rows.splice(index, 1);
+        }
+        break;
+      }
+      case 'createTable':
+        if (!rows) {
+          this.data[table] = [];
+        }
+        if (!this.config.tables[table]) {
+          this.config.tables[table] = {
+            primaryKey: 'id',
+            schema: entry.schema || {}
+          };
+        }
+        break;
+      case 'dropTable':
+        delete this.data[table];
+        break;
+      case 'batch':
+        // Operaciones de una transacción, escritas en una sola línea
+        entry.entries.forEach(item => this._applyJournalEntry(item));
+        break;
+      default:
+        throw new Error(`Operación de journal desconocida: '${op}'`);
+    }
+  }
+
+  /**
+   * Cifra los datos con la clave proporcionada (AES-256-GCM con clave derivada por scrypt)
+   * @param {string} data - Datos a cifrar
+   * @param {string} encryptionKey - Clave de cifrado
+   * @returns {string} - Datos cifrados: `v2$cifrado$kdf$sal$iv$tag$datos`
+   */
+  encryptData(data, encryptionKey) {
+    const salt = this._saltFor(encryptionKey);
+    const key = this._deriveKey(encryptionKey, salt, KDF);
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(CIPHER, key, iv);
+    
+    const encrypted = Buffer.concat([cipher.update(data, 'utf8'), cipher.final()]);
+    const tag = cipher.getAuthTag();
+    
+    return [
+      ENVELOPE_VERSION,
+      CIPHER,
+      `${KDF.name}:${KDF.N}:${KDF.r}:${KDF.p}`,
+      salt.toString('hex'),
+      iv.toString('hex'),
+      tag.toString('hex'),
+      encrypted.toString('base64')
+    ].join('$');
+  }
+
+  /**
+   * Descifra los datos con la clave proporcionada
+   * @param {string} encryptedData - Datos cifrados
+   * @param {string} encryptionKey - Clave de cifrado
+   * @returns {string} - Datos descifrados
+   * @throws {DataOrbitError} - E_AUTH si la clave es incorrecta o los datos fueron manipulados
+   */
+  decryptData(encryptedData, encryptionKey) {
+    if (encryptedData.startsWith(`${ENVELOPE_VERSION}$`)) {
+      return this._decryptEnvelope(encryptedData, encryptionKey);
+    }
+    
+    // Separar IV y datos cifrados
+    const parts = encryptedData.split(':');
+    if (parts.length !== 2) {
+      // Compatibilidad con versiones anteriores (método XOR)
+      return this._legacyDecrypt(encryptedData, encryptionKey);
+    }
+    
+    return this._legacyDecryptCbc(parts, encryptionKey);
+  }
+
+  /**
+   * Descifra un sobre en formato v2
+   * @private
+   */
+  _decryptEnvelope(encryptedData, encryptionKey) {
+    const [, cipherName, kdfSpec, saltHex, ivHex, tagHex, encrypted] = encryptedData.split('$');
+    
+    if (cipherName !== CIPHER) {
+      throw new DataOrbitError(`Algoritmo de cifrado no soportado: '${cipherName}'`, 'E_UNSUPPORTED');
+    }
+    
+    const [kdfName, N, r, p] = String(kdfSpec).split(':');
+    if (kdfName !== KDF.name) {
+      throw new DataOrbitError(`Función de derivación de clave no soportada: '${kdfName}'`, 'E_UNSUPPORTED');
+    }
+    
+    try {
+      const key = this._deriveKey(encryptionKey, Buffer.from(saltHex, 'hex'), { name: kdfName, N: Number(N), r: Number(r), p: Number(p) });
+      const decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(ivHex, 'hex'));
+      decipher.setAuthTag(Buffer.from(tagHex, 'hex'));
+      
+      return Buffer.concat([decipher.update(Buffer.from(encrypted, 'base64')), decipher.final()]).toString('utf8');
+    } catch (error) {
+      throw new DataOrbitError('No se pudieron autenticar los datos: la clave es incorrecta o los datos han sido manipulados', 'E_AUTH');
+    }
+  }
+
+  /**
+   * Deriva (y memoriza) la clave AES a partir de la clave de cifrado y la sal
+   * @private
+   */
+  _deriveKey(encryptionKey, salt, kdf) {
+    if (!this._keyCache) {
+      this._keyCache = new Map();
+    }
+    
+    const cacheKey = this._keyCacheKey(encryptionKey, salt, kdf);
+    if (!this._keyCache.has(cacheKey)) {
+      this._keyCache.set(cacheKey, crypto.scryptSync(encryptionKey, salt, 32, { N: kdf.N, r: kdf.r, p: kdf.p }));
+    }
+    
+    return this._keyCache.get(cacheKey);
+  }
+
+  /**
+   * Sal usada para cifrar con una clave durante la vida de la instancia.
+   * Cada sobre lleva su propio IV, por lo que reutilizar la sal evita repetir scrypt en cada escritura.
+   * @private
+   */
+  _saltFor(encryptionKey) {
+    if (!this._salts) {
+      this._salts = new Map();
+    }
+    
+    const keyHash = crypto.createHash('sha256').update(encryptionKey).digest('hex');
+    if (!this._salts.has(keyHash)) {
+      this._salts.set(keyHash, crypto.randomBytes(16));
+    }
+    
+    return this._salts.get(keyHash);
+  }
+
+  /**
+   * Deriva de forma asíncrona la clave con la que se cifrará, para que encryptData no bloquee
+   * @private
+   */
+  async _prepareEncryption(encryptionKey) {
+    await this._deriveKeyAsync(encryptionKey, this._saltFor(encryptionKey), KDF);
+  }
+
+  /**
+   * Deriva de forma asíncrona la clave necesaria para descifrar un sobre v2
+   * @private
+   */
+  async _prepareDecryption(encryptedData, encryptionKey) {
+    if (!encryptedData.startsWith(`${ENVELOPE_VERSION}$`)) return;
+    
+    const [, , kdfSpec, saltHex] = encryptedData.split('$');
+    const [kdfName, N, r, p] = String(kdfSpec).split(':');
+    if (kdfName !== KDF.name || !saltHex) return;
+    
+    await this._deriveKeyAsync(encryptionKey, Buffer.from(saltHex, 'hex'), { name: kdfName, N: Number(N), r: Number(r), p: Number(p) });
+  }
+
+  /**
+   * Versión asíncrona de _deriveKey, con la misma caché
+   * @private
+   */
+  async _deriveKeyAsync(encryptionKey, salt, kdf) {
+    if (!this._keyCache) {
+      this._keyCache = new Map();
+    }
+    
+    const cacheKey = this._keyCacheKey(encryptionKey, salt, kdf);
+    if (!this._keyCache.has(cacheKey)) {
+      this._keyCache.set(cacheKey, await scryptAsync(encryptionKey, salt, 32, { N: kdf.N, r: kdf.r, p: kdf.p }));
+    }
+    
+    return this._keyCache.get(cacheKey);
+  }
+
+  /**
+   * Clave de la caché de claves derivadas
+   * @private
+   */
+  _keyCacheKey(encryptionKey, salt, kdf) {
+    return [
+      crypto.createHash('sha256').update(encryptionKey).digest('hex'),
+      salt.toString('hex'),
+      kdf.N, kdf.r, kdf.p
+    ].join(':');
+  }
+
+  /**
+   * Cambia la clave de cifrado del archivo y, opcionalmente, de todos los backups
+   * @param {string} oldKey - Clave de cifrado actual
+   * @param {string} newKey - Nueva clave de cifrado
+   * @param {Object} options - Opciones
+   * @param {boolean} options.backups - Volver a cifrar también los backups (por defecto true)
+   * @returns {Object} - Backups cifrados de nuevo y backups que no se pudieron descifrar
+   */
+  rekey(oldKey, newKey, options = {}) {
+    if (this._needsLock()) {
+      return this._write(() => this.rekey(oldKey, newKey, options));
+    }
+    
+    if (!newKey) throw new Error('Debe especificar la nueva clave de cifrado');
+    if (oldKey !== this.config.encryptionKey) {
+      throw new DataOrbitError('La clave actual no coincide con la de la base de datos', 'E_AUTH');
+    }
+    
+    // Volcar el journal, cifrado con la clave antigua, en el archivo principal
+    this.compact();
+    
+    const data = this._readDatabaseFile(this.config.file, oldKey);
+    this._rekeyFields(data, oldKey, newKey);
+    // El archivo y el registro de cambios se sustituyen juntos: si uno de los dos no se
+    // pudiera escribir, el otro quedaría cifrado con una clave distinta
+    this._replaceFiles([
+      [this.config.file, this._serializeDatabaseFile(this._stringify(data, 2), newKey)],
+      ...this._rekeyChangeLog(oldKey, newKey)
+    ]);
+    this.config.encryptionKey = newKey;
+    
+    // Los campos cifrados con la clave general han cambiado de valor
+    this._setSnapshot(data);
+    this._initializeUniqueKeyMaps();
+    this._initializeIndexes();
+    
+    const result = { file: this.config.file, backups: [], failed: [] };
+    
+    if (options.backups === false) {
+      return result;
+    }
+    
+    for (const backupFile of this.listBackups()) {
+      try {
+        const backupData = this._readDatabaseFile(backupFile, oldKey);
+        this._rekeyFields(backupData, oldKey, newKey);
+        this._writeFileAtomic(backupFile, this._serializeDatabaseFile(this._stringify(backupData, 2), newKey));
+        result.backups.push(backupFile);
+      } catch (error) {
+        result.failed.push({ file: backupFile, error: error.message });
+      }
+    }
+    
+    if (result.failed.length > 0) {
+      console.warn(`${result.failed.length} backup(s) no se pudieron descifrar con la clave anterior`);
+    }
+    
+    return result;
+  }
+
+  /**
+   * Cambia la clave de cifrado del archivo y, opcionalmente, de todos los backups (versión asíncrona)
+   * @param {string} oldKey - Clave de cifrado actual
+   * @param {string} newKey - Nueva clave de cifrado
+   * @param {Object} options - Opciones
+   * @param {boolean} options.backups - Volver a cifrar también los backups (por defecto true)
+   * @returns {Promise<Object>} - Backups cifrados de nuevo y backups que no se pudieron descifrar
+   */
+  async rekeyAsync(oldKey, newKey, options = {}) {
+    if (this._transaction && !this._transactionContext.getStore()) {
+      await this._waitForTransaction();
+    }
+    
+    if (this._needsLockAsync()) {
+      return this._writeAsync(() => this.rekeyAsync(oldKey, newKey, options));
+    }
+    
+    if (!newKey) throw new Error('Debe especificar la nueva clave de cifrado');
+    if (oldKey !== this.config.encryptionKey) {
+      throw new DataOrbitError('La clave actual no coincide con la de la base de datos', 'E_AUTH');
+    }
+    
+    await this.flush();
+    
+    const result = { file: this.config.file, backups: [], failed: [] };
+    
+    // En exclusiva: una escritura síncrona durante el cambio se registraría con la clave
+    // antigua en el journal y se perdería al recargar los datos del archivo
+    await this._exclusiveAsync(() => this._enqueueIO(async () => {
+      // Volcar el journal, cifrado con la clave antigua, en el archivo principal
+      await this.saveDatabaseAsync();
+      
+      const data = await this._readDatabaseFileAsync(this.config.file, oldKey);
+      this._rekeyFields(data, oldKey, newKey);
+      const content = await this._serializeDatabaseFileAsync(this._stringify(data, 2), newKey);
+      await this._replaceFilesAsync([[this.config.file, content], ...this._rekeyChangeLog(oldKey, newKey)]);
+      this.config.encryptionKey = newKey;
+      
+      // Los campos cifrados con la clave general han cambiado de valor
+      this._setSnapshot(data);
+      this._initializeUniqueKeyMaps();
+      this._initializeIndexes();
+    }));
+    
+    if (options.backups === false) {
+      return result;
+    }
+    
+    for (const backupFile of this.listBackups()) {
+      try {
+        const backupData = await this._readDatabaseFileAsync(backupFile, oldKey);
+        this._rekeyFields(backupData, oldKey, newKey);
+        const content = await this._serializeDatabaseFileAsync(this._stringify(backupData, 2), newKey);
+        await this._writeFileAtomicAsync(backupFile, content);
+        result.backups.push(backupFile);
+      } catch (error) {
+        result.failed.push({ file: backupFile, error: error.message });
+      }
+    }
+    
+    if (result.failed.length > 0) {
+      console.warn(`${result.failed.length} backup(s) no se pudieron descifrar con la clave anterior`);
+    }
+    
+    return result;
+  }
+
+  /**
+   * Campos de una tabla marcados como cifrados en el esquema
+   * @private
+   */
+  _encryptedFields(tableName) {
+    const schema = this.config.tables[tableName]?.schema || {};
+    return Object.keys(schema).filter(field => schema[field].encrypted === true);
+  }
+
+  /**
+   * Indica si un valor ya está cifrado a nivel de campo
+   * @private
+   */
+  _isEncryptedValue(value) {
+    return typeof value === 'string' && value.startsWith(`${FIELD_ENVELOPE}$`);
+  }
+
+  /**
+   * Claves de cifrado y de IV sintético de un campo. Se derivan de la clave propia del
+   * campo o de la general, usando la tabla y el campo como sal.
+   * @private
+   */
+  _fieldKeys(tableName, field, baseKey) {
+    const fieldKey = this.config.tables[tableName].schema[field].key;
+    const root = this._deriveKey(fieldKey || baseKey, Buffer.from(`field:${tableName}.${field}`), KDF);
+    
+    return {
+      encKey: crypto.createHmac('sha256', root).update('enc').digest(),
+      macKey: crypto.createHmac('sha256', root).update('mac').digest()
+    };
+  }
+
+  /**
+   * Cifra el valor de un campo de forma determinista: el IV se obtiene del HMAC del valor,
+   * de modo que un mismo valor produce siempre el mismo texto cifrado y puede buscarse por igualdad.
+   * @private
+   */
+  _encryptFieldValue(tableName, field, value, baseKey = this.config.encryptionKey) {
+    if (value === undefined || value === null) {
+      return value;
+    }
+    
+    const { encKey, macKey } = this._fieldKeys(tableName, field, baseKey);
+    
+    // Las fechas se cifran como texto ISO, igual que en versiones anteriores
+    const plaintext = value instanceof Date ? JSON.stringify(value) : this._stringify(value);
+    const iv = crypto.createHmac('sha256', macKey).update(plaintext).digest().subarray(0, 12);
+    const cipher = crypto.createCipheriv(CIPHER, encKey, iv);
+    const encrypted = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+    
+    return [FIELD_ENVELOPE, iv.toString('hex'), cipher.getAuthTag().toString('hex'), encrypted.toString('base64')].join('$');
+  }
+
+  /**
+   * Descifra el valor de un campo
+   * @private
+   */
+  _decryptFieldValue(tableName, field, value, baseKey = this.config.encryptionKey) {
+    if (!this._isEncryptedValue(value)) {
+      return value;
+    }
+    
+    const [, ivHex, tagHex, encrypted] = value.split('$');
+    const { encKey } = this._fieldKeys(tableName, field, baseKey);
+    
+    try {
+      const decipher = crypto.createDecipheriv(CIPHER, encKey, Buffer.from(ivHex, 'hex'));
+      decipher.setAuthTag(Buffer.from(tagHex, 'hex'));
+      const decrypted = Buffer.concat([decipher.update(Buffer.from(encrypted, 'base64')), decipher.final()]);
+      
+      // Las fechas se cifraron como texto ISO: se devuelven con el tipo del esquema
+      const { type } = this.config.tables[tableName].schema[field];
+      return this._reviveValue(this._parse(decrypted.toString('utf8')), type);
+    } catch (error) {
+      throw new DataOrbitError(`No se pudo descifrar el campo '${field}' de la tabla '${tableName}'`, 'E_AUTH');
+    }
+  }
+
+  /**
+   * Cifra los campos marcados como cifrados de un documento. Los valores de quien llama se
+   * cifran siempre, aunque parezcan cifrados; solo se conservan los que ya estaban guardados
+   * cifrados en el documento de origen.
+   * @param {string} tableName - Nombre de la tabla
+   * @param {Object} doc - Documento a cifrar
+   * @param {Object} stored - Documento guardado del que procede (al actualizar o importar)
+   * @private
+   */
+  _encryptFields(tableName, doc, stored = null) {
+    const fields = this._encryptedFields(tableName);
+    if (fields.length === 0) return doc;
+    
+    let encrypted = { ...doc };
+    for (const field of fields) {
+      const value = this._getPath(encrypted, field);
+      const unchanged = stored && this._isEncryptedValue(value) && value === this._getPath(stored, field);
+      if (value !== undefined && !unchanged) {
+        encrypted = this._withPath(encrypted, field, this._encryptFieldValue(tableName, field, value));
+      }
+    }
+    
+    return encrypted;
+  }
+
+  /**
+   * Devuelve copias de los documentos con los campos cifrados en claro
+   * @param {string} tableName - Nombre de la tabla
+   * @param {Object|Array} docs - Documento o documentos a descifrar
+   * @returns {Object|Array} - Copia(s) descifrada(s)
+   */
+  decryptFields(tableName, docs) {
+    const fields = this._encryptedFields(tableName);
+    
+    const decryptDoc = doc => {
+      if (!doc) return doc;
+      let decrypted = { ...doc };
+      for (const field of fields) {
+        const value = this._getPath(decrypted, field);
+        if (value !== undefined) {
+          decrypted = this._withPath(decrypted, field, this._decryptFieldValue(tableName, field, value));
+        }
+      }
+      return decrypted;
+    };
+    
+    return Array.isArray(docs) ? docs.map(decryptDoc) : decryptDoc(docs);
+  }
+
+  /**
+   * Prepara una consulta para una tabla: convierte en fechas los valores de texto de los
+   * campos de tipo Date y después cifra los valores de los campos cifrados
+   * @private
+   */
+  _prepareQuery(tableName, query) {
+    return this._encryptQuery(tableName, this._reviveQueryDates(tableName, query));
+  }
+
+  /**
+   * Convierte en fechas los valores de texto de los campos de tipo Date de una consulta
+   * @private
+   */
+  _reviveQueryDates(tableName, query) {
+    const schema = this.config.tables[tableName]?.schema || {};
+    const dateFields = Object.keys(schema).filter(field => schema[field].type === DataType.DATE);
+    if (!query || dateFields.length === 0) return query;
+    
+    const prepared = { ...query };
+    
+    // Condiciones anidadas en operadores lógicos
+    for (const op of ['$or', '$and', '$nor']) {
+      if (Array.isArray(prepared[op])) {
+        prepared[op] = prepared[op].map(condition => this._reviveQueryDates(tableName, condition));
+      }
+    }
+    
+    for (const field of dateFields) {
+      if (!(field in prepared)) continue;
+      
+      // Las fechas se guardan como Date: las igualdades con texto también se convierten
+      if (!this._isOperatorObject(prepared[field])) {
+        prepared[field] = this._toDate(prepared[field]);
+        continue;
+      }
+      
+      const operators = { ...prepared[field] };
+      for (const op of ['$eq', '$ne', '$gt', '$gte', '$lt', '$lte']) {
+        if (op in operators) {
+          operators[op] = this._toDate(operators[op]);
+        }
+      }
+      for (const op of ['$in', '$nin']) {
+        if (Array.isArray(operators[op])) {
+          operators[op] = operators[op].map(value => this._toDate(value));
+        }
+      }
+      prepared[field] = operators;
+    }
+    
+    return prepared;
+  }
+
+  /**
+   * Convierte un texto con una fecha en un Date; el resto de valores no cambia
+   * @private
+   */
+  _toDate(value) {
+    if (typeof value === 'string') {
+      const time = Date.parse(value);
+      if (!isNaN(time)) return new Date(time);
+    }
+    return value;
+  }
+
+  /**
+   * Sustituye en una consulta los valores de los campos cifrados por su texto cifrado
+   * @private
+   */
+  _encryptQuery(tableName, query) {
+    const fields = this._encryptedFields(tableName);
+    if (!query || fields.length === 0) return query;
+    
+    const encrypted = { ...query };
+    
+    // Condiciones anidadas en operadores lógicos
+    for (const op of ['$or', '$and', '$nor']) {
+      if (Array.isArray(encrypted[op])) {
+        encrypted[op] = encrypted[op].map(condition => this._encryptQuery(tableName, condition));
+      }
+    }
+    
+    for (const field of fields) {
+      if (!(field in encrypted)) continue;
+      
+      const queryValue = encrypted[field];
+      if (!this._isOperatorObject(queryValue)) {
+        encrypted[field] = this._encryptFieldValue(tableName, field, queryValue);
+        continue;
+      }
+      
+      const operators = {};
+      for (const op in queryValue) {
+        if (op === '$eq' || op === '$ne') {
+          operators[op] = this._encryptFieldValue(tableName, field, queryValue[op]);
+        } else if (op === '$in' || op === '$nin') {
+          operators[op] = queryValue[op].map(value => this._encryptFieldValue(tableName, field, value));
+        } else {
+          throw new DataOrbitError(`El campo cifrado '${field}' solo admite comparaciones de igualdad`, 'E_QUERY');
+        }
+      }
+      encrypted[field] = operators;
+    }
+    
+    return encrypted;
+  }
+
+  /**
+   * Vuelve a cifrar los campos que dependen de la clave general al cambiarla
+   * @private
+   */
+  _rekeyFields(data, oldKey, newKey) {
+    for (const tableName in data) {
+      const fields = this._encryptedFields(tableName)
+        .filter(field => !this.config.tables[tableName].schema[field].key);
+      if (fields.length === 0) continue;
+      
+      data[tableName] = data[tableName].map(doc => {
+        let rekeyed = doc;
+        for (const field of fields) {
+          const encryptedValue = this._getPath(rekeyed, field);
+          if (this._isEncryptedValue(encryptedValue)) {
+            const value = this._decryptFieldValue(tableName, field, encryptedValue, oldKey);
+            rekeyed = this._withPath(rekeyed, field, this._encryptFieldValue(tableName, field, value, newKey));
+          }
+        }
+        return rekeyed;
+      });
+    }
+  }
+
+  /**
+   * Método de descifrado AES-256-CBC de los archivos sin cabecera de versión
+   * @private
+   */
+  _legacyDecryptCbc(parts, encryptionKey) {
+    const key = crypto.createHash('sha256').update(encryptionKey).digest('base64').substr(0, 32);
+    
+    try {
+      const iv = Buffer.from(parts[0], 'hex');
+      const decipher = crypto.createDecipheriv('aes-256-cbc', Buffer.from(key), iv);
+      let decrypted = decipher.update(parts[1], 'hex', 'utf8');
+      decrypted += decipher.final('utf8');
+      
+      return decrypted;
+    } catch (error) {
+      throw new DataOrbitError('No se pudieron descifrar los datos: la clave es incorrecta o los datos están dañados', 'E_AUTH');
+    }
+  }
+  
+  /**
+   * Método de descifrado antiguo para compatibilidad
+   * @private
+   */
+  _legacyDecrypt(data, encryptionKey) {
+    let decrypted = '';
+    for (let i = 0; i < data.length; i++) {
+      decrypted += String.fromCharCode(data.charCodeAt(i) ^ encryptionKey.charCodeAt(i % encryptionKey.length));
+    }
+    return decrypted;
+  }
+
+  /**
+   * Valida los datos contra el esquema definido. Se comprueban todos los campos y, si hay
+   * errores, se lanza un DataOrbitError con código E_VALIDATION y la lista en `errors`.
+   * @private
+   */
+  _validateDataAgainstSchema(tableName, data) {
+    const schema = this.config.tables[tableName]?.schema;
+    if (!schema) return true; // Sin esquema, no hay validación
+    
+    // Los pasos intermedios de una migración no tienen por qué cumplir el esquema final
+    if (this._migrating) return true;
+    
+    const errors = [];
+    this._validateSchema(schema, data, '', data, errors);
+    
+    if (errors.length > 0) {
+      const error = new DataOrbitError(
+        `Datos no válidos para la tabla '${tableName}': ${errors.map(e => e.message).join('; ')}`,
+        'E_VALIDATION'
+      );
+      error.errors = errors;
+      throw error;
+    }
+    
+    return true;
+  }
+
+  /**
+   * Valida los campos de un objeto contra un esquema, acumulando los errores
+   * @param {Object} schema - Definición de los campos
+   * @param {Object} value - Objeto a validar
+   * @param {string} prefix - Ruta del objeto dentro del documento ('' en la raíz)
+   * @param {Object} doc - Documento completo (para los validadores personalizados)
+   * @param {Array<Object>} errors - Errores { field, rule, message }
+   * @private
+   */
+  _validateSchema(schema, value, prefix, doc, errors) {
+    for (const field in schema) {
+      this._validateValue(schema[field], this._getPath(value, field), prefix + field, doc, errors);
+    }
+  }
+
+  /**
+   * Valida un valor contra la definición de un campo
+   * @param {Object} definition - { type, required, nullable, min, max, minLength, maxLength, enum, pattern, schema, items, validate, encrypted }
+   * @param {any} value - Valor a validar
+   * @param {string} field - Ruta del campo (para los mensajes)
+   * @param {Object} doc - Documento completo
+   * @param {Array<Object>} errors - Errores acumulados
+   * @private
+   */
+  _validateValue(definition, value, field, doc, errors) {
+    const fail = (rule, message) => errors.push({ field, rule, message });
+    
+    // Verificar campos obligatorios; null solo se admite en los obligatorios si son nullable
+    if (value === undefined) {
+      if (definition.required === true) {
+        fail('required', `El campo '${field}' es obligatorio`);
+      }
+      return;
+    }
+    if (value === null) {
+      if (definition.required === true && definition.nullable !== true) {
+        fail('required', `El campo '${field}' es obligatorio`);
+      } else if (definition.nullable === false) {
+        fail('nullable', `El campo '${field}' no puede ser null`);
+      }
+      return;
+    }
+    
+    // Los valores ya cifrados se validaron antes de cifrarse
+    if (definition.encrypted && this._isEncryptedValue(value)) {
+      return;
+    }
+    
+    if (definition.type && !this._validateFieldType(value, definition.type)) {
+      fail('type', `El campo '${field}' debe ser de tipo ${definition.type}`);
+      return;
+    }
+    
+    // Rangos de números y fechas
+    const comparable = definition.type === DataType.DATE ? this._toDate(value) : value;
+    const bound = limit => definition.type === DataType.DATE ? this._toDate(limit) : limit;
+    if (definition.min !== undefined && comparable < bound(definition.min)) {
+      fail('min', `El campo '${field}' debe ser mayor o igual que ${definition.min}`);
+    }
+    if (definition.max !== undefined && comparable > bound(definition.max)) {
+      fail('max', `El campo '${field}' debe ser menor o igual que ${definition.max}`);
+    }
+    
+    // Longitud de textos y arrays
+    if (typeof value === 'string' || Array.isArray(value)) {
+      const unit = typeof value === 'string' ? 'caracteres' : 'elementos';
+      if (definition.minLength !== undefined && value.length < definition.minLength) {
+        fail('minLength', `El campo '${field}' debe tener al menos ${definition.minLength} ${unit}`);
+      }
+      if (definition.maxLength !== undefined && value.length > definition.maxLength) {
+        fail('maxLength', `El campo '${field}' debe tener como máximo ${definition.maxLength} ${unit}`);
+      }
+    }
+    
+    if (Array.isArray(definition.enum) && !definition.enum.some(option => this._valuesEqual(option, value))) {
+      fail('enum', `El campo '${field}' debe ser uno de: ${definition.enum.map(option => JSON.stringify(option)).join(', ')}`);
+    }
+    
+    if (definition.pattern !== undefined && typeof value === 'string') {
+      const pattern = definition.pattern instanceof RegExp ? definition.pattern : new RegExp(definition.pattern);
+      if (!this._matchesRegex(value, pattern)) {
+        fail('pattern', `El campo '${field}' no tiene el formato esperado`);
+      }
+    }
+    
+    // Objetos anidados y elementos de arrays
+    if (definition.schema && typeof value === 'object' && !Array.isArray(value)) {
+      this._validateSchema(definition.schema, value, `${field}.`, doc, errors);
+    }
+    if (definition.items && Array.isArray(value)) {
+      value.forEach((element, i) => this._validateValue(definition.items, element, `${field}.${i}`, doc, errors));
+    }
+    
+    // Validador personalizado: devuelve false o un mensaje si el valor no es válido
+    if (typeof definition.validate === 'function') {
+      let result;
+      try {
+        result = definition.validate(value, doc);
+      } catch (error) {
+        result = error.message;
+      }
+      
+      if (result === false) {
+        fail('validate', `El campo '${field}' no es válido`);
+      } else if (typeof result === 'string') {
+        fail('validate', result);
+      }
+    }
+  }
+
+  /**
+   * Devuelve una copia del documento con los valores por defecto del esquema en los
+   * campos ausentes (también en los objetos anidados presentes)
+   * @param {string} tableName - Nombre de la tabla
+   * @param {Object} data - Documento
+   * @returns {Object} - Documento con los valores por defecto
+   * @private
+   */
+  _applyDefaults(tableName, data) {
+    const schema = this.config.tables[tableName]?.schema;
+    return schema ? this._withDefaults(schema, data, data) : data;
+  }
+
+  /**
+   * Aplica los valores por defecto de un esquema sobre un objeto sin modificarlo
+   * @private
+   */
+  _withDefaults(schema, value, doc) {
+    let result = value;
+    
+    for (const field in schema) {
+      const definition = schema[field];
+      let current = this._getPath(result, field);
+      
+      if (current === undefined && definition.default !== undefined) {
+        current = typeof definition.default === 'function'
+          ? definition.default(doc)
+          : this._clone(definition.default);
+        result = this._withPath(result, field, current);
+      }
+      
+      if (definition.schema && current !== null && typeof current === 'object' && !Array.isArray(current)) {
+        const nested = this._withDefaults(definition.schema, current, doc);
+        if (nested !== current) {
+          result = this._withPath(result, field, nested);
+        }
+      }
+    }
+    
+    return result;
+  }
+
+  /**
+   * Valida el tipo de un campo
+   * @private
+   */
+  _validateFieldType(value, type) {
+    switch (type) {
+      case DataType.TEXT:
+        return typeof value === 'string';
+      case DataType.NUMBER:
+        return typeof value === 'number';
+      case DataType.BOOLEAN:
+        return typeof value === 'boolean';
+      case DataType.DATE:
+        return value instanceof Date || !isNaN(Date.parse(value));
+      case DataType.OBJECT:
+        return typeof value === 'object' && !Array.isArray(value) && value !== null;
+      case DataType.ARRAY:
+        return Array.isArray(value);
+      case DataType.PATH:
+        return typeof value === 'string' && fs.existsSync(value);
+      case DataType.BIGINT:
+        return typeof value === 'bigint';
+      case DataType.BUFFER:
+        return Buffer.isBuffer(value);
+      case DataType.MAP:
+        return value instanceof Map;
+      case DataType.SET:
+        return value instanceof Set;
+      default:
+        return true; // Tipo desconocido, no validar
+    }
+  }
+
+  /**
+   * Inserta un documento en una tabla
+   * @param {string} tableName - Nombre de la tabla
+   * @param {Object} data - Datos a insertar
+   * @returns {Object} - Documento insertado
+   */
+  insert(tableName, data) {
+    return this._write(() => this._insertDoc(tableName, data));
+  }
+
+  /**
+   * Inserta un documento en una tabla (versión asíncrona)
+   * @param {string} tableName - Nombre de la tabla
+   * @param {Object} data - Datos a insertar
+   * @returns {Promise<Object>} - Documento insertado
+   */
+  async insertAsync(tableName, data) {
+    return this._writeAsync(() => this._insertDoc(tableName, data));
+  }
+
+  /**
+   * Inserta un documento en memoria y registra la operación
+   * @private
+   */
+  _insertDoc(tableName, data) {
+    // Los hooks pueden modificar o rechazar el documento
+    data = this._runBeforeHooks(tableName, 'beforeInsert', data);
+    
+    // Si el documento se rechaza, la clave automática que se le asignó queda libre
+    const nextKey = this.primaryKeyMap[tableName];
+    let newDoc;
+    try {
+      newDoc = this._prepareInsertDoc(tableName, data);
+      
+      // Verificar restricciones de unicidad
+      if (!this._checkUniqueConstraints(tableName, newDoc)) {
+        throw new Error('Violación de restricción de unicidad');
+      }
+      
+      // Verificar claves foráneas
+      this._checkReferences(tableName, newDoc);
+    } catch (error) {
+      this.primaryKeyMap[tableName] = nextKey;
+      throw error;
+    }
+    
+    return this._storeInsertedDoc(tableName, newDoc);
+  }
+
+  /**
+   * Completa, valida y cifra un documento nuevo y le asigna la clave primaria si no la tiene
+   * @param {string} tableName - Nombre de la tabla
+   * @param {Object} data - Documento (ya pasado por el hook beforeInsert)
+   * @returns {Object} - Documento listo para guardar
+   * @private
+   */
+  _prepareInsertDoc(tableName, data) {
+    const primaryKey = this.config.tables[tableName]?.primaryKey || 'id';
+    
+    // Completar los valores por defecto, convertir los tipos y validar datos contra el esquema
+    data = this._reviveDocument(tableName, this._applyDefaults(tableName, data));
+    this._validateDataAgainstSchema(tableName, data);
+    
+    // Clonar para evitar modificar el original (cifrando los campos sensibles)
+    const newDoc = this._encryptFields(tableName, { ...data });
+    
+    // Asignar clave primaria si no tiene
+    if (newDoc[primaryKey] === undefined) {
+      newDoc[primaryKey] = this.getNextPrimaryKey(tableName);
+    }
+    
+    return newDoc;
+  }
+
+  /**
+   * Guarda un documento ya validado, actualiza índices y mapas y registra la operación
+   * @private
+   */
+  _storeInsertedDoc(tableName, newDoc) {
+    const primaryKey = this.config.tables[tableName]?.primaryKey || 'id';
+    
+    this._touchTable(tableName);
+    
+    // Verificar si la tabla existe, si no, crearla
+    if (!this.data[tableName]) {
+      this.data[tableName] = [];
+      this._initializeTableIndexes(tableName);
+    }
+    
+    // Añadir metadatos
+    const timestamp = new Date().toISOString();
+    newDoc._createdAt = timestamp;
+    newDoc._updatedAt = timestamp;
+    
+    // Insertar documento
+    this.data[tableName].push(newDoc);
+    
+    // Actualizar índices y mapas
+    this._updateIndexes(tableName, newDoc);
+    this._updateUniqueKeyMap(tableName, newDoc);
+    
+    // Registrar la operación
+    this._record({ op: 'insert', table: tableName, doc: newDoc });
+    this._queueChange('insert', { table: tableName, key: newDoc[primaryKey], oldDoc: null, newDoc });
+    
+    return newDoc;
+  }
+
+  /**
+   * Elimina un documento de una tabla
+   * @param {string} tableName - Nombre de la tabla
+   * @param {string|number} id - Valor de la clave primaria
+   * @returns {boolean} - Éxito de la operación
+   */
+  delete(tableName, id) {
+    return this._write(() => this._deleteDoc(tableName, id));
+  }
+
+  /**
+   * Elimina un documento de una tabla (versión asíncrona)
+   * @param {string} tableName - Nombre de la tabla
+   * @param {string|number} id - Valor de la clave primaria
+   * @returns {Promise<boolean>} - Éxito de la operación
+   */
+  async deleteAsync(tableName, id) {
+    return this._writeAsync(() => this._deleteDoc(tableName, id));
+  }
+
+  /**
+   * Elimina un documento en memoria y registra la operación
+   * @private
+   */
+  _deleteDoc(tableName, id) {
+    if (!this.data[tableName]) {
+      return false;
+    }
+    
+    const tableConfig = this.config.tables[tableName] || { primaryKey: 'id' };
+    const primaryKey = tableConfig.primaryKey || 'id';
+    
+    // Buscar el documento
+    const deletedDoc = this.data[tableName].find(item => item[primaryKey] === id);
+    if (!deletedDoc) {
+      return false;
+    }
+    
+    // Eliminar el documento junto con lo que dependa de él
+    this._applyDeletePlan(this._planDelete(tableName, [deletedDoc]));
+    
+    return true;
+  }
+
+  /**
+   * Actualiza un documento en una tabla
+   * @param {string} tableName - Nombre de la tabla
+   * @param {string|number} id - Valor de la clave primaria
+   * @param {Object} newData - Nuevos datos
+   * @returns {Object|null} - Documento actualizado o null si no se encontró
+   */
+  update(tableName, id, newData) {
+    return this._write(() => this._updateDoc(tableName, id, newData));
+  }
+
+  /**
+   * Actualiza un documento en una tabla (versión asíncrona)
+   * @param {string} tableName - Nombre de la tabla
+   * @param {string|number} id - Valor de la clave primaria
+   * @param {Object} newData - Nuevos datos
+   * @returns {Promise<Object|null>} - Documento actualizado o null si no se encontró
+   */
+  async updateAsync(tableName, id, newData) {
+    return this._writeAsync(() => this._updateDoc(tableName, id, newData));
+  }
+
+  /**
+   * Actualiza un documento en memoria y registra la operación
+   * @private
+   */
+  _updateDoc(tableName, id, newData) {
+    if (!this.data[tableName]) {
+      return null;
+    }
+    
+    // Buscar el documento
+    const originalDoc = this.documentMap[tableName]?.get(id);
+    if (!originalDoc) {
+      return null;
+    }
+    
+    // Crear el documento actualizado (validado contra el esquema) y sustituir el original
+    return this._replaceDoc(tableName, originalDoc, this._buildUpdatedDoc(tableName, originalDoc, newData));
+  }
+
+  /**
+   * Sustituye en memoria un documento por su versión actualizada y registra la operación
+   * @param {string} tableName - Nombre de la tabla
+   * @param {Object} originalDoc - Documento actual
+   * @param {Object} candidate - Documento resultante de _buildUpdatedDoc
+   * @returns {Object} - Documento actualizado
+   * @private
+   */
+  _replaceDoc(tableName, originalDoc, candidate) {
+    const primaryKey = this.config.tables[tableName]?.primaryKey || 'id';
+    const id = originalDoc[primaryKey];
+    const index = this.data[tableName].findIndex(item => item[primaryKey] === id);
+    
+    const updatedDoc = { 
+      ...candidate,
+      _updatedAt: new Date().toISOString() 
+    };
+    
+    // Verificar restricciones de unicidad para los nuevos datos
+    if (!this._checkUniqueConstraintsForUpdate(tableName, updatedDoc, originalDoc)) {
+      throw new Error('Violación de restricción de unicidad');
+    }
+    
+    // Verificar claves foráneas
+    this._checkReferences(tableName, updatedDoc, originalDoc);
+    
+    // Remover de los índices
+    this._removeFromIndexes(tableName, originalDoc);
+    
+    // Actualizar el documento
+    this._touchTable(tableName);
+    this.data[tableName][index] = updatedDoc;
+    
+    // Actualizar índices y mapas
+    this._updateIndexes(tableName, updatedDoc);
+    this._updateUniqueKeyMapForUpdate(tableName, updatedDoc, originalDoc);
+    
+    // Registrar la operación
+    this._record({ op: 'update', table: tableName, key: id, doc: updatedDoc });
+    this._queueChange('update', { table: tableName, key: id, oldDoc: originalDoc, newDoc: updatedDoc });
+    
+    return updatedDoc;
+  }
+
+  /**
+   * Calcula el documento resultante de aplicar unos cambios: un objeto con los campos
+   * a fusionar o un documento de operadores ($set, $inc, $push, ...)
+   * @param {string} tableName - Nombre de la tabla
+   * @param {Object} originalDoc - Documento actual
+   * @param {Object} changes - Cambios a aplicar
+   * @returns {Object} - Documento actualizado, validado y con los campos sensibles cifrados
+   * @private
+   */
+  _buildUpdatedDoc(tableName, originalDoc, changes) {
+    const primaryKey = this.config.tables[tableName]?.primaryKey || 'id';
+    
+    const candidate = this._reviveDocument(tableName, this._isUpdateOperatorDoc(changes)
+      ? this._applyUpdateOperators(tableName, originalDoc, changes)
+      : { ...originalDoc, ...changes });
+    
+    // Los hooks pueden modificar o rechazar el documento
+    const hooked = this._runBeforeHooks(tableName, 'beforeUpdate', candidate, originalDoc);
+    
+    // No permitir cambiar la clave primaria
+    if (hooked[primaryKey] !== originalDoc[primaryKey]) {
+      throw new Error('No se puede modificar la clave primaria');
+    }
+    
+    // Validar datos contra el esquema
+    this._validateDataAgainstSchema(tableName, hooked);
+    
+    return this._encryptFields(tableName, hooked, originalDoc);
+  }
+
+  /**
+   * Indica si los cambios son un documento de operadores de actualización
+   * @private
+   */
+  _isUpdateOperatorDoc(changes) {
+    const keys = Object.keys(changes || {});
+    const operatorKeys = keys.filter(key => key.startsWith('$'));
+    
+    if (operatorKeys.length > 0 && operatorKeys.length !== keys.length) {
+      throw new DataOrbitError('No se pueden mezclar operadores de actualización y campos', 'E_UPDATE');
+    }
+    
+    return operatorKeys.length > 0;
+  }
+
+  /**
+   * Aplica operadores de actualización sobre una copia del documento
+   * @param {string} tableName - Nombre de la tabla
+   * @param {Object} doc - Documento original (no se modifica)
+   * @param {Object} operators - Documento de operadores
+   * @returns {Object} - Documento resultante
+   * @private
+   */
+  _applyUpdateOperators(tableName, doc, operators) {
+    const result = this._clone(doc);
+    const encryptedFields = this._encryptedFields(tableName);
+    
+    for (const op in operators) {
+      const fields = operators[op];
+      if (typeof fields !== 'object' || fields === null) {
+        throw new DataOrbitError(`El operador '${op}' requiere un objeto { campo: valor }`, 'E_UPDATE');
+      }
+      
+      for (const fieldPath in fields) {
+        const value = fields[fieldPath];
+        const current = this._getPath(result, fieldPath);
+        
+        // Sobre un campo cifrado solo se puede asignar o eliminar el valor
+        if (encryptedFields.includes(fieldPath) && op !== '$set' && op !== '$unset') {
+          throw new DataOrbitError(`El operador '${op}' no se puede aplicar al campo cifrado '${fieldPath}'`, 'E_UPDATE');
+        }
+        
+        switch (op) {
+          case '$set':
+            this._setPath(result, fieldPath, value);
+            break;
+          case '$unset':
+            this._unsetPath(result, fieldPath);
+            break;
+          case '$inc':
+          case '$mul': {
+            if (typeof value !== 'number') {
+              throw new DataOrbitError(`El operador '${op}' requiere un valor numérico en '${fieldPath}'`, 'E_UPDATE');
+            }
+            if (current !== undefined && typeof current !== 'number') {
+              throw new DataOrbitError(`No se puede aplicar '${op}' al campo no numérico '${fieldPath}'`, 'E_UPDATE');
+            }
+            const base = current === undefined ? 0 : current;
+            this._setPath(result, fieldPath, op === '$inc' ? base + value : base * value);
+            break;
+          }
+          case '$min':
+            if (current === undefined || value < current) this._setPath(result, fieldPath, value);
+            break;
+          case '$max':
+            if (current === undefined || value > current) this._setPath(result, fieldPath, value);
+            break;
+          case '$push':
+          case '$addToSet': {
+            const array = this._arrayAt(result, fieldPath, op);
+            const isModifier = typeof value === 'object' && value !== null && !Array.isArray(value) && '$each' in value;
+            const items = isModifier ? value.$each : [value];
+            
+            if (!Array.isArray(items)) {
+              throw new DataOrbitError(`$each requiere un array en '${fieldPath}'`, 'E_UPDATE');
+            }
+            
+            for (const item of items) {
+              if (op === '$push' || !array.some(element => this._valuesEqual(element, item))) {
+                array.push(item);
+              }
+            }
+            
+            if (op === '$push' && isModifier && value.$slice !== undefined) {
+              const sliced = value.$slice >= 0 ? array.slice(0, value.$slice) : array.slice(value.$slice);
+              this._setPath(result, fieldPath, sliced);
+            }
+            break;
+          }
+          case '$pull': {
+            if (current === undefined) break;
+            const array = this._arrayAt(result, fieldPath, op);
+            this._setPath(result, fieldPath, array.filter(element => !this._matchesPullCondition(element, value)));
+            break;
+          }
+          case '$rename':
+            if (typeof value !== 'string' || value === fieldPath) {
+              throw new DataOrbitError(`$rename requiere un nuevo nombre distinto para '${fieldPath}'`, 'E_UPDATE');
+            }
+            if (encryptedFields.includes(value)) {
+              throw new DataOrbitError(`El operador '$rename' no se puede aplicar al campo cifrado '${value}'`, 'E_UPDATE');
+            }
+            if (current !== undefined) {
+              this._unsetPath(result, fieldPath);
+              this._setPath(result, value, current);
+            }
+            break;
+          case '$currentDate':
+            if (value === true || value?.$type === 'date') {
+              this._setPath(result, fieldPath, new Date().toISOString());
+            } else if (value?.$type === 'timestamp') {
+              this._setPath(result, fieldPath, Date.now());
+            } else {
+              throw new DataOrbitError(`$currentDate requiere true o { $type: 'date' | 'timestamp' } en '${fieldPath}'`, 'E_UPDATE');
+            }
+            break;
+          default:
+            throw new DataOrbitError(`Operador de actualización desconocido: '${op}'`, 'E_UPDATE');
+        }
+      }
+    }
+    
+    return result;
+  }
+
+  /**
+   * Devuelve el array de una ruta, creándolo si no existe
+   * @private
+   */
+  _arrayAt(doc, fieldPath, op) {
+    const current = this._getPath(doc, fieldPath);
+    
+    if (current === undefined) {
+      this._setPath(doc, fieldPath, []);
+      return this._getPath(doc, fieldPath);
+    }
+    if (!Array.isArray(current)) {
+      throw new DataOrbitError(`El operador '${op}' requiere que '${fieldPath}' sea un array`, 'E_UPDATE');
+    }
+    
+    return current;
+  }
+
+  /**
+   * Indica si un elemento de un array cumple la condición de $pull
+   * @private
+   */
+  _matchesPullCondition(element, condition) {
+    if (condition instanceof RegExp) {
+      return this._matchesRegex(element, condition);
+    }
+    if (this._isOperatorObject(condition)) {
+      return this._matchesOperators(element, condition);
+    }
+    if (typeof condition === 'object' && condition !== null && !Array.isArray(condition) &&
+        typeof element === 'object' && element !== null && !Array.isArray(element)) {
+      return this._matchesQuery(element, condition);
+    }
+    
+    return this._valuesEqual(element, condition);
+  }
+
+  /**
+   * Inserta varios documentos en una tabla. Si alguno no es válido no se inserta ninguno.
+   * @param {string} tableName - Nombre de la tabla
+   * @param {Array<Object>} docs - Documentos a insertar
+   * @returns {Object} - { insertedCount, insertedIds }
+   */
+  insertMany(tableName, docs) {
+    return this._write(() => this._insertManyDocs(tableName, docs));
+  }
+
+  /**
+   * Inserta varios documentos en una tabla (versión asíncrona)
+   * @param {string} tableName - Nombre de la tabla
+   * @param {Array<Object>} docs - Documentos a insertar
+   * @returns {Promise<Object>} - { insertedCount, insertedIds }
+   */
+  async insertManyAsync(tableName, docs) {
+    return this._writeAsync(() => this._insertManyDocs(tableName, docs));
+  }
+
+  /**
+   * Valida todos los documentos y después los inserta en memoria
+   * @private
+   */
+  _insertManyDocs(tableName, docs) {
+    if (!Array.isArray(docs)) {
+      throw new Error('insertMany requiere un array de documentos');
+    }
+    
+    const primaryKey = this.config.tables[tableName]?.primaryKey || 'id';
+    const existingKeys = new Set((this.data[tableName] || []).map(doc => doc[primaryKey]));
+    const hookedDocs = docs.map(data => this._runBeforeHooks(tableName, 'beforeInsert', data));
+    const candidates = [];
+    
+    // Validar todo antes de modificar nada: si algo falla se devuelven las claves automáticas
+    const nextKey = this.primaryKeyMap[tableName];
+    try {
+      for (const data of hookedDocs) {
+        // Las claves automáticas se asignan ya aquí para comprobarlas junto a las explícitas
+        const candidate = this._prepareInsertDoc(tableName, data);
+        if (existingKeys.has(candidate[primaryKey])) {
+          throw new Error(`Clave primaria duplicada: ${candidate[primaryKey]}`);
+        }
+        existingKeys.add(candidate[primaryKey]);
+        candidates.push({ after: candidate });
+      }
+      
+      if (!this._checkBatchUniqueConstraints(tableName, candidates)) {
+        throw new Error('Violación de restricción de unicidad');
+      }
+      
+      // Los documentos del lote pueden referenciarse entre sí
+      const batch = candidates.map(({ after }) => after);
+      for (const candidate of batch) {
+        this._checkReferences(tableName, candidate, null, batch);
+      }
+    } catch (error) {
+      this.primaryKeyMap[tableName] = nextKey;
+      throw error;
+    }
+    
+    // Se guardan los mismos documentos validados: los valores por defecto no se recalculan
+    const inserted = candidates.map(({ after }) => this._storeInsertedDoc(tableName, after));
+    
+    return {
+      insertedCount: inserted.length,
+      insertedIds: inserted.map(doc => doc[primaryKey])
+    };
+  }
+
+  /**
+   * Actualiza todos los documentos que cumplen una consulta. Si algún cambio no es válido no se aplica ninguno.
+   * @param {string} tableName - Nombre de la tabla
+   * @param {Object} query - Criterios de búsqueda (mismo lenguaje que find)
+   * @param {Object} changes - Cambios a aplicar
+   * @returns {Object} - { matchedCount, modifiedCount }
+   */
+  updateMany(tableName, query, changes) {
+    return this._write(() => this._updateManyDocs(tableName, query, changes));
+  }
+
+  /**
+   * Actualiza todos los documentos que cumplen una consulta (versión asíncrona)
+   * @param {string} tableName - Nombre de la tabla
+   * @param {Object} query - Criterios de búsqueda (mismo lenguaje que find)
+   * @param {Object} changes - Cambios a aplicar
+   * @returns {Promise<Object>} - { matchedCount, modifiedCount }
+   */
+  async updateManyAsync(tableName, query, changes) {
+    return this._writeAsync(() => this._updateManyDocs(tableName, query, changes));
+  }
+
+  /**
+   * Valida todos los cambios y después los aplica en memoria
+   * @private
+   */
+  _updateManyDocs(tableName, query, changes) {
+    const matched = this.find(tableName, query);
+    const updates = [];
+    
+    // Validar todo antes de modificar nada
+    for (const originalDoc of matched) {
+      const candidate = this._buildUpdatedDoc(tableName, originalDoc, changes);
+      
+      // Los documentos que no cambian no se reescriben
+      if (this._stringify(candidate) !== this._stringify(originalDoc)) {
+        this._checkReferences(tableName, candidate, originalDoc);
+        updates.push({ before: originalDoc, after: candidate });
+      }
+    }
+    
+    if (!this._checkBatchUniqueConstraints(tableName, updates)) {
+      throw new Error('Violación de restricción de unicidad');
+    }
+    
+    for (const { before, after } of updates) {
+      this._replaceDoc(tableName, before, after);
+    }
+    
+    return {
+      matchedCount: matched.length,
+      modifiedCount: updates.length
+    };
+  }
+
+  /**
+   * Elimina todos los documentos que cumplen una consulta
+   * @param {string} tableName - Nombre de la tabla
+   * @param {Object} query - Criterios de búsqueda (mismo lenguaje que find)
+   * @returns {Object} - { deletedCount }
+   */
+  deleteMany(tableName, query) {
+    return this._write(() => this._deleteManyDocs(tableName, query));
+  }
+
+  /**
+   * Elimina todos los documentos que cumplen una consulta (versión asíncrona)
+   * @param {string} tableName - Nombre de la tabla
+   * @param {Object} query - Criterios de búsqueda (mismo lenguaje que find)
+   * @returns {Promise<Object>} - { deletedCount }
+   */
+  async deleteManyAsync(tableName, query) {
+    return this._writeAsync(() => this._deleteManyDocs(tableName, query));
+  }
+
+  /**
+   * Elimina en memoria los documentos que cumplen una consulta
+   * @private
+   */
+  _deleteManyDocs(tableName, query) {
+    if (!this.data[tableName]) {
+      return { deletedCount: 0 };
+    }
+    
+    const matched = this.find(tableName, query);
+    if (matched.length === 0) {
+      return { deletedCount: 0 };
+    }
+    
+    // Eliminar los documentos junto con lo que dependa de ellos
+    this._applyDeletePlan(this._planDelete(tableName, matched));
+    
+    return { deletedCount: matched.length };
+  }
+
+  /**
+   * Actualiza el primer documento que cumple la consulta o, si no hay ninguno, lo inserta
+   * @param {string} tableName - Nombre de la tabla
+   * @param {Object} query - Criterios de búsqueda (mismo lenguaje que find)
+   * @param {Object} doc - Datos a actualizar o insertar
+   * @returns {Object} - { matchedCount, modifiedCount, upsertedCount, upsertedId }
+   */
+  upsert(tableName, query, doc) {
+    return this._write(() => this._upsertDoc(tableName, query, doc));
+  }
+
+  /**
+   * Actualiza o inserta un documento (versión asíncrona)
+   * @param {string} tableName - Nombre de la tabla
+   * @param {Object} query - Criterios de búsqueda (mismo lenguaje que find)
+   * @param {Object} doc - Datos a actualizar o insertar
+   * @returns {Promise<Object>} - { matchedCount, modifiedCount, upsertedCount, upsertedId }
+   */
+  async upsertAsync(tableName, query, doc) {
+    return this._writeAsync(() => this._upsertDoc(tableName, query, doc));
+  }
+
+  /**
+   * Actualiza o inserta un documento en memoria
+   * @private
+   */
+  _upsertDoc(tableName, query, doc) {
+    const primaryKey = this.config.tables[tableName]?.primaryKey || 'id';
+    const existing = this.findOne(tableName, query);
+    
+    if (existing) {
+      const { modifiedCount } = this._updateManyDocs(tableName, { [primaryKey]: existing[primaryKey] }, doc);
+      return { matchedCount: 1, modifiedCount, upsertedCount: 0, upsertedId: null };
+    }
+    
+    // El nuevo documento incluye las igualdades de la consulta
+    const equalities = {};
+    for (const field in query || {}) {
+      const value = query[field];
+      if (!field.startsWith('$') && (typeof value !== 'object' || value === null)) {
+        equalities[field] = value;
+      }
+    }
+    
+    const newDoc = this._isUpdateOperatorDoc(doc)
+      ? this._applyUpdateOperators(tableName, equalities, doc)
+      : { ...equalities, ...doc };
+    const inserted = this._insertDoc(tableName, newDoc);
+    return { matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: inserted[primaryKey] };
+  }
+
+  /**
+   * Crea una nueva tabla
+   * @param {string} tableName - Nombre de la tabla
+   * @param {Object} schema - Esquema de la tabla
+   * @returns {boolean} - Éxito de la operación
+   */
+  createTable(tableName, schema) {
+    return this._write(() => this._createTable(tableName, schema));
+  }
+
+  /**
+   * Crea una nueva tabla (versión asíncrona)
+   * @param {string} tableName - Nombre de la tabla
+   * @param {Object} schema - Esquema de la tabla
+   * @returns {Promise<boolean>} - Éxito de la operación
+   */
+  async createTableAsync(tableName, schema) {
+    return this._writeAsync(() => this._createTable(tableName, schema));
+  }
+
+  /**
+   * Crea una tabla en memoria y registra la operación
+   * @private
+   */
+  _createTable(tableName, schema) {
+    if (this.data[tableName]) {
+      throw new Error(`La tabla '${tableName}' ya existe`);
+    }
+    
+    this._touchTable(tableName);
+    this.data[tableName] = [];
+    
+    // Configurar esquema
+    if (!this.config.tables[tableName]) {
+      this.config.tables[tableName] = {
+        primaryKey: 'id',
+        schema: schema || {}
+      };
+    }
+    
+    // Inicializar índices
+    this._initializeTableIndexes(tableName);
+    
+    // Inicializar mapa de claves únicas
+    this.uniqueKeyMap[tableName] = {};
+    
+    // Registrar la operación
+    this._record({ op: 'createTable', table: tableName, schema: schema || {} });
+    
+    return true;
+  }
+
+  /**
+   * Elimina una tabla
+   * @param {string} tableName - Nombre de la tabla
+   * @returns {boolean} - Éxito de la operación
+   */
+  dropTable(tableName) {
+    return this._write(() => this._dropTable(tableName));
+  }
+
+  /**
+   * Elimina una tabla (versión asíncrona)
+   * @param {string} tableName - Nombre de la tabla
+   * @returns {Promise<boolean>} - Éxito de la operación
+   */
+  async dropTableAsync(tableName) {
+    return this._writeAsync(() => this._dropTable(tableName));
+  }
+
+  /**
+   * Elimina una tabla en memoria y registra la operación
+   * @private
+   */
+  _dropTable(tableName) {
+    if (!this.data[tableName]) {
+      return false;
+    }
+    
+    const rows = this.data[tableName];
+    
+    // Las filas de otras tablas que la referencian se tratan como si se borrasen todas sus filas
+    const plan = this._planDelete(tableName, rows);
+    plan.deletes.delete(tableName);
+    const start = this._pendingEntries.length;
+    this._applyDeletePlan(plan);
+    
+    // Eliminar la tabla
+    this._touchTable(tableName);
+    delete this.data[tableName];
+    
+    // Limpiar índices y mapas
+    delete this.indexes[tableName];
+    delete this.documentMap[tableName];
+    delete this.uniqueKeyMap[tableName];
+    delete this.primaryKeyMap[tableName];
+    
+    // Registrar la operación
+    this._record({ op: 'dropTable', table: tableName });
+    this._batchEntries(start);
+    this._queueChange('dropTable', { table: tableName, oldDocs: rows });
+    
+    return true;
+  }
+
+  /**
+   * Crea una copia de seguridad de la base de datos
+   * @returns {string} - Ruta del archivo de backup
+   */
+  backup() {
+    if (this._needsLock()) {
+      return this._write(() => this.backup());
+    }
+    
+    const now = new Date();
+    const backupFolder = this._backupFolder();
+    
+    // Crear carpeta de backups si no existe
+    if (!fs.existsSync(backupFolder)) {
+      fs.mkdirSync(backupFolder, { recursive: true });
+    }
+    
+    // Generar nombre de archivo
+    const timestamp = now.toISOString().replace(/[:.]/g, '-');
+    const backupFilePath = `${backupFolder}/${path.basename(this.config.file, '.json')}_${timestamp}.json`;
+    
+    // Volcar el journal para que la copia contenga todos los cambios
+    if (this._journalSize > 0) {
+      this.compact();
+    }
+    
+    // Copiar archivo
+    this._writeFileAtomic(backupFilePath, fs.readFileSync(this.config.file, 'utf8'));
+    
+    console.log(`Backup creado: ${backupFilePath}`);
+    this.emit('backup', { file: backupFilePath });
+    
+    return backupFilePath;
+  }
+
+  /**
+   * Crea una copia de seguridad de la base de datos (versión asíncrona)
+   * @returns {Promise<string>} - Ruta del archivo de backup
+   */
+  async backupAsync() {
+    if (this._needsLockAsync()) {
+      return this._writeAsync(() => this.backupAsync());
+    }
+    
+    const backupFolder = this._backupFolder();
+    await fs.promises.mkdir(backupFolder, { recursive: true });
+    
+    // Generar nombre de archivo
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const backupFilePath = `${backupFolder}/${path.basename(this.config.file, '.json')}_${timestamp}.json`;
+    
+    await this._enqueueIO(async () => {
+      // Volcar el journal para que la copia contenga todos los cambios
+      // Las escrituras retenidas por una transacción o una migración se guardan al confirmarla
+      if (!this._holdWrites && (this._journalSize > 0 || this._pendingEntries.length > 0)) {
+        this._pendingEntries = [];
+        await this.saveDatabaseAsync();
+      }
+      
+      await this._writeFileAtomicAsync(backupFilePath, await fs.promises.readFile(this.config.file, 'utf8'));
+    });
+    
+    console.log(`Backup creado: ${backupFilePath}`);
+    this.emit('backup', { file: backupFilePath });
+    
+    return backupFilePath;
+  }
+
+  /**
+   * Inicia el servicio de copias de seguridad automáticas
+   */
+  startBackupService() {
+    if (!this.config.backups || this.config.backups.length === 0) {
+      return;
+    }
+    
+    this.config.backups.forEach((backupConfig) => {
+      const interval = (backupConfig.interval || 1) * 24 * 60 * 60 * 1000; // Días a milisegundos
+      
+      const timer = setInterval(() => {
+        this.backupAsync().catch(error => {
+          console.error('Error al crear backup automático:', error);
+        });
+      }, interval);
+      this._backupTimers.push(timer);
+      
+      console.log(`Servicio de backup configurado cada ${backupConfig.interval} día(s)`);
+    });
+  }
+
+  /**
+   * Restaura la base de datos desde un backup
+   * @param {string} backupFile - Ruta del archivo de backup
+   * @returns {boolean} - Éxito de la operación
+   */
+  restore(backupFile) {
+    if (this._needsLock()) {
+      return this._write(() => this.restore(backupFile));
+    }
+    
+    try {
+      if (!fs.existsSync(backupFile)) {
+        throw new Error(`El archivo de backup '${backupFile}' no existe`);
+      }
+      
+      // Verificar que el backup es legible antes de sustituir nada
+      this._readDatabaseFile(backupFile);
+      
+      // Crear backup del estado actual antes de restaurar
+      this.backup();
+      
+      // Copiar archivo de backup a la ubicación de la base de datos
+      this._writeFileAtomic(this.config.file, fs.readFileSync(backupFile, 'utf8'));
+      
+      // El journal pertenece al estado anterior
+      this._truncateJournal();
+      
+      // Recargar la base de datos
+      this.loadDatabase();
+      
+      this._publishChanges([{ event: 'restore', payload: { file: backupFile } }]);
+      return true;
+    } catch (error) {
+      console.error('Error al restaurar backup:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Restaura la base de datos desde un backup (versión asíncrona)
+   * @param {string} backupFile - Ruta del archivo de backup
+   * @returns {Promise<boolean>} - Éxito de la operación
+   */
+  async restoreAsync(backupFile) {
+    if (this._needsLockAsync()) {
+      return this._writeAsync(() => this.restoreAsync(backupFile));
+    }
+    
+    try {
+      if (!await this._fileExists(backupFile)) {
+        throw new Error(`El archivo de backup '${backupFile}' no existe`);
+      }
+      
+      // Verificar que el backup es legible antes de sustituir nada
+      await this._readDatabaseFileAsync(backupFile);
+      
+      // Crear backup del estado actual antes de restaurar
+      await this.backupAsync();
+      
+      await this._enqueueIO(async () => {
+        // Copiar archivo de backup a la ubicación de la base de datos
+        await this._writeFileAtomicAsync(this.config.file, await fs.promises.readFile(backupFile, 'utf8'));
+        
+        // El journal pertenece al estado anterior
+        this._pendingEntries = [];
+        this._pendingBatches = [];
+        await this._truncateJournalAsync();
+        
+        // Recargar la base de datos
+        await this.loadDatabaseAsync();
+        
+        await this._publishChangesAsync([[{ event: 'restore', payload: { file: backupFile } }]]);
+      });
+      return true;
+    } catch (error) {
+      console.error('Error al restaurar backup:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Obtiene todos los documentos de una tabla
+   * @param {string} tableName - Nombre de la tabla
+   * @returns {Array} - Documentos de la tabla
+   */
+  findAll(tableName) {
+    if (!this.data[tableName]) {
+      return [];
+    }
+    
+    return [...this.data[tableName]];
+  }
+
+  /**
+   * Obtiene todos los documentos de una tabla (versión asíncrona)
+   * @param {string} tableName - Nombre de la tabla
+   * @returns {Promise<Array>} - Documentos de la tabla
+   */
+  async findAllAsync(tableName) {
+    return this.findAll(tableName);
+  }
+
+  /**
+   * Busca documentos que cumplan con ciertos criterios
+   * @param {string} tableName - Nombre de la tabla
+   * @param {Object} query - Criterios de búsqueda
+   * @param {Object} options - Opciones de búsqueda
+   * @param {Object} options.sort - Ordenación ({ campo: 1 | -1 })
+   * @param {number} options.skip - Número de documentos a saltar
+   * @param {number} options.limit - Número máximo de documentos
+   * @param {Object} options.projection - Campos a incluir ({ campo: 1 }) o excluir ({ campo: 0 })
+   * @param {any} options.after - Clave primaria (o documento) tras el que continuar la paginación
+   * @returns {Array} - Documentos que cumplen los criterios
+   */
+  find(tableName, query, options = {}) {
+    if (!this.data[tableName]) {
+      return [];
+    }
+    
+    return this._applyFindOptions(tableName, this._findMatches(tableName, query), options);
+  }
+
+  /**
+   * Ejecuta una búsqueda y describe cómo se ha resuelto
+   * @param {string} tableName - Nombre de la tabla
+   * @param {Object} query - Criterios de búsqueda
+   * @param {Object} options - Opciones de búsqueda (ver find)
+   * @returns {Object} - Plan elegido, índices candidatos, documentos examinados y devueltos, y tiempo
+   */
+  explain(tableName, query, options = {}) {
+    const start = performance.now();
+    const stats = { plan: { stage: 'COLLSCAN', index: null, candidates: [] }, docsExamined: 0, sort: null };
+    let matched = [];
+    let results = [];
+    
+    if (this.data[tableName]) {
+      matched = this._findMatches(tableName, query, stats);
+      results = this._applyFindOptions(tableName, matched, options, stats);
+    }
+    
+    const { plan } = stats;
+    return {
+      table: tableName,
+      query: query || {},
+      plan: this._describePlan(plan),
+      candidates: plan.candidates.map(candidate => ({
+        stage: candidate.stage,
+        index: candidate.index,
+        indexType: candidate.type,
+        keys: candidate.ids.size,
+        chosen: candidate.ids === plan.ids
+      })),
+      sort: stats.sort,
+      docsExamined: stats.docsExamined,
+      matched: matched.length,
+      returned: results.length,
+      executionTimeMs: performance.now() - start
+    };
+  }
+
+  /**
+   * Devuelve un cursor que recorre los resultados bajo demanda, sin copiar la tabla.
+   * Con `sort` o `after` los resultados se ordenan antes de empezar a recorrerlos.
+   * @param {string} tableName - Nombre de la tabla
+   * @param {Object} query - Criterios de búsqueda
+   * @param {Object} options - Mismas opciones que find()
+   * @returns {Iterator<Object>} - Iterador de documentos
+   */
+  *cursor(tableName, query, options = {}) {
+    if (!this.data[tableName]) {
+      return;
+    }
+    
+    // Sin un índice ordenado que sirva la ordenación, se ordena el resultado completo
+    const sortIndex = this._sortIndexFor(tableName, options.sort);
+    if ((options.sort && !sortIndex) || options.after !== undefined) {
+      yield* this.find(tableName, query, options);
+      return;
+    }
+    
+    const hasQuery = query && Object.keys(query).length > 0;
+    const preparedQuery = hasQuery ? this._prepareQuery(tableName, query) : null;
+    const plan = hasQuery && !sortIndex ? this._planQuery(tableName, preparedQuery) : null;
+    
+    let rows = this.data[tableName];
+    if (sortIndex) {
+      rows = this._scanIndex(tableName, sortIndex, Object.values(options.sort)[0]);
+    } else if (plan && plan.ids) {
+      rows = Array.from(plan.ids, key => this.documentMap[tableName].get(key)).filter(Boolean);
+    }
+    let skipped = 0;
+    let returned = 0;
+    
+    for (const doc of rows) {
+      if (options.limit !== undefined && returned >= options.limit) {
+        return;
+      }
+      
+      if (hasQuery && !this._matchesQuery(doc, preparedQuery)) continue;
+      if (skipped < (options.skip || 0)) {
+        skipped++;
+        continue;
+      }
+      
+      returned++;
+      yield options.projection ? this._projectDocument(tableName, doc, options.projection) : doc;
+    }
+  }
+
+  /**
+   * Aplica ordenación, paginación y proyección a los resultados de una búsqueda
+   * @private
+   */
+  _applyFindOptions(tableName, docs, options, stats = null) {
+    const primaryKey = this.config.tables[tableName]?.primaryKey || 'id';
+    let results = docs;
+    
+    if (options.sort || options.after !== undefined) {
+      // La clave primaria desempata para que el orden sea estable entre páginas
+      const sort = { ...(options.sort || {}) };
+      if (!(primaryKey in sort)) {
+        sort[primaryKey] = 1;
+      }
+      
+      // Un índice ordenado sobre el campo evita ordenar los resultados, salvo que
+      // sean tan pocos que ordenarlos cueste menos que recorrer el índice
+      const sortIndex = this._sortIndexFor(tableName, options.sort);
+      const useIndex = sortIndex && results.length * Math.log2(results.length + 1) >= this.data[tableName].length;
+      results = useIndex
+        ? this._orderByIndex(tableName, results, sortIndex, Object.values(options.sort)[0])
+        : this._sortDocuments([...results], sort);
+      
+      if (stats) {
+        stats.sort = useIndex ? 'index' : 'memory';
+      }
+      
+      if (options.after !== undefined) {
+        const reference = this._paginationReference(tableName, options.after, options.sort);
+        results = results.filter(doc => this._compareBySort(doc, reference, sort) > 0);
+      }
+    }
+    
+    if (options.skip) {
+      results = results.slice(options.skip);
+    }
+    
+    if (options.limit !== undefined) {
+      results = results.slice(0, options.limit);
+    }
+    
+    if (options.projection) {
+      results = results.map(doc => this._projectDocument(tableName, doc, options.projection));
+    }
+    
+    return results;
+  }
+
+  /**
+   * Documento de referencia para la paginación por clave (`after`)
+   * @private
+   */
+  _paginationReference(tableName, after, sort) {
+    if (typeof after === 'object' && after !== null) {
+      return after;
+    }
+    
+    const reference = this.findById(tableName, after);
+    if (reference) {
+      return reference;
+    }
+    
+    // Sin ordenación basta con la clave primaria, aunque el documento ya no exista
+    if (!sort) {
+      const primaryKey = this.config.tables[tableName]?.primaryKey || 'id';
+      return { [primaryKey]: after };
+    }
+    
+    throw new DataOrbitError(`No existe el documento '${after}' usado en 'after': pase el último documento de la página`, 'E_QUERY');
+  }
+
+  /**
+   * Ordena unos documentos de la tabla siguiendo un índice ordenado
+   * @private
+   */
+  _orderByIndex(tableName, docs, index, direction) {
+    const wanted = new Set(docs);
+    const ordered = [];
+    
+    for (const doc of this._scanIndex(tableName, index, direction)) {
+      if (wanted.has(doc)) {
+        ordered.push(doc);
+      }
+    }
+    
+    return ordered;
+  }
+
+  /**
+   * Ordena documentos según una especificación { campo: 1 | -1 }
+   * @private
+   */
+  _sortDocuments(docs, sort) {
+    return docs.sort((a, b) => this._compareBySort(a, b, sort));
+  }
+
+  /**
+   * Compara dos documentos según una especificación de ordenación
+   * @private
+   */
+  _compareBySort(a, b, sort) {
+    for (const field in sort) {
+      const dir = sort[field] < 0 ? -1 : 1;
+      const result = this._compareValues(this._getPath(a, field), this._getPath(b, field));
+      if (result !== 0) return result * dir;
+    }
+    return 0;
+  }
+
+  /**
+   * Compara dos valores para ordenarlos. Los valores ausentes van primero y los
+   * tipos distintos se ordenan por tipo.
+   * @private
+   */
+  _compareValues(a, b) {
+    const rank = value => {
+      if (value === undefined || value === null) return 0;
+      if (typeof value === 'number' || typeof value === 'bigint') return 1;
+      if (typeof value === 'string') return 2;
+      if (value instanceof Date) return 3;
+      if (typeof value === 'boolean') return 4;
+      return 5;
+    };
+    
+    const rankA = rank(a);
+    const rankB = rank(b);
+    if (rankA !== rankB) return rankA - rankB;
+    
+    if (a instanceof Date) {
+      a = a.getTime();
+      b = b.getTime();
+    } else if (rankA === 5) {
+      a = this._stringify(a);
+      b = this._stringify(b);
+    }
+    
+    if (a < b) return -1;
+    if (a > b) return 1;
+    return 0;
+  }
+
+  /**
+   * Aplica una proyección de inclusión ({ campo: 1 }) o de exclusión ({ campo: 0 }) a un documento.
+   * La clave primaria se incluye salvo que se excluya explícitamente.
+   * @private
+   */
+  _projectDocument(tableName, doc, projection) {
+    const primaryKey = this.config.tables[tableName]?.primaryKey || 'id';
+    const fields = Object.keys(projection);
+    const included = fields.filter(field => projection[field] && field !== primaryKey);
+    const excluded = fields.filter(field => !projection[field] && field !== primaryKey);
+    
+    if (included.length > 0 && excluded.length > 0) {
+      throw new DataOrbitError('Una proyección no puede mezclar campos incluidos y excluidos', 'E_QUERY');
+    }
+    
+    if (included.length > 0 || (fields.length > 0 && excluded.length === 0 && projection[primaryKey])) {
+      let projected = {};
+      if (projection[primaryKey] !== 0 && projection[primaryKey] !== false) {
+        projected[primaryKey] = doc[primaryKey];
+      }
+      for (const field of included) {
+        projected = this._mergeProjection(projected, this._pickPath(doc, field.split('.')));
+      }
+      return projected;
+    }
+    
+    const projected = this._clone(doc);
+    for (const field of fields) {
+      if (!projection[field]) {
+        this._unsetPath(projected, field);
+      }
+    }
+    return projected;
+  }
+
+  /**
+   * Obtiene los documentos que cumplen una consulta, usando índices cuando es posible
+   * @param {string} tableName - Nombre de la tabla
+   * @param {Object} query - Criterios de búsqueda
+   * @param {Object} stats - Objeto opcional en el que se anotan el plan y los documentos examinados
+   * @private
+   */
+  _findMatches(tableName, query, stats = null) {
+    // Si no hay query, devolver todos
+    if (!query || Object.keys(query).length === 0) {
+      if (stats) {
+        stats.plan = { stage: 'COLLSCAN', index: null, ids: null, candidates: [] };
+        stats.docsExamined = this.data[tableName].length;
+      }
+      return this.findAll(tableName);
+    }
+    
+    // Los campos cifrados se comparan por su texto cifrado determinista
+    query = this._prepareQuery(tableName, query);
+    
+    // Usar el mejor índice disponible; el resto de condiciones se comprueban sobre los candidatos
+    const plan = this._planQuery(tableName, query);
+    const source = plan.ids
+      ? Array.from(plan.ids, key => this.documentMap[tableName].get(key)).filter(Boolean)
+      : this.data[tableName];
+    
+    if (stats) {
+      stats.plan = plan;
+      stats.docsExamined = source.length;
+    }
+    
+    return source.filter(doc => this._matchesQuery(doc, query));
+  }
+
+  /**
+   * Elige cómo resolver una consulta ya preparada. Se consultan todos los índices
+   * aplicables y se elige el que devuelve menos candidatos; un $or se resuelve con
+   * índices solo si todas sus ramas pueden usarlos. Los candidatos pueden incluir
+   * documentos que no cumplen la consulta, por lo que después se filtran.
+   * @param {string} tableName - Nombre de la tabla
+   * @param {Object} query - Consulta preparada (ver _prepareQuery)
+   * @returns {Object} - { stage: 'IXSCAN' | 'OR' | 'COLLSCAN', index, ids, candidates, branches }
+   * @private
+   */
+  _planQuery(tableName, query) {
+    const indexes = this.indexes[tableName] || {};
+    const candidates = [];
+    
+    for (const name in indexes) {
+      const index = indexes[name];
+      let ids = null;
+      
+      if (index.fields.length > 1) {
+        ids = this._compoundLookup(index, query);
+      } else if (name in query) {
+        ids = this._indexLookup(index, query[name]);
+      }
+      
+      if (ids) {
+        candidates.push({ stage: 'IXSCAN', index: name, type: index.type, ids });
+      }
+    }
+    
+    // Unión de las ramas de un $or
+    if (Array.isArray(query.$or) && query.$or.length > 0) {
+      const branches = query.$or.map(branch => this._planQuery(tableName, branch));
+      if (branches.every(branch => branch.ids)) {
+        const ids = new Set();
+        for (const branch of branches) {
+          for (const id of branch.ids) {
+            ids.add(id);
+          }
+        }
+        candidates.push({ stage: 'OR', index: null, type: null, ids, branches });
+      }
+    }
+    
+    const best = candidates.reduce((chosen, candidate) => !chosen || candidate.ids.size < chosen.ids.size ? candidate : chosen, null);
+    if (!best) {
+      return { stage: 'COLLSCAN', index: null, ids: null, candidates };
+    }
+    
+    return { ...best, candidates };
+  }
+
+  /**
+   * Resumen legible de un plan para explain()
+   * @private
+   */
+  _describePlan(plan) {
+    const description = { stage: plan.stage, index: plan.index };
+    if (plan.type) {
+      description.indexType = plan.type;
+    }
+    if (plan.branches) {
+      description.branches = plan.branches.map(branch => this._describePlan(branch));
+    }
+    return description;
+  }
+
+  /**
+   * Claves primarias que un índice devuelve para una condición: igualdad ($eq, $in)
+   * en cualquier índice; rangos ($gt, $gte, $lt, $lte) y prefijos ($regex '^...')
+   * solo en los índices ordenados. Devuelve null si el índice no sirve.
+   * @private
+   */
+  _indexLookup(index, condition) {
+    const isIndexable = value => value === null || typeof value !== 'object';
+    const collect = buckets => {
+      const keys = new Set();
+      for (const ids of buckets) {
+        for (const key of ids || []) {
+          keys.add(key);
+        }
+      }
+      return keys;
+    };
+    
+    if (isIndexable(condition)) {
+      return collect([index.get(condition)]);
+    }
+    
+    if (condition instanceof RegExp) {
+      const buckets = this._prefixBuckets(index, condition);
+      return buckets ? collect(buckets) : null;
+    }
+    
+    if (!this._isOperatorObject(condition)) {
+      return null;
+    }
+    
+    if ('$eq' in condition && isIndexable(condition.$eq)) {
+      return collect([index.get(condition.$eq)]);
+    }
+    
+    if (Array.isArray(condition.$in) && condition.$in.every(isIndexable)) {
+      return collect(condition.$in.map(value => index.get(value)));
+    }
+    
+    if (index.type !== 'sorted') {
+      return null;
+    }
+    
+    if (condition.$regex !== undefined) {
+      const buckets = this._prefixBuckets(index, condition.$regex, condition.$options);
+      if (buckets) {
+        return collect(buckets);
+      }
+    }
+    
+    const bounds = {};
+    for (const op of ['$gt', '$gte', '$lt', '$lte']) {
+      if (condition[op] !== undefined) {
+        bounds[op.slice(1)] = condition[op];
+      }
+    }
+    
+    if (Object.keys(bounds).length === 0) {
+      return null;
+    }
+    
+    return collect(Array.from(index.entries(bounds), ([, ids]) => ids));
+  }
+
+  /**
+   * Claves primarias que un índice compuesto devuelve para una consulta con igualdades
+   * sobre un prefijo de sus campos, y opcionalmente un rango sobre el campo siguiente.
+   * Devuelve null si la consulta no fija el primer campo.
+   * @private
+   */
+  _compoundLookup(index, query) {
+    const isIndexable = value => value === null || typeof value !== 'object';
+    const prefix = [];
+    
+    for (const field of index.fields) {
+      if (!(field in query)) break;
+      
+      const condition = query[field];
+      if (isIndexable(condition)) {
+        prefix.push(condition);
+      } else if (this._isOperatorObject(condition) && '$eq' in condition && isIndexable(condition.$eq)) {
+        prefix.push(condition.$eq);
+      } else {
+        break;
+      }
+    }
+    
+    if (prefix.length === 0) {
+      return null;
+    }
+    
+    // Rango sobre el campo siguiente al prefijo
+    let lower = prefix;
+    let upper;
+    const next = query[index.fields[prefix.length]];
+    if (prefix.length < index.fields.length && this._isOperatorObject(next)) {
+      const from = next.$gte !== undefined ? next.$gte : next.$gt;
+      if (from !== undefined) lower = [...prefix, from];
+      upper = next.$lte !== undefined ? next.$lte : next.$lt;
+    }
+    
+    const limit = index.normalize(upper === undefined ? prefix : [...prefix, upper]);
+    const keys = new Set();
+    
+    for (const [tuple, ids] of index.entries({ gte: lower })) {
+      if (prefix.some((value, i) => this._compareValues(tuple[i], limit[i]) !== 0)) break;
+      if (upper !== undefined && this._compareValues(tuple[prefix.length], limit[prefix.length]) > 0) break;
+      
+      for (const id of ids) {
+        keys.add(id);
+      }
+    }
+    
+    return keys;
+  }
+
+  /**
+   * Conjuntos de claves de un índice ordenado cuyos valores empiezan por el prefijo
+   * de una expresión regular, o null si el índice no puede resolverla
+   * @private
+   */
+  _prefixBuckets(index, regex, options) {
+    const prefix = index.type === 'sorted' && this._regexPrefix(regex, options);
+    
+    // En los índices de fechas los textos se indexan como Date
+    if (!prefix || index.normalize(prefix) !== prefix) return null;
+    
+    return Array.from(index.entries({ gte: prefix, lt: prefix + '\uffff' }), ([, ids]) => ids);
+  }
+
+  /**
+   * Prefijo literal de una expresión regular anclada al inicio ('^abc...'), o null
+   * si no tiene o si no distingue mayúsculas
+   * @private
+   */
+  _regexPrefix(regex, options = '') {
+    const source = regex instanceof RegExp ? regex.source : String(regex);
+    const flags = (regex instanceof RegExp ? regex.flags : '') + options;
+    if (/[im]/.test(flags) || source.includes('|')) return null;
+    
+    const match = source.match(/^\^([^\\^$.|?*+()[\]{}]*)(.?)/);
+    if (!match) return null;
+    
+    // Un cuantificador tras el prefijo hace opcional su último carácter
+    const prefix = /[?*{]/.test(match[2]) ? match[1].slice(0, -1) : match[1];
+    return prefix || null;
+  }
+
+  /**
+   * Índice ordenado que puede servir una ordenación de un único campo
+   * @private
+   */
+  _sortIndexFor(tableName, sort) {
+    const fields = Object.keys(sort || {});
+    if (fields.length !== 1) return null;
+    
+    const index = this.indexes[tableName]?.[fields[0]];
+    return index && index.type === 'sorted' ? index : null;
+  }
+
+  /**
+   * Recorre los documentos de una tabla en el orden de un índice ordenado. A igual
+   * valor se ordenan por clave primaria; un documento con varios valores (array)
+   * aparece solo en la primera posición que le corresponde.
+   * @param {string} tableName - Nombre de la tabla
+   * @param {SortedIndex} index - Índice ordenado
+   * @param {number} direction - 1 ascendente, -1 descendente
+   * @returns {Iterator<Object>}
+   * @private
+   */
+  *_scanIndex(tableName, index, direction = 1) {
+    const documents = this.documentMap[tableName];
+    const buckets = Array.from(index.entries(), ([, ids]) => ids);
+    if (direction < 0) {
+      buckets.reverse();
+    }
+    
+    const seen = new Set();
+    for (const ids of buckets) {
+      const sorted = ids.size > 1 ? [...ids].sort((a, b) => this._compareValues(a, b)) : ids;
+      for (const id of sorted) {
+        if (seen.has(id)) continue;
+        seen.add(id);
+        
+        const doc = documents.get(id);
+        if (doc) yield doc;
+      }
+    }
+  }
+
+  /**
+   * Busca documentos que cumplan con ciertos criterios (versión asíncrona)
+   * @param {string} tableName - Nombre de la tabla
+   * @param {Object} query - Criterios de búsqueda
+   * @param {Object} options - Opciones de búsqueda (ver find)
+   * @returns {Promise<Array>} - Documentos que cumplen los criterios
+   */
+  async findAsync(tableName, query, options = {}) {
+    return this.find(tableName, query, options);
+  }
+
+  /**
+   * Encuentra un documento por su clave primaria
+   * @param {string} tableName - Nombre de la tabla
+   * @param {string|number} id - Valor de la clave primaria
+   * @returns {Object|null} - Documento encontrado o null
+   */
+  findById(tableName, id) {
+    if (!this.data[tableName]) {
+      return null;
+    }
+    
+    const tableConfig = this.config.tables[tableName] || { primaryKey: 'id' };
+    const primaryKey = tableConfig.primaryKey || 'id';
+    
+    // Usar el mapa de claves primarias si está disponible
+    if (this.documentMap[tableName]) {
+      const doc = this.documentMap[tableName].get(id);
+      return doc ? { ...doc } : null;
+    }
+    
+    // Búsqueda lineal
+    return this.data[tableName].find(doc => doc[primaryKey] === id) || null;
+  }
+
+  /**
+   * Encuentra un documento por su clave primaria (versión asíncrona)
+   * @param {string} tableName - Nombre de la tabla
+   * @param {string|number} id - Valor de la clave primaria
+   * @returns {Promise<Object|null>} - Documento encontrado o null
+   */
+  async findByIdAsync(tableName, id) {
+    return this.findById(tableName, id);
+  }
+
+  /**
+   * Encuentra un documento que cumpla con ciertos criterios
+   * @param {string} tableName - Nombre de la tabla
+   * @param {Object} query - Criterios de búsqueda
+   * @param {Object} options - Opciones de búsqueda (sort, skip, projection)
+   * @returns {Object|null} - Primer documento que cumple los criterios
+   */
+  findOne(tableName, query, options = {}) {
+    const results = this.find(tableName, query, { ...options, limit: 1 });
+    return results.length > 0 ? results[0] : null;
+  }
+
+  /**
+   * Encuentra un documento que cumpla con ciertos criterios (versión asíncrona)
+   * @param {string} tableName - Nombre de la tabla
+   * @param {Object} query - Criterios de búsqueda
+   * @param {Object} options - Opciones de búsqueda (sort, skip, projection)
+   * @returns {Promise<Object|null>} - Primer documento que cumple los criterios
+   */
+  async findOneAsync(tableName, query, options = {}) {
+    return this.findOne(tableName, query, options);
+  }
+
+  /**
+   * Obtiene una columna específica de todos los documentos
+   * @param {string} tableName - Nombre de la tabla
+   * @param {string} columnName - Nombre de la columna
+   * @returns {Array} - Valores de la columna
+   */
+  getAllColumns(tableName, columnName) {
+    if (!this.data[tableName]) {
+      return [];
+    }
+    
+    return this.data[tableName].map(row => this._getPath(row, columnName));
+  }
+
+  /**
+   * Cuenta el número de documentos en una tabla
+   * @param {string} tableName - Nombre de la tabla
+   * @param {Object} query - Criterios de búsqueda (opcional)
+   * @returns {number} - Número de documentos
+   */
+  count(tableName, query = null) {
+    if (!this.data[tableName]) {
+      return 0;
+    }
+    
+    if (!query) {
+      return this.data[tableName].length;
+    }
+    
+    return this.find(tableName, query).length;
+  }
+
+  /**
+   * Cuenta el número de documentos en una tabla (versión asíncrona)
+   * @param {string} tableName - Nombre de la tabla
+   * @param {Object} query - Criterios de búsqueda (opcional)
+   * @returns {Promise<number>} - Número de documentos
+   */
+  async countAsync(tableName, query = null) {
+    return this.count(tableName, query);
+  }
+
+  /**
+   * Obtiene el siguiente valor para la clave primaria
+   * @param {string} tableName - Nombre de la tabla
+   * @returns {number} - Siguiente valor
+   * @private
+   */
+  getNextPrimaryKey(tableName) {
+    if (!this.primaryKeyMap[tableName]) {
+      this._calculateNextPrimaryKey(tableName, this.config.tables[tableName]?.primaryKey || 'id');
+    }
+    
+    const nextKey = this.primaryKeyMap[tableName];
+    this.primaryKeyMap[tableName]++;
+    
+    return nextKey;
+  }
+
+  /**
+   * Verifica si un documento cumple con los criterios de búsqueda
+   * @param {Object} doc - Documento a verificar
+   * @param {Object} query - Criterios de búsqueda
+   * @returns {boolean} - Si el documento cumple los criterios
+   * @private
+   */
+  _matchesQuery(doc, query) {
+    for (const field in query) {
+      const queryValue = query[field];
+      
+      // Operadores lógicos de nivel superior
+      if (field.startsWith('$')) {
+        if (!this._matchesLogical(doc, field, queryValue)) {
+          return false;
+        }
+      }
+      // Condición sobre un campo (admite rutas con puntos)
+      else if (!this._matchesField(this._resolvePath(doc, field), queryValue)) {
+        return false;
+      }
+    }
+    
+    return true;
+  }
+
+  /**
+   * Verifica la condición de un campo. Si el campo es un array, basta con que
+   * cumpla el array completo o alguno de sus elementos; las negaciones exigen
+   * que no lo cumpla ninguno.
+   * @param {Array} values - Valores que toma la ruta en el documento
+   * @param {any} condition - Valor, expresión regular u objeto de operadores
+   * @returns {boolean}
+   * @private
+   */
+  _matchesField(values, condition) {
+    const matchesAny = test => values.some(value =>
+      test(value) || (Array.isArray(value) && value.some(element => test(element)))
+    );
+    
+    // Expresión regular directa
+    if (condition instanceof RegExp) {
+      return matchesAny(value => this._matchesRegex(value, condition));
+    }
+    
+    // Comparación directa
+    if (!this._isOperatorObject(condition)) {
+      return matchesAny(value => this._valuesEqual(value, condition));
+    }
+    
+    // Manejar operadores especiales
+    for (const op in condition) {
+      const opValue = condition[op];
+      let matches;
+      
+      switch (op) {
+        case '$ne':
+          matches = !matchesAny(value => this._valuesEqual(value, opValue));
+          break;
+        case '$nin':
+          matches = !matchesAny(value => !this._matchesOperators(value, { $nin: opValue }));
+          break;
+        case '$not':
+          matches = !matchesAny(value => !this._matchesOperators(value, { $not: opValue }));
+          break;
+        case '$exists':
+          matches = values.some(value => value !== undefined) === Boolean(opValue);
+          break;
+        case '$options':
+          if (condition.$regex === undefined) {
+            throw new DataOrbitError('El operador $options solo puede usarse junto a $regex', 'E_QUERY');
+          }
+          matches = true;
+          break;
+        case '$regex':
+          matches = matchesAny(value => this._matchesOperators(value, { $regex: opValue, $options: condition.$options }));
+          break;
+        default:
+          matches = matchesAny(value => this._matchesOperators(value, { [op]: opValue }));
+      }
+      
+      if (!matches) return false;
+    }
+    
+    return true;
+  }
+
+  /**
+   * Obtiene el valor de una ruta con puntos ('direccion.ciudad', 'items.0.sku').
+   * Un segmento no numérico sobre un array se aplica a cada elemento.
+   * @param {Object} doc - Documento
+   * @param {string} fieldPath - Ruta del campo
+   * @returns {any} - Valor de la ruta o undefined
+   * @private
+   */
+  _getPath(doc, fieldPath) {
+    if (!fieldPath.includes('.')) {
+      return doc == null ? undefined : doc[fieldPath];
+    }
+    
+    let value = doc;
+    const segments = fieldPath.split('.');
+    
+    for (let i = 0; i < segments.length; i++) {
+      if (value === null || typeof value !== 'object') {
+        return undefined;
+      }
+      
+      if (Array.isArray(value) && !/^\d+$/.test(segments[i])) {
+        const rest = segments.slice(i).join('.');
+        return value.map(element => this._getPath(element, rest)).filter(element => element !== undefined);
+      }
+      
+      value = value[segments[i]];
+    }
+    
+    return value;
+  }
+
+  /**
+   * Obtiene todos los valores que alcanza una ruta, recorriendo los arrays intermedios
+   * @param {Object} doc - Documento
+   * @param {string} fieldPath - Ruta del campo
+   * @returns {Array} - Valores encontrados ([undefined] si la ruta no existe)
+   * @private
+   */
+  _resolvePath(doc, fieldPath) {
+    if (!fieldPath.includes('.')) {
+      return [doc == null ? undefined : doc[fieldPath]];
+    }
+    
+    const resolve = (value, segments) => {
+      if (segments.length === 0) return [value];
+      if (value === null || typeof value !== 'object') return [undefined];
+      
+      const [head, ...rest] = segments;
+      if (Array.isArray(value) && !/^\d+$/.test(head)) {
+        const values = value.flatMap(element => resolve(element, segments));
+        return values.length > 0 ? values : [undefined];
+      }
+      
+      return resolve(value[head], rest);
+    };
+    
+    return resolve(doc, fieldPath.split('.'));
+  }
+
+  /**
+   * Asigna el valor de una ruta, creando los objetos intermedios que falten
+   * @param {Object} doc - Documento (se modifica)
+   * @param {string} fieldPath - Ruta del campo
+   * @param {any} value - Valor a asignar
+   * @private
+   */
+  _setPath(doc, fieldPath, value) {
+    const segments = fieldPath.split('.');
+    let target = doc;
+    
+    for (const segment of segments.slice(0, -1)) {
+      if (target[segment] === null || typeof target[segment] !== 'object') {
+        target[segment] = {};
+      }
+      target = target[segment];
+    }
+    
+    target[segments[segments.length - 1]] = value;
+  }
+
+  /**
+   * Elimina una ruta del documento
+   * @param {Object} doc - Documento (se modifica)
+   * @param {string} fieldPath - Ruta del campo
+   * @private
+   */
+  _unsetPath(doc, fieldPath) {
+    const segments = fieldPath.split('.');
+    const parent = segments.length > 1 ? this._getPath(doc, segments.slice(0, -1).join('.')) : doc;
+    
+    if (parent !== null && typeof parent === 'object') {
+      delete parent[segments[segments.length - 1]];
+    }
+  }
+
+  /**
+   * Extrae de un valor la estructura que lleva hasta una ruta, conservando objetos y arrays intermedios
+   * @param {any} value - Documento o subdocumento
+   * @param {Array<string>} segments - Segmentos de la ruta
+   * @returns {any} - Estructura parcial o undefined si la ruta no existe
+   * @private
+   */
+  _pickPath(value, segments) {
+    if (segments.length === 0) return value;
+    
+    if (Array.isArray(value) && !/^\d+$/.test(segments[0])) {
+      return value.map(element => this._pickPath(element, segments)).filter(element => element !== undefined);
+    }
+    if (value === null || typeof value !== 'object') return undefined;
+    
+    const child = this._pickPath(value[segments[0]], segments.slice(1));
+    return child === undefined ? undefined : { [segments[0]]: child };
+  }
+
+  /**
+   * Combina dos estructuras parciales obtenidas con _pickPath
+   * @private
+   */
+  _mergeProjection(target, source) {
+    if (source === undefined) return target;
+    if (target === undefined || target === null || typeof target !== 'object' || typeof source !== 'object' || source === null) {
+      return source;
+    }
+    
+    if (Array.isArray(target) && Array.isArray(source)) {
+      return source.map((element, i) => this._mergeProjection(target[i], element));
+    }
+    
+    const merged = { ...target };
+    for (const key in source) {
+      merged[key] = this._mergeProjection(target[key], source[key]);
+    }
+    return merged;
+  }
+
+  /**
+   * Devuelve una copia del documento con la ruta asignada, copiando solo los objetos del camino
+   * @param {Object} doc - Documento original (no se modifica)
+   * @param {string} fieldPath - Ruta del campo
+   * @param {any} value - Valor a asignar
+   * @returns {Object} - Nuevo documento
+   * @private
+   */
+  _withPath(doc, fieldPath, value) {
+    const [head, ...rest] = fieldPath.split('.');
+    const copy = Array.isArray(doc) ? [...doc] : { ...doc };
+    
+    if (rest.length === 0) {
+      copy[head] = value;
+    } else {
+      const child = copy[head] !== null && typeof copy[head] === 'object' ? copy[head] : {};
+      copy[head] = this._withPath(child, rest.join('.'), value);
+    }
+    
+    return copy;
+  }
+
+  /**
+   * Evalúa un operador lógico ($or, $and, $nor) sobre un documento
+   * @private
+   */
+  _matchesLogical(doc, op, conditions) {
+    if (!['$or', '$and', '$nor'].includes(op)) {
+      throw new DataOrbitError(`Operador de consulta desconocido: '${op}'`, 'E_QUERY');
+    }
+    if (!Array.isArray(conditions) || conditions.length === 0) {
+      throw new DataOrbitError(`El operador '${op}' requiere un array de condiciones no vacío`, 'E_QUERY');
+    }
+    
+    switch (op) {
+      case '$or':
+        return conditions.some(condition => this._matchesQuery(doc, condition));
+      case '$and':
+        return conditions.every(condition => this._matchesQuery(doc, condition));
+      case '$nor':
+        return !conditions.some(condition => this._matchesQuery(doc, condition));
+    }
+  }
+
+  /**
+   * Indica si un valor de consulta es un objeto de operadores ({ $gt: 1, ... })
+   * @private
+   */
+  _isOperatorObject(value) {
+    if (typeof value !== 'object' || value === null || Array.isArray(value) || value instanceof Date) {
+      return false;
+    }
+    
+    const keys = Object.keys(value);
+    const operatorKeys = keys.filter(key => key.startsWith('$'));
+    
+    if (operatorKeys.length > 0 && operatorKeys.length !== keys.length) {
+      throw new DataOrbitError('No se pueden mezclar operadores y campos en la misma condición', 'E_QUERY');
+    }
+    
+    return operatorKeys.length > 0;
+  }
+
+  /**
+   * Compara dos valores para los operadores de rango. Solo son comparables los valores
+   * del mismo tipo; las fechas se comparan cronológicamente, también frente a textos
+   * con una fecha. Devuelve NaN si los valores no son comparables.
+   * @private
+   */
+  _compareOrdered(a, b) {
+    if (a instanceof Date || b instanceof Date) {
+      const dateA = this._toDate(a);
+      const dateB = this._toDate(b);
+      if (!(dateA instanceof Date) || !(dateB instanceof Date)) return NaN;
+      return dateA.getTime() - dateB.getTime();
+    }
+    
+    if (typeof a !== typeof b || !['number', 'string', 'boolean', 'bigint'].includes(typeof a)) {
+      return NaN;
+    }
+    
+    if (a === b) return 0;
+    if (a < b) return -1;
+    if (a > b) return 1;
+    return NaN;
+  }
+
+  /**
+   * Compara dos valores, incluidos objetos y arrays, por su contenido
+   * @private
+   */
+  _valuesEqual(a, b) {
+    if (a === b) return true;
+    if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+    if (a instanceof Date || b instanceof Date) {
+      return a instanceof Date && b instanceof Date && a.getTime() === b.getTime();
+    }
+    
+    return this._stringify(a) === this._stringify(b);
+  }
+
+  /**
+   * Verifica si un valor de texto cumple una expresión regular
+   * @private
+   */
+  _matchesRegex(value, regex) {
+    if (typeof value !== 'string') return false;
+    
+    // Con las opciones g o y, test() continúa desde lastIndex: cada comprobación empieza de cero
+    regex.lastIndex = 0;
+    return regex.test(value);
+  }
+
+  /**
+   * Verifica si un valor es del tipo indicado. Acepta los tipos de DataType y los nombres
+   * 'string', 'number', 'boolean', 'object', 'array', 'date' y 'null'.
+   * @private
+   */
+  _matchesType(value, type) {
+    if (Array.isArray(type)) {
+      return type.some(item => this._matchesType(value, item));
+    }
+    
+    switch (type) {
+      case 'null':
+        return value === null;
+      case 'string':
+        return typeof value === 'string';
+      case 'number':
+        return typeof value === 'number';
+      case 'boolean':
+        return typeof value === 'boolean';
+      case 'array':
+        return Array.isArray(value);
+      case 'date':
+        return value instanceof Date;
+      case 'object':
+        return typeof value === 'object' && value !== null && !Array.isArray(value) && !(value instanceof Date);
+    }
+    
+    if (Object.values(DataType).includes(type)) {
+      return value !== undefined && value !== null && this._validateFieldType(value, type);
+    }
+    
+    throw new DataOrbitError(`Tipo desconocido en $type: '${type}'`, 'E_QUERY');
+  }
+
+  /**
+   * Verifica si un valor cumple con los operadores especiales
+   * @param {any} value - Valor a verificar
+   * @param {Object} operators - Operadores de comparación
+   * @returns {boolean} - Si el valor cumple con los operadores
+   * @private
+   */
+  _matchesOperators(value, operators) {
+    for (const op in operators) {
+      const opValue = operators[op];
+      
+      switch (op) {
+        case '$eq':
+          if (!this._valuesEqual(value, opValue)) return false;
+          break;
+        case '$gt':
+          if (!(this._compareOrdered(value, opValue) > 0)) return false;
+          break;
+        case '$gte':
+          if (!(this._compareOrdered(value, opValue) >= 0)) return false;
+          break;
+        case '$lt':
+          if (!(this._compareOrdered(value, opValue) < 0)) return false;
+          break;
+        case '$lte':
+          if (!(this._compareOrdered(value, opValue) <= 0)) return false;
+          break;
+        case '$ne':
+          if (this._valuesEqual(value, opValue)) return false;
+          break;
+        case '$in':
+          if (!Array.isArray(opValue)) {
+            throw new DataOrbitError('El operador $in requiere un array', 'E_QUERY');
+          }
+          if (!opValue.some(item => item instanceof RegExp ? this._matchesRegex(value, item) : this._valuesEqual(value, item))) return false;
+          break;
+        case '$nin':
+          if (!Array.isArray(opValue)) {
+            throw new DataOrbitError('El operador $nin requiere un array', 'E_QUERY');
+          }
+          if (opValue.some(item => item instanceof RegExp ? this._matchesRegex(value, item) : this._valuesEqual(value, item))) return false;
+          break;
+        case '$exists':
+          if ((value !== undefined) !== Boolean(opValue)) return false;
+          break;
+        case '$regex': {
+          const regex = opValue instanceof RegExp
+            ? (operators.$options ? new RegExp(opValue.source, operators.$options) : opValue)
+            : new RegExp(opValue, operators.$options || '');
+          if (!this._matchesRegex(value, regex)) return false;
+          break;
+        }
+        case '$options':
+          if (operators.$regex === undefined) {
+            throw new DataOrbitError('El operador $options solo puede usarse junto a $regex', 'E_QUERY');
+          }
+          break;
+        case '$not':
+          if (opValue instanceof RegExp) {
+            if (this._matchesRegex(value, opValue)) return false;
+          } else if (this._isOperatorObject(opValue)) {
+            if (this._matchesOperators(value, opValue)) return false;
+          } else {
+            throw new DataOrbitError('El operador $not requiere un objeto de operadores o una expresión regular', 'E_QUERY');
+          }
+          break;
+        case '$size':
+          if (!Array.isArray(value) || value.length !== opValue) return false;
+          break;
+        case '$all':
+          if (!Array.isArray(opValue)) {
+            throw new DataOrbitError('El operador $all requiere un array', 'E_QUERY');
+          }
+          if (!Array.isArray(value) || !opValue.every(item => value.some(element => this._valuesEqual(element, item)))) return false;
+          break;
+        case '$elemMatch':
+          if (typeof opValue !== 'object' || opValue === null) {
+            throw new DataOrbitError('El operador $elemMatch requiere un objeto de condiciones', 'E_QUERY');
+          }
+          if (!Array.isArray(value) || !value.some(element => this._isOperatorObject(opValue)
+            ? this._matchesOperators(element, opValue)
+            : typeof element === 'object' && element !== null && this._matchesQuery(element, opValue))) return false;
+          break;
+        case '$type':
+          if (!this._matchesType(value, opValue)) return false;
+          break;
+        default:
+          throw new DataOrbitError(`Operador de consulta desconocido: '${op}'`, 'E_QUERY');
+      }
+    }
+    
+    return true;
+  }
+
+  /**
+   * Valor de un documento para una restricción de unicidad: el del campo o, en las
+   * restricciones compuestas, la tupla de valores serializada. Devuelve undefined si
+   * el documento no tiene valor (en las compuestas, si le falta alguno de los campos).
+   * @private
+   */
+  _uniqueValue(doc, uniqueKey) {
+    if (!Array.isArray(uniqueKey)) {
+      const value = this._getPath(doc, uniqueKey);
+      if (value === null) return undefined;
+      
+      // Los objetos (fechas, buffers, ...) se comparan por contenido
+      return typeof value === 'object' ? this._stringify(value) : value;
+    }
+    
+    const values = uniqueKey.map(field => this._getPath(doc, field));
+    if (values.some(value => value === undefined || value === null)) {
+      return undefined;
+    }
+    
+    return this._stringify(values);
+  }
+
+  /**
+   * Verifica las restricciones de unicidad
+   * @param {string} tableName - Nombre de la tabla
+   * @param {Object} data - Datos a verificar
+   * @returns {boolean} - Si los datos cumplen las restricciones
+   * @private
+   */
+  _checkUniqueConstraints(tableName, data) {
+    const tableConfig = this.config.tables[tableName];
+    if (!tableConfig) return true;
+    
+    const uniqueConstraints = tableConfig.unique || [];
+    
+    for (const uniqueKey of uniqueConstraints) {
+      // Ignorar si el campo no tiene valor
+      const value = this._uniqueValue(data, uniqueKey);
+      if (value === undefined) {
+        continue;
+      }
+      
+      // Verificar si ya existe
+      if (this.uniqueKeyMap[tableName]?.[this._indexName(uniqueKey)]?.has(value)) {
+        return false;
+      }
+    }
+    
+    return true;
+  }
+
+  /**
+   * Verifica las restricciones de unicidad de un lote de cambios, incluidas las colisiones
+   * entre los propios documentos del lote
+   * @param {string} tableName - Nombre de la tabla
+   * @param {Array<Object>} changes - Cambios { before, after } (before ausente en inserciones)
+   * @returns {boolean} - Si el lote cumple las restricciones
+   * @private
+   */
+  _checkBatchUniqueConstraints(tableName, changes) {
+    const tableConfig = this.config.tables[tableName];
+    if (!tableConfig) return true;
+    
+    const uniqueConstraints = tableConfig.unique || [];
+    
+    for (const uniqueKey of uniqueConstraints) {
+      const taken = new Set(this.uniqueKeyMap[tableName]?.[this._indexName(uniqueKey)] || []);
+      
+      // Los valores que se sustituyen quedan libres
+      for (const { before } of changes) {
+        if (before) taken.delete(this._uniqueValue(before, uniqueKey));
+      }
+      
+      for (const { after } of changes) {
+        const value = this._uniqueValue(after, uniqueKey);
+        if (value === undefined) continue;
+        if (taken.has(value)) return false;
+        taken.add(value);
+      }
+    }
+    
+    return true;
+  }
+
+  /**
+   * Verifica las restricciones de unicidad para actualización
+   * @param {string} tableName - Nombre de la tabla
+   * @param {Object} newData - Nuevos datos
+   * @param {Object} originalData - Datos originales
+   * @returns {boolean} - Si los datos cumplen las restricciones
+   * @private
+   */
+  _checkUniqueConstraintsForUpdate(tableName, newData, originalData) {
+    const tableConfig = this.config.tables[tableName];
+    if (!tableConfig) return true;
+    
+    const uniqueConstraints = tableConfig.unique || [];
+    
+    for (const uniqueKey of uniqueConstraints) {
+      const value = this._uniqueValue(newData, uniqueKey);
+      
+      // Si el valor no cambió, está bien
+      if (value === this._uniqueValue(originalData, uniqueKey)) {
+        continue;
+      }
+      
+      // Ignorar si el campo no tiene valor
+      if (value === undefined) {
+        continue;
+      }
+      
+      // Verificar si ya existe
+      if (this.uniqueKeyMap[tableName]?.[this._indexName(uniqueKey)]?.has(value)) {
+        return false;
+      }
+    }
+    
+    return true;
+  }
+
+  /**
+   * Actualiza los índices con un nuevo documento
+   * @param {string} tableName - Nombre de la tabla
+   * @param {Object} doc - Documento
+   * @private
+   */
+  _updateIndexes(tableName, doc) {
+    if (!this.indexes[tableName]) {
+      this.indexes[tableName] = {};
+    }
+    if (!this.documentMap[tableName]) {
+      this.documentMap[tableName] = new Map();
+    }
+    
+    const primaryKey = this.config.tables[tableName]?.primaryKey || 'id';
+    const id = doc[primaryKey];
+    this.documentMap[tableName].set(id, doc);
+    
+    // Actualizar índices para cada campo indexado
+    for (const field in this.indexes[tableName]) {
+      const index = this.indexes[tableName][field];
+      for (const key of this._indexKeys(doc, index)) {
+        index.add(key, id);
+      }
+    }
+  }
+
+  /**
+   * Elimina un documento de los índices
+   * @param {string} tableName - Nombre de la tabla
+   * @param {Object} doc - Documento
+   * @private
+   */
+  _removeFromIndexes(tableName, doc) {
+    const primaryKey = this.config.tables[tableName]?.primaryKey || 'id';
+    const id = doc[primaryKey];
+    
+    if (this.documentMap[tableName]) {
+      this.documentMap[tableName].delete(id);
+    }
+    
+    if (!this.indexes[tableName]) return;
+    
+    // Eliminar de cada índice
+    for (const field in this.indexes[tableName]) {
+      const index = this.indexes[tableName][field];
+      for (const key of this._indexKeys(doc, index)) {
+        index.remove(key, id);
+      }
+    }
+  }
+
+  /**
+   * Actualiza los mapas de claves únicas
+   * @param {string} tableName - Nombre de la tabla
+   * @param {Object} data - Datos a añadir
+   * @private
+   */
+  _updateUniqueKeyMap(tableName, data) {
+    const tableConfig = this.config.tables[tableName];
+    if (!tableConfig) return;
+    
+    const uniqueConstraints = tableConfig.unique || [];
+    
+    // Inicializar si no existe
+    if (!this.uniqueKeyMap[tableName]) {
+      this.uniqueKeyMap[tableName] = {};
+    }
+    
+    // Añadir a cada Set de restricción única
+    for (const uniqueKey of uniqueConstraints) {
+      const name = this._indexName(uniqueKey);
+      if (!this.uniqueKeyMap[tableName][name]) {
+        this.uniqueKeyMap[tableName][name] = new Set();
+      }
+      
+      const value = this._uniqueValue(data, uniqueKey);
+      if (value !== undefined) {
+        this.uniqueKeyMap[tableName][name].add(value);
+      }
+    }
+  }
+
+  /**
+   * Actualiza los mapas de claves únicas para actualización
+   * @param {string} tableName - Nombre de la tabla
+   * @param {Object} newData - Nuevos datos
+   * @param {Object} originalData - Datos originales
+   * @private
+   */
+  _updateUniqueKeyMapForUpdate(tableName, newData, originalData) {
+    const tableConfig = this.config.tables[tableName];
+    if (!tableConfig) return;
+    
+    const uniqueConstraints = tableConfig.unique || [];
+    
+    for (const uniqueKey of uniqueConstraints) {
+      const name = this._indexName(uniqueKey);
+      const oldValue = this._uniqueValue(originalData, uniqueKey);
+      const newValue = this._uniqueValue(newData, uniqueKey);
+      
+      // Si el valor cambió, actualizar los sets
+      if (newValue !== oldValue) {
+        // Eliminar el valor antiguo
+        if (oldValue !== undefined) {
+          this.uniqueKeyMap[tableName][name].delete(oldValue);
+        }
+        
+        // Añadir el nuevo valor
+        if (newValue !== undefined) {
+          this.uniqueKeyMap[tableName][name].add(newValue);
+        }
+      }
+    }
+  }
+
+  /**
+   * Elimina un documento de los mapas de claves únicas
+   * @param {string} tableName - Nombre de la tabla
+   * @param {Object} doc - Documento
+   * @private
+   */
+  _removeFromUniqueKeyMap(tableName, doc) {
+    const tableConfig = this.config.tables[tableName];
+    if (!tableConfig) return;
+    
+    const uniqueConstraints = tableConfig.unique || [];
+    
+    for (const uniqueKey of uniqueConstraints) {
+      const value = this._uniqueValue(doc, uniqueKey);
+      if (value !== undefined) {
+        this.uniqueKeyMap[tableName]?.[this._indexName(uniqueKey)]?.delete(value);
+      }
+    }
+  }
+
+  /**
+   * Claves foráneas declaradas en los esquemas (`references` en la definición de un campo)
+   * @returns {Array<Object>} - { table, field, references: { table, field, onDelete } }
+   * @private
+   */
+  _foreignKeys() {
+    const foreignKeys = [];
+    
+    for (const table in this.config.tables) {
+      const schema = this.config.tables[table].schema || {};
+      
+      for (const field in schema) {
+        const references = schema[field]?.references;
+        if (!references) continue;
+        
+        if (!references.table) {
+          throw new Error(`La referencia del campo '${field}' de la tabla '${table}' debe indicar la tabla`);
+        }
+        
+        const onDelete = references.onDelete || 'restrict';
+        if (!['cascade', 'restrict', 'setNull'].includes(onDelete)) {
+          throw new Error(`onDelete no válido en '${table}.${field}': '${onDelete}'`);
+        }
+        
+        foreignKeys.push({
+          table,
+          field,
+          references: {
+            table: references.table,
+            field: references.field || this.config.tables[references.table]?.primaryKey || 'id',
+            onDelete
+          }
+        });
+      }
+    }
+    
+    return foreignKeys;
+  }
+
+  /**
+   * Error de violación de una clave foránea
+   * @private
+   */
+  _referenceError(foreignKey, value) {
+    const { table, field, references } = foreignKey;
+    return new DataOrbitError(
+      `Violación de clave foránea: '${table}.${field}' = ${JSON.stringify(value)} no existe en '${references.table}.${references.field}'`,
+      'E_FOREIGN_KEY'
+    );
+  }
+
+  /**
+   * Documentos de una tabla cuyo campo tiene un valor, usando el índice del campo si existe
+   * @private
+   */
+  _findByValue(tableName, field, value) {
+    const index = this.indexes[tableName]?.[field];
+    if (index) {
+      const ids = index.get(value);
+      return ids ? [...ids].map(id => this.documentMap[tableName].get(id)) : [];
+    }
+    
+    return (this.data[tableName] || []).filter(row => this._valuesEqual(this._getPath(row, field), value));
+  }
+
+  /**
+   * Verifica las claves foráneas de un documento que se inserta o actualiza: sus referencias
+   * deben existir y, si es una actualización, no puede cambiar un valor referenciado por otras filas
+   * @param {string} tableName - Nombre de la tabla
+   * @param {Object} doc - Documento nuevo
+   * @param {Object} original - Documento original (null en inserciones)
+   * @param {Array<Object>} batch - Documentos de la misma tabla que se insertan a la vez
+   * @private
+   */
+  _checkReferences(tableName, doc, original = null, batch = []) {
+    const changed = (field, value) => !original || !this._valuesEqual(value, this._getPath(original, field));
+    
+    for (const foreignKey of this._foreignKeys()) {
+      const { table, field, references } = foreignKey;
+      
+      // Referencias del documento
+      if (table === tableName) {
+        const value = this._getPath(doc, field);
+        
+        if (value !== undefined && value !== null && changed(field, value)) {
+          const isTarget = row => this._valuesEqual(this._getPath(row, references.field), value);
+          const exists = references.table === tableName && (isTarget(doc) || batch.some(isTarget))
+            || this._findByValue(references.table, references.field, value).length > 0;
+          
+          if (!exists) {
+            throw this._referenceError(foreignKey, value);
+          }
+        }
+      }
+      
+      // Filas que referencian el valor anterior del documento
+      if (original && references.table === tableName) {
+        const previous = this._getPath(original, references.field);
+        
+        if (previous !== undefined && previous !== null && changed(references.field, this._getPath(doc, references.field))) {
+          const primaryKey = this.config.tables[tableName]?.primaryKey || 'id';
+          const dependents = this._findByValue(table, field, previous)
+            .filter(row => table !== tableName || row[primaryKey] !== original[primaryKey]);
+          
+          if (dependents.length > 0) {
+            throw new DataOrbitError(
+              `No se puede modificar '${tableName}.${references.field}': lo referencian filas de '${table}'`,
+              'E_FOREIGN_KEY'
+            );
+          }
+        }
+      }
+    }
   }
 
   /**
-   * Crea una nueva tabla
+   * Calcula todas las operaciones que implica eliminar unos documentos según las reglas
+   * onDelete de las claves foráneas que los referencian, sin modificar nada
    * @param {string} tableName - Nombre de la tabla
-   * @param {Object} schema - Esquema de la tabla
-   * @returns {boolean} - Éxito de la operación
+   * @param {Array<Object>} docs - Documentos a eliminar
+   * @returns {Object} - { deletes: Map<tabla, Map<clave, doc>>, updates: [{ table, before, after }] }
+   * @private
    */
-  createTable(tableName, schema) {
-    if (this.data[tableName]) {
-      throw new Error(`La tabla '${tableName}' ya existe`);
-    }
+  _planDelete(tableName, docs) {
+    const foreignKeys = this._foreignKeys();
+    const deletes = new Map();
+    const nullify = new Map();
+    const restricted = [];
+    const keyOf = table => this.config.tables[table]?.primaryKey || 'id';
+    const isDeleted = (table, doc) => deletes.get(table)?.has(doc[keyOf(table)]) === true;
     
-    this.data[tableName] = [];
+    const markDeleted = (table, rows) => {
+      if (!deletes.has(table)) deletes.set(table, new Map());
+      const added = rows.filter(row => !isDeleted(table, row));
+      for (const row of added) {
+        deletes.get(table).set(row[keyOf(table)], row);
+      }
+      return added;
+    };
     
-    // Configurar esquema
-    if (!this.config.tables[tableName]) {
-      this.config.tables[tableName] = {
-        primaryKey: 'id',
-        schema: schema || {}
-      };
-    }
+    const queue = [[tableName, markDeleted(tableName, docs)]];
     
-    // Inicializar índices
-    this.indexes[tableName] = {};
-    this._createIndex(tableName, this.config.tables[tableName].primaryKey);
+    while (queue.length > 0) {
+      const [table, removed] = queue.shift();
+      
+      for (const foreignKey of foreignKeys) {
+        if (foreignKey.references.table !== table) continue;
+        
+        const { field, references } = foreignKey;
+        const dependents = [];
+        
+        for (const doc of removed) {
+          const value = this._getPath(doc, references.field);
+          if (value === undefined || value === null) continue;
+          dependents.push(...this._findByValue(foreignKey.table, field, value));
+        }
+        
+        if (references.onDelete === 'cascade') {
+          const added = markDeleted(foreignKey.table, dependents);
+          if (added.length > 0) {
+            queue.push([foreignKey.table, added]);
+          }
+        } else if (references.onDelete === 'setNull') {
+          if (!nullify.has(foreignKey.table)) nullify.set(foreignKey.table, new Map());
+          const fields = nullify.get(foreignKey.table);
+          for (const row of dependents) {
+            const key = row[keyOf(foreignKey.table)];
+            if (!fields.has(key)) fields.set(key, new Set());
+            fields.get(key).add(field);
+          }
+        } else {
+          restricted.push(...dependents.map(row => ({ foreignKey, row })));
+        }
+      }
+    }
     
-    // Inicializar mapa de claves únicas
-    this.uniqueKeyMap[tableName] = {};
+    // Una fila restringida solo puede desaparecer si también se elimina en cascada
+    const blocking = restricted.find(({ foreignKey, row }) => !isDeleted(foreignKey.table, row));
+    if (blocking) {
+      const { foreignKey } = blocking;
+      throw new DataOrbitError(
+        `No se puede eliminar de '${foreignKey.references.table}': lo referencian filas de '${foreignKey.table}' (${foreignKey.field})`,
+        'E_FOREIGN_KEY'
+      );
+    }
     
-    // Guardar cambios
-    this.saveDatabase();
+    // Las filas que se eliminan no se actualizan, y las que se actualizan deben seguir siendo válidas
+    const updates = [];
+    for (const [table, fields] of nullify) {
+      for (const [key, names] of fields) {
+        if (deletes.get(table)?.has(key)) continue;
+        
+        const row = this.documentMap[table].get(key);
+        const $set = Object.fromEntries([...names].map(name => [name, null]));
+        updates.push({ table, before: row, after: this._buildUpdatedDoc(table, row, { $set }) });
+      }
+    }
     
-    return true;
+    return { deletes, updates };
   }
 
   /**
-   * Elimina una tabla
-   * @param {string} tableName - Nombre de la tabla
-   * @returns {boolean} - Éxito de la operación
+   * Aplica en memoria un plan de _planDelete y registra todas sus operaciones, que se
+   * persisten juntas en el siguiente volcado
+   * @private
    */
-  dropTable(tableName) {
-    if (!this.data[tableName]) {
-      return false;
+  _applyDeletePlan(plan) {
+    // Los hooks pueden rechazar la eliminación antes de que se modifique nada
+    for (const [table, docs] of plan.deletes) {
+      for (const doc of docs.values()) {
+        this._runBeforeHooks(table, 'beforeDelete', doc);
+      }
     }
     
-    // Eliminar la tabla
-    delete this.data[tableName];
+    const start = this._pendingEntries.length;
     
-    // Limpiar índices y mapas
-    delete this.indexes[tableName];
-    delete this.uniqueKeyMap[tableName];
-    delete this.primaryKeyMap[tableName];
+    for (const { table, before, after } of plan.updates) {
+      this._replaceDoc(table, before, after);
+    }
     
-    // Guardar cambios
-    this.saveDatabase();
+    for (const [table, docs] of plan.deletes) {
+      if (docs.size === 0) continue;
+      
+      for (const [key, doc] of docs) {
+        this._removeFromIndexes(table, doc);
+        this._removeFromUniqueKeyMap(table, doc);
+        this._record({ op: 'delete', table, key });
+        this._queueChange('delete', { table, key, oldDoc: doc, newDoc: null });
+      }
+      
+      // Un único recorrido en lugar de un splice por documento
+      const primaryKey = this.config.tables[table]?.primaryKey || 'id';
+      this._touchTable(table);
+      this.data[table] = this.data[table].filter(doc => !docs.has(doc[primaryKey]));
+    }
     
-    return true;
+    // Las eliminaciones y las cascadas se aplican juntas o no se aplica ninguna
+    this._batchEntries(start);
   }
 
   /**
-   * Crea una copia de seguridad de la base de datos
-   * @returns {string} - Ruta del archivo de backup
+   * Ejecuta una transacción. Las escrituras se retienen en memoria y se guardan juntas al
+   * terminar; si la función lanza un error se deshacen todas, incluidos índices, claves únicas
+   * y contadores de claves primarias. Una transacción dentro de otra actúa como punto de
+   * guardado: si falla solo se deshacen sus cambios y el error llega a la transacción exterior.
+   * @param {Function} transactionFn - Función de transacción; recibe la base de datos
+   * @returns {any} - Resultado de la transacción
    */
-  backup() {
-    const now = new Date();
-    const backupFolder = `${path.dirname(this.config.file)}/backups`;
+  transaction(transactionFn) {
+    this._checkTransaction();
     
-    // Crear carpeta de backups si no existe
-    if (!fs.existsSync(backupFolder)) {
-      fs.mkdirSync(backupFolder, { recursive: true });
+    if (this._needsLock()) {
+      return this._write(() => this.transaction(transactionFn));
     }
     
-    // Generar nombre de archivo
-    const timestamp = now.toISOString().replace(/[:.]/g, '-');
-    const backupFilePath = `${backupFolder}/${path.basename(this.config.file, '.json')}_${timestamp}.json`;
-    
-    // Copiar archivo
-    fs.copyFileSync(this.config.file, backupFilePath);
+    // Dentro de otra transacción o de una migración es un punto de guardado
+    const outermost = !this._holdWrites;
+    if (outermost) {
+      this._flush();
+    }
     
-    console.log(`Backup creado: ${backupFilePath}`);
+    const state = this._captureState();
+    this._holdWrites = true;
     
-    return backupFilePath;
+    try {
+      const result = transactionFn(this);
+      if (result && typeof result.then === 'function') {
+        throw new DataOrbitError('La función de la transacción es asíncrona: usa transactionAsync()', 'E_TRANSACTION');
+      }
+      
+      if (outermost) {
+        this._commitTransaction();
+      }
+      
+      return result;
+    } catch (error) {
+      this._restoreState(state);
+      this._holdWrites = !outermost;
+      
+      console.error('Error en transacción, rollback realizado:', error);
+      throw error;
+    }
   }
 
   /**
-   * Inicia el servicio de copias de seguridad automáticas
+   * Versión asíncrona de transaction(): la función puede ser asíncrona. Las escrituras de otras
+   * operaciones esperan a que la transacción termine (las síncronas lanzan E_TRANSACTION).
+   * @param {Function} transactionFn - Función de transacción; recibe la base de datos
+   * @returns {Promise<any>} - Resultado de la transacción
    */
-  startBackupService() {
-    if (!this.config.backups || this.config.backups.length === 0) {
-      return;
+  async transactionAsync(transactionFn) {
+    if (this._transaction && !this._transactionContext.getStore()) {
+      await this._waitForTransaction();
     }
     
-    this.config.backups.forEach((backupConfig) => {
-      const interval = (backupConfig.interval || 1) * 24 * 60 * 60 * 1000; // Días a milisegundos
+    if (this._needsLockAsync()) {
+      return this._writeAsync(() => this.transactionAsync(transactionFn));
+    }
+    
+    // Dentro de otra transacción o de una migración es un punto de guardado
+    if (this._holdWrites) {
+      const state = this._captureState();
+      try {
+        return await transactionFn(this);
+      } catch (error) {
+        this._restoreState(state);
+        console.error('Error en transacción, rollback realizado:', error);
+        throw error;
+      }
+    }
+    
+    return this._exclusiveAsync(async () => {
+      // Persistir antes las escrituras asíncronas anteriores a la transacción
+      await this.flush();
       
-      setInterval(() => {
-        try {
-          this.backup();
-        } catch (error) {
-          console.error('Error al crear backup automático:', error);
-        }
-      }, interval);
+      const state = this._captureState();
+      this._holdWrites = true;
       
-      console.log(`Servicio de backup configurado cada ${backupConfig.interval} día(s)`);
+      try {
+        const result = await transactionFn(this);
+        
+        this._commitTransaction();
+        await this.flush();
+        return result;
+      } catch (error) {
+        this._restoreState(state);
+        this._holdWrites = false;
+        
+        console.error('Error en transacción, rollback realizado:', error);
+        throw error;
+      }
     });
   }
 
   /**
-   * Restaura la base de datos desde un backup
-   * @param {string} backupFile - Ruta del archivo de backup
-   * @returns {boolean} - Éxito de la operación
+   * Ejecuta una operación asíncrona en exclusiva: el resto de escritores asíncronos
+   * esperan a que termine y los síncronos fallan con E_TRANSACTION
+   * @private
    */
-  restore(backupFile) {
+  async _exclusiveAsync(operationFn) {
+    let finish;
+    this._transaction = new Promise(resolve => { finish = resolve; });
+    
     try {
-      if (!fs.existsSync(backupFile)) {
-        throw new Error(`El archivo de backup '${backupFile}' no existe`);
-      }
-      
-      // Crear backup del estado actual antes de restaurar
-      this.backup();
-      
-      // Copiar archivo de backup a la ubicación de la base de datos
-      fs.copyFileSync(backupFile, this.config.file);
-      
-      // Recargar la base de datos
-      this.loadDatabase();
-      
-      return true;
-    } catch (error) {
-      console.error('Error al restaurar backup:', error);
-      return false;
+      return await this._transactionContext.run(true, operationFn);
+    } finally {
+      this._transaction = null;
+      finish();
     }
   }
 
   /**
-   * Obtiene todos los documentos de una tabla
-   * @param {string} tableName - Nombre de la tabla
-   * @returns {Array} - Documentos de la tabla
+   * Persiste las escrituras retenidas por una transacción en una sola operación del journal
+   * y publica sus cambios como un único lote
+   * @private
    */
-  findAll(tableName) {
-    if (!this.data[tableName]) {
-      return [];
+  _commitTransaction() {
+    this._batchEntries(0);
+    this._holdWrites = false;
+    this._undoLog = [];
+    this._flush();
+  }
+
+  /**
+   * Agrupa en una sola operación del journal las operaciones pendientes desde `start`, de
+   * modo que una escritura interrumpida no deje aplicada solo una parte
+   * @param {number} start - Posición de la primera operación en _pendingEntries
+   * @private
+   */
+  _batchEntries(start) {
+    const entries = this._pendingEntries.splice(start);
+    
+    if (entries.length === 1) {
+      this._pendingEntries.push(entries[0]);
+    } else if (entries.length > 1) {
+      this._pendingEntries.push({ op: 'batch', entries, seq: entries[entries.length - 1].seq });
+    }
+  }
+
+  /**
+   * Espera a que termine la transacción asíncrona en curso (y las que empiecen después)
+   * @private
+   */
+  async _waitForTransaction() {
+    while (this._transaction && !this._transactionContext.getStore()) {
+      await this._transaction;
+    }
+  }
+
+  /**
+   * Impide que una escritura síncrona ajena se mezcle con una transacción asíncrona abierta
+   * @private
+   */
+  _checkTransaction() {
+    if (this._transaction && !this._transactionContext.getStore()) {
+      throw new DataOrbitError(
+        'Hay una transacción u otra operación asíncrona exclusiva en curso: usa la API asíncrona para esperar a que termine',
+        'E_TRANSACTION'
+      );
     }
+  }
+
+  /**
+   * Marca el punto al que se puede volver al deshacer una transacción o una migración. Las
+   * filas no se copian aquí: cada tabla se copia al modificarse por primera vez (_touchTable).
+   * @private
+   */
+  _captureState() {
+    // Fuera de una transacción no queda nada que deshacer
+    if (!this._holdWrites) {
+      this._undoLog = [];
+    }
+    this._touchedTables = new Set();
     
-    return [...this.data[tableName]];
+    return {
+      undo: this._undoLog.length,
+      tables: { ...this.config.tables },
+      metadata: this._clone(this.metadata),
+      primaryKeyMap: { ...this.primaryKeyMap },
+      entries: this._pendingEntries.length,
+      events: this._pendingEvents.length
+    };
   }
 
   /**
-   * Busca documentos que cumplan con ciertos criterios
+   * Guarda las filas de una tabla antes de modificarla dentro de una transacción. Basta una
+   * copia superficial: los documentos guardados no se modifican, se sustituyen.
    * @param {string} tableName - Nombre de la tabla
-   * @param {Object} query - Criterios de búsqueda
-   * @returns {Array} - Documentos que cumplen los criterios
+   * @private
    */
-  find(tableName, query) {
-    if (!this.data[tableName]) {
-      return [];
-    }
+  _touchTable(tableName) {
+    if (!this._holdWrites || this._touchedTables.has(tableName)) return;
     
-    // Si no hay query, devolver todos
-    if (!query || Object.keys(query).length === 0) {
-      return this.findAll(tableName);
-    }
+    this._touchedTables.add(tableName);
+    this._undoLog.push({ table: tableName, rows: this.data[tableName]?.slice() });
+  }
+
+  /**
+   * Restaura un estado marcado con _captureState, descartando las escrituras posteriores, y
+   * reconstruye las claves únicas y los índices de las tablas modificadas
+   * @private
+   */
+  _restoreState(state) {
+    const undo = this._undoLog.splice(state.undo);
+    this.config.tables = state.tables;
+    this.metadata = state.metadata;
+    this._pendingEntries.length = state.entries;
+    this._pendingEvents.length = state.events;
+    this._touchedTables = new Set();
     
-    // Usar índice si es posible
-    const singleFieldQuery = Object.keys(query).length === 1;
-    const queryField = Object.keys(query)[0];
+    // De la última copia a la primera: queda la tomada al empezar
+    const tables = new Set();
+    for (let i = undo.length - 1; i >= 0; i--) {
+      const { table, rows } = undo[i];
+      if (rows === undefined) {
+        delete this.data[table];
+      } else {
+        this.data[table] = rows;
+      }
+      tables.add(table);
+    }
     
-    if (singleFieldQuery && this.indexes[tableName] && this.indexes[tableName][queryField]) {
-      const index = this.indexes[tableName][queryField][query[queryField]];
-      if (index !== undefined) {
-        return [this.data[tableName][index]];
+    for (const tableName of tables) {
+      if (this.data[tableName]) {
+        this._initializeTableUniqueKeyMap(tableName);
+        this._initializeTableIndexes(tableName, this.indexes[tableName]);
+      } else {
+        delete this.uniqueKeyMap[tableName];
+        delete this.indexes[tableName];
+        delete this.documentMap[tableName];
       }
-      return [];
     }
     
-    // Búsqueda completa
-    return this.data[tableName].filter(doc => this._matchesQuery(doc, query));
+    // Los contadores de claves primarias se conservan como estaban
+    this.primaryKeyMap = state.primaryKeyMap;
   }
 
   /**
-   * Encuentra un documento por su clave primaria
-   * @param {string} tableName - Nombre de la tabla
-   * @param {string|number} id - Valor de la clave primaria
-   * @returns {Object|null} - Documento encontrado o null
+   * Versión del esquema guardada en el archivo (0 si nunca se ha migrado)
+   * @returns {number}
    */
-  findById(tableName, id) {
-    if (!this.data[tableName]) {
-      return null;
+  getSchemaVersion() {
+    return this.metadata.schemaVersion || 0;
+  }
+
+  /**
+   * Migra la base de datos a una versión del esquema ejecutando en orden las funciones `up`
+   * de `config.migrations` (o las `down`, en orden inverso, para volver atrás). Todos los pasos
+   * forman una transacción: se guardan juntos con la nueva versión o, si alguno falla, no se
+   * conserva ningún cambio. Durante los pasos no se valida el esquema, pero sí la unicidad y
+   * las claves foráneas.
+   * @param {number} version - Versión de destino (por defecto, la última registrada)
+   * @param {Object} options - { dryRun: true } ejecuta los pasos, informa de las filas que no
+   * cumplirían el esquema y deshace todos los cambios
+   * @returns {Object} - { from, to, applied, dryRun, failures }
+   */
+  migrateTo(version = this._latestSchemaVersion(), options = {}) {
+    this._checkTransaction();
+    
+    if (this._needsLock()) {
+      return this._write(() => this.migrateTo(version, options));
     }
     
-    const tableConfig = this.config.tables[tableName] || { primaryKey: 'id' };
-    const primaryKey = tableConfig.primaryKey || 'id';
+    const steps = this._migrationSteps(version);
+    if (steps.length === 0) {
+      return this._migrationResult(this.getSchemaVersion(), version, steps, options);
+    }
     
-    // Usar índice si está disponible
-    if (this.indexes[tableName] && this.indexes[tableName][primaryKey]) {
-      const index = this.indexes[tableName][primaryKey][id];
-      if (index !== undefined) {
-        return { ...this.data[tableName][index] };
+    this._flush();
+    const state = this._beginMigration();
+    
+    try {
+      for (const step of steps) {
+        const result = step.run(this);
+        if (result && typeof result.then === 'function') {
+          throw new DataOrbitError(`La migración ${step.version} es asíncrona: usa migrateToAsync() o DataOrbit.open()`, 'E_MIGRATION');
+        }
+        this.metadata.schemaVersion = step.to;
       }
-      return null;
+      
+      this._migrating = false;
+      const result = this._migrationResult(state.version, version, steps, options);
+      if (options.dryRun) {
+        this._rollbackMigration(state);
+      } else {
+        const events = this._pendingEvents.splice(0);
+        this._holdWrites = false;
+        this._undoLog = [];
+        this._pendingEntries = [];
+        this.saveDatabase();
+        this._publishChanges(events);
+      }
+      return result;
+    } catch (error) {
+      this._rollbackMigration(state);
+      throw error;
     }
-    
-    // Búsqueda lineal
-    return this.data[tableName].find(doc => doc[primaryKey] === id) || null;
   }
 
   /**
-   * Encuentra un documento que cumpla con ciertos criterios
-   * @param {string} tableName - Nombre de la tabla
-   * @param {Object} query - Criterios de búsqueda
-   * @returns {Object|null} - Primer documento que cumple los criterios
+   * Versión asíncrona de migrateTo(): las funciones `up` y `down` pueden devolver una promesa
+   * @param {number} version - Versión de destino (por defecto, la última registrada)
+   * @param {Object} options - { dryRun }
+   * @returns {Promise<Object>} - { from, to, applied, dryRun, failures }
    */
-  findOne(tableName, query) {
-    const results = this.find(tableName, query);
-    return results.length > 0 ? results[0] : null;
+  async migrateToAsync(version = this._latestSchemaVersion(), options = {}) {
+    if (this._transaction && !this._transactionContext.getStore()) {
+      await this._waitForTransaction();
+    }
+    
+    if (this._needsLockAsync()) {
+      return this._writeAsync(() => this.migrateToAsync(version, options));
+    }
+    
+    const steps = this._migrationSteps(version);
+    if (steps.length === 0) {
+      return this._migrationResult(this.getSchemaVersion(), version, steps, options);
+    }
+    
+    // En exclusiva, como transactionAsync: una escritura ajena quedaría retenida con las de
+    // la migración y se descartaría con su rollback
+    return this._exclusiveAsync(async () => {
+      await this.flush();
+      const state = this._beginMigration();
+      
+      try {
+        for (const step of steps) {
+          await step.run(this);
+          this.metadata.schemaVersion = step.to;
+        }
+        
+        this._migrating = false;
+        const result = this._migrationResult(state.version, version, steps, options);
+        if (options.dryRun) {
+          this._rollbackMigration(state);
+        } else {
+          const events = this._pendingEvents.splice(0);
+          this._holdWrites = false;
+          this._undoLog = [];
+          this._pendingEntries = [];
+          await this._enqueueIO(async () => {
+            await this.saveDatabaseAsync();
+            await this._publishChangesAsync([events]);
+          });
+        }
+        return result;
+      } catch (error) {
+        this._rollbackMigration(state);
+        throw error;
+      }
+    });
   }
 
   /**
-   * Obtiene una columna específica de todos los documentos
-   * @param {string} tableName - Nombre de la tabla
-   * @param {string} columnName - Nombre de la columna
-   * @returns {Array} - Valores de la columna
+   * Última versión registrada en config.migrations
+   * @private
    */
-  getAllColumns(tableName, columnName) {
-    if (!this.data[tableName]) {
-      return [];
-    }
-    
-    return this.data[tableName].map(row => row[columnName]);
+  _latestSchemaVersion() {
+    const { migrations } = this.config;
+    return migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
   }
 
   /**
-   * Cuenta el número de documentos en una tabla
-   * @param {string} tableName - Nombre de la tabla
-   * @param {Object} query - Criterios de búsqueda (opcional)
-   * @returns {number} - Número de documentos
+   * Pasos necesarios para llegar a una versión desde la actual
+   * @param {number} target - Versión de destino
+   * @returns {Array<Object>} - { version, direction, run, to }
+   * @private
    */
-  count(tableName, query = null) {
-    if (!this.data[tableName]) {
-      return 0;
+  _migrationSteps(target) {
+    const { migrations } = this.config;
+    const current = this.getSchemaVersion();
+    const known = version => version === 0 || migrations.some(migration => migration.version === version);
+    
+    if (!known(target)) {
+      throw new DataOrbitError(`No hay ninguna migración con la versión ${target}`, 'E_MIGRATION');
+    }
+    if (!known(current)) {
+      throw new DataOrbitError(`La base de datos está en la versión ${current}, que no corresponde a ninguna migración registrada`, 'E_MIGRATION');
     }
     
-    if (!query) {
-      return this.data[tableName].length;
+    if (target >= current) {
+      return migrations
+        .filter(migration => migration.version > current && migration.version <= target)
+        .map(migration => ({ version: migration.version, direction: 'up', run: migration.up, to: migration.version }));
     }
     
-    return this.find(tableName, query).length;
+    const reverted = migrations
+      .filter(migration => migration.version > target && migration.version <= current)
+      .reverse();
+    
+    return reverted.map((migration, i) => {
+      if (typeof migration.down !== 'function') {
+        throw new DataOrbitError(`La migración ${migration.version} no define una función down`, 'E_MIGRATION');
+      }
+      const to = i + 1 < reverted.length ? reverted[i + 1].version : target;
+      return { version: migration.version, direction: 'down', run: migration.down, to };
+    });
   }
 
   /**
-   * Obtiene el siguiente valor para la clave primaria
-   * @param {string} tableName - Nombre de la tabla
-   * @returns {number} - Siguiente valor
+   * Guarda el estado previo a una migración y retiene las escrituras hasta confirmarla
    * @private
    */
-  getNextPrimaryKey(tableName) {
-    if (!this.primaryKeyMap[tableName]) {
-      this._calculateNextPrimaryKey(tableName, this.config.tables[tableName]?.primaryKey || 'id');
-    }
-    
-    const nextKey = this.primaryKeyMap[tableName];
-    this.primaryKeyMap[tableName]++;
+  _beginMigration() {
+    const state = { version: this.getSchemaVersion(), ...this._captureState() };
     
-    return nextKey;
+    this._holdWrites = true;
+    this._migrating = true;
+    return state;
   }
 
   /**
-   * Verifica si un documento cumple con los criterios de búsqueda
-   * @param {Object} doc - Documento a verificar
-   * @param {Object} query - Criterios de búsqueda
-   * @returns {boolean} - Si el documento cumple los criterios
+   * Restaura el estado previo a una migración y descarta sus escrituras
    * @private
    */
-  _matchesQuery(doc, query) {
-    for (const field in query) {
-      const queryValue = query[field];
-      
-      // Manejar operadores especiales
-      if (typeof queryValue === 'object' && queryValue !== null) {
-        if (!this._matchesOperators(doc[field], queryValue)) {
-          return false;
-        }
-      } 
-      // Comparación directa
-      else if (doc[field] !== queryValue) {
-        return false;
-      }
-    }
-    
-    return true;
+  _rollbackMigration(state) {
+    this._holdWrites = false;
+    this._migrating = false;
+    this._restoreState(state);
   }
 
   /**
-   * Verifica si un valor cumple con los operadores especiales
-   * @param {any} value - Valor a verificar
-   * @param {Object} operators - Operadores de comparación
-   * @returns {boolean} - Si el valor cumple con los operadores
+   * Resultado de una migración; en las de prueba incluye las filas que no cumplen el esquema
    * @private
    */
-  _matchesOperators(value, operators) {
-    for (const op in operators) {
-      const opValue = operators[op];
-      
-      switch (op) {
-        case '$gt':
-          if (!(value > opValue)) return false;
-          break;
-        case '$gte':
-          if (!(value >= opValue)) return false;
-          break;
-        case '$lt':
-          if (!(value < opValue)) return false;
-          break;
-        case '$lte':
-          if (!(value <= opValue)) return false;
-          break;
-        case '$ne':
-          if (value === opValue) return false;
-          break;
-        case '$in':
-          if (!Array.isArray(opValue) || !opValue.includes(value)) return false;
-          break;
-        case '$nin':
-          if (!Array.isArray(opValue) || opValue.includes(value)) return false;
-          break;
-      }
+  _migrationResult(from, to, steps, options) {
+    const result = {
+      from,
+      to,
+      applied: steps.map(({ version, direction }) => ({ version, direction })),
+      dryRun: options.dryRun === true
+    };
+    
+    if (result.dryRun) {
+      result.failures = this._schemaFailures();
     }
     
-    return true;
+    return result;
   }
 
   /**
-   * Verifica las restricciones de unicidad
-   * @param {string} tableName - Nombre de la tabla
-   * @param {Object} data - Datos a verificar
-   * @returns {boolean} - Si los datos cumplen las restricciones
+   * Filas que no cumplen el esquema, las restricciones de unicidad o las claves foráneas
+   * de la configuración actual
+   * @returns {Array<Object>} - { table, id, errors: [{ field, rule, message }] }
    * @private
    */
-  _checkUniqueConstraints(tableName, data) {
-    const tableConfig = this.config.tables[tableName];
-    if (!tableConfig) return true;
+  _schemaFailures() {
+    const failures = [];
+    const foreignKeys = this._foreignKeys();
     
-    const uniqueConstraints = tableConfig.unique || [];
-    
-    for (const uniqueKey of uniqueConstraints) {
-      // Ignorar si el campo no tiene valor
-      if (data[uniqueKey] === undefined || data[uniqueKey] === null) {
-        continue;
-      }
+    for (const tableName in this.data) {
+      const tableConfig = this.config.tables[tableName] || {};
+      const primaryKey = tableConfig.primaryKey || 'id';
+      const seen = new Map((tableConfig.unique || []).map(uniqueKey => [uniqueKey, new Set()]));
       
-      // Verificar si ya existe
-      if (this.uniqueKeyMap[tableName] && 
-          this.uniqueKeyMap[tableName][uniqueKey] && 
-          this.uniqueKeyMap[tableName][uniqueKey].has(data[uniqueKey])) {
-        return false;
+      for (const row of this.data[tableName]) {
+        const errors = [];
+        
+        try {
+          this._validateDataAgainstSchema(tableName, row);
+        } catch (error) {
+          if (error.code !== 'E_VALIDATION') throw error;
+          errors.push(...error.errors);
+        }
+        
+        for (const [uniqueKey, values] of seen) {
+          const value = this._uniqueValue(row, uniqueKey);
+          if (value === undefined) continue;
+          if (values.has(value)) {
+            const field = this._indexName(uniqueKey);
+            errors.push({ field, rule: 'unique', message: `Valor duplicado en '${field}'` });
+          }
+          values.add(value);
+        }
+        
+        for (const foreignKey of foreignKeys) {
+          if (foreignKey.table !== tableName) continue;
+          const value = this._getPath(row, foreignKey.field);
+          const { references } = foreignKey;
+          if (value !== undefined && value !== null && this._findByValue(references.table, references.field, value).length === 0) {
+            errors.push({ field: foreignKey.field, rule: 'references', message: this._referenceError(foreignKey, value).message });
+          }
+        }
+        
+        if (errors.length > 0) {
+          failures.push({ table: tableName, id: row[primaryKey], errors });
+        }
       }
     }
     
-    return true;
+    return failures;
   }
 
   /**
-   * Verifica las restricciones de unicidad para actualización
+   * Ejecuta una consulta agregada
    * @param {string} tableName - Nombre de la tabla
-   * @param {Object} newData - Nuevos datos
-   * @param {Object} originalData - Datos originales
-   * @returns {boolean} - Si los datos cumplen las restricciones
+   * @param {Array} pipeline - Pipeline de agregación
+   * @returns {Array} - Resultados de la agregación
+   */
+  aggregate(tableName, pipeline) {
+    if (!this.data[tableName]) {
+      return [];
+    }
+    
+    return this._runPipeline(tableName, null, pipeline);
+  }
+
+  /**
+   * Ejecuta las etapas de un pipeline de agregación
+   * @param {string} tableName - Tabla de la que proceden los documentos
+   * @param {Array|null} docs - Documentos de entrada, o null para partir de la tabla completa
+   * @param {Array} pipeline - Pipeline de agregación
+   * @param {boolean} fromTable - Si los documentos de entrada son los de la tabla (y no copias)
+   * @returns {Array} - Resultados
    * @private
    */
-  _checkUniqueConstraintsForUpdate(tableName, newData, originalData) {
-    const tableConfig = this.config.tables[tableName];
-    if (!tableConfig) return true;
+  _runPipeline(tableName, docs, pipeline, fromTable = true) {
+    const stages = ['$match', '$project', '$addFields', '$group', '$sort', '$limit', '$skip', '$lookup', '$unwind', '$count', '$facet', '$bucket'];
+    let result = [...(docs || this.data[tableName] || [])];
     
-    const uniqueConstraints = tableConfig.unique || [];
+    // Mientras los documentos sean los de la tabla se pueden usar sus índices
+    let wholeTable = !docs && Boolean(this.data[tableName]);
     
-    for (const uniqueKey of uniqueConstraints) {
-      // Si el valor no cambió, está bien
-      if (newData[uniqueKey] === originalData[uniqueKey]) {
-        continue;
+    // Procesar cada etapa del pipeline
+    for (const stage of pipeline) {
+      for (const name in stage) {
+        if (!stages.includes(name)) {
+          throw new DataOrbitError(`Etapa de agregación desconocida: '${name}'`, 'E_QUERY');
+        }
       }
       
-      // Ignorar si el campo no tiene valor
-      if (newData[uniqueKey] === undefined || newData[uniqueKey] === null) {
-        continue;
+      // $match - filtrado similar a find()
+      if (stage.$match) {
+        if (wholeTable) {
+          result = this._findMatches(tableName, stage.$match);
+        } else {
+          const match = this._prepareQuery(tableName, stage.$match);
+          result = result.filter(doc => this._matchesQuery(doc, match));
+        }
       }
+      wholeTable = false;
       
-      // Verificar si ya existe
-      if (this.uniqueKeyMap[tableName] && 
-          this.uniqueKeyMap[tableName][uniqueKey] && 
-          this.uniqueKeyMap[tableName][uniqueKey].has(newData[uniqueKey])) {
-        return false;
+      // $facet recibe los documentos tal como llegan a la etapa
+      if (stage.$facet) {
+        const facets = {};
+        for (const name in stage.$facet) {
+          facets[name] = this._runPipeline(tableName, result, stage.$facet[name], fromTable);
+        }
+        result = [facets];
+      }
+      
+      if (!stage.$match && !stage.$sort && !stage.$limit && !stage.$skip) {
+        fromTable = false;
+      }
+      
+      // $lookup - unión con otra tabla
+      if (stage.$lookup) {
+        result = this._lookup(result, stage.$lookup);
+      }
+      
+      // $unwind - un documento por cada elemento de un array
+      if (stage.$unwind) {
+        result = this._unwind(result, stage.$unwind);
+      }
+      
+      // $project - selección de campos y campos calculados
+      if (stage.$project) {
+        result = this._projectStage(result, stage.$project);
+      }
+      
+      // $addFields - añade o sustituye campos calculados
+      if (stage.$addFields) {
+        result = result.map(doc => {
+          let extended = doc;
+          for (const field in stage.$addFields) {
+            extended = this._withPath(extended, field, this._evaluate(stage.$addFields[field], doc));
+          }
+          return extended;
+        });
+      }
+      
+      // $group - agrupación
+      if (stage.$group) {
+        const { _id: idExpression, ...accumulators } = stage.$group;
+        const groups = new Map();
+        
+        for (const doc of result) {
+          // Clave de grupo: cualquier expresión, incluido un objeto con varios campos. Sin `_id`
+          // o con `_id: null` se agrupa todo bajo '_all', como en versiones anteriores.
+          const groupKey = idExpression === undefined || idExpression === null
+            ? '_all'
+            : this._evaluate(idExpression, doc);
+          const keyString = this._stringify(groupKey === undefined ? null : groupKey);
+          
+          if (!groups.has(keyString)) {
+            groups.set(keyString, { _id: groupKey === undefined ? null : groupKey, docs: [] });
+          }
+          groups.get(keyString).docs.push(doc);
+        }
+        
+        result = Array.from(groups.values(), group => ({
+          _id: group._id,
+          ...this._applyAccumulators(group.docs, accumulators)
+        }));
+      }
+      
+      // $bucket - agrupación por intervalos
+      if (stage.$bucket) {
+        result = this._bucketStage(result, stage.$bucket);
+      }
+      
+      // $sort - ordenamiento
+      if (stage.$sort) {
+        const sortIndex = fromTable && this._sortIndexFor(tableName, stage.$sort);
+        if (sortIndex) {
+          result = this._orderByIndex(tableName, result, sortIndex, Object.values(stage.$sort)[0]);
+        } else {
+          this._sortDocuments(result, stage.$sort);
+        }
+      }
+      
+      // $limit - limitar resultados
+      if (stage.$limit) {
+        result = result.slice(0, stage.$limit);
+      }
+      
+      // $skip - saltar resultados
+      if (stage.$skip) {
+        result = result.slice(stage.$skip);
+      }
+      
+      // $count - número de documentos
+      if (stage.$count) {
+        result = result.length > 0 ? [{ [stage.$count]: result.length }] : [];
       }
     }
     
-    return true;
+    return result;
   }
 
   /**
-   * Actualiza los índices con un nuevo documento
-   * @param {string} tableName - Nombre de la tabla
-   * @param {Object} doc - Documento
-   * @param {number} docIndex - Índice del documento
+   * Etapa $project: incluye (1), excluye (0) o calcula campos a partir de expresiones
    * @private
    */
-  _updateIndexes(tableName, doc, docIndex) {
-    if (!this.indexes[tableName]) {
-      this.indexes[tableName] = {};
+  _projectStage(docs, projection) {
+    const fields = Object.keys(projection);
+    const isExclusion = value => value === 0 || value === false;
+    const excluded = fields.filter(field => isExclusion(projection[field]));
+    
+    // `_id: 0` es la única exclusión que se puede combinar con campos incluidos
+    const mixed = excluded.length !== fields.length && excluded.some(field => field !== '_id');
+    if (mixed) {
+      throw new DataOrbitError('Una proyección no puede mezclar campos incluidos y excluidos', 'E_QUERY');
     }
     
-    // Actualizar índices para cada campo indexado
-    for (const field in this.indexes[tableName]) {
-      if (doc[field] !== undefined) {
-        this.indexes[tableName][field][doc[field]] = docIndex;
-      }
+    // Proyección de exclusión
+    if (excluded.length > 0 && excluded.length === fields.length) {
+      return docs.map(doc => {
+        const projected = this._clone(doc);
+        for (const field of excluded) {
+          this._unsetPath(projected, field);
+        }
+        return projected;
+      });
     }
+    
+    return docs.map(doc => {
+      let projected = {};
+      for (const field of fields) {
+        const value = projection[field];
+        if (isExclusion(value)) continue;
+        
+        if (value === 1 || value === true) {
+          projected = this._mergeProjection(projected, this._pickPath(doc, field.split('.')));
+        } else {
+          projected = this._withPath(projected, field, this._evaluate(value, doc));
+        }
+      }
+      return projected;
+    });
   }
 
   /**
-   * Elimina un documento de los índices
-   * @param {string} tableName - Nombre de la tabla
-   * @param {Object} doc - Documento
+   * Etapa $bucket: agrupa los documentos en los intervalos [límite, siguiente límite)
+   * @param {Array} docs - Documentos de entrada
+   * @param {Object} spec - { groupBy, boundaries, default, output }
    * @private
    */
-  _removeFromIndexes(tableName, doc) {
-    if (!this.indexes[tableName]) return;
+  _bucketStage(docs, spec) {
+    const { groupBy, boundaries } = spec;
+    const output = spec.output || { count: { $sum: 1 } };
     
-    // Eliminar de cada índice
-    for (const field in this.indexes[tableName]) {
-      if (doc[field] !== undefined) {
-        delete this.indexes[tableName][field][doc[field]];
+    if (!Array.isArray(boundaries) || boundaries.length < 2) {
+      throw new DataOrbitError('$bucket requiere al menos dos límites en boundaries', 'E_QUERY');
+    }
+    for (let i = 1; i < boundaries.length; i++) {
+      if (this._compareValues(boundaries[i - 1], boundaries[i]) >= 0) {
+        throw new DataOrbitError('Los límites de $bucket deben estar en orden ascendente', 'E_QUERY');
+      }
+    }
+    
+    const buckets = boundaries.slice(0, -1).map(boundary => ({ _id: boundary, docs: [] }));
+    const fallback = { _id: spec.default, docs: [] };
+    
+    for (const doc of docs) {
+      const value = this._evaluate(groupBy, doc);
+      const position = buckets.findIndex((bucket, i) =>
+        this._compareOrdered(value, boundaries[i]) >= 0 && this._compareOrdered(value, boundaries[i + 1]) < 0
+      );
+      
+      if (position !== -1) {
+        buckets[position].docs.push(doc);
+      } else if (spec.default !== undefined) {
+        fallback.docs.push(doc);
+      } else {
+        throw new DataOrbitError(`El valor ${JSON.stringify(value)} no cae en ningún intervalo de $bucket y no hay default`, 'E_QUERY');
       }
     }
+    
+    return [...buckets, fallback]
+      .filter(bucket => bucket.docs.length > 0)
+      .map(bucket => ({ _id: bucket._id, ...this._applyAccumulators(bucket.docs, output) }));
   }
 
   /**
-   * Actualiza los mapas de claves únicas
-   * @param {string} tableName - Nombre de la tabla
-   * @param {Object} data - Datos a añadir
+   * Calcula los acumuladores de un grupo de documentos
+   * @param {Array} docs - Documentos del grupo
+   * @param {Object} accumulators - { campo: { $sum | $avg | $min | $max | $push | $first | $last | $addToSet | $count: expresión } }
+   * @returns {Object} - Valores calculados
    * @private
    */
-  _updateUniqueKeyMap(tableName, data) {
-    const tableConfig = this.config.tables[tableName];
-    if (!tableConfig) return;
-    
-    const uniqueConstraints = tableConfig.unique || [];
-    
-    // Inicializar si no existe
-    if (!this.uniqueKeyMap[tableName]) {
-      this.uniqueKeyMap[tableName] = {};
-    }
+  _applyAccumulators(docs, accumulators) {
+    const values = {};
     
-    // Añadir a cada Set de restricción única
-    for (const uniqueKey of uniqueConstraints) {
-      if (!this.uniqueKeyMap[tableName][uniqueKey]) {
-        this.uniqueKeyMap[tableName][uniqueKey] = new Set();
+    for (const field in accumulators) {
+      const accumulator = accumulators[field];
+      const ops = accumulator !== null && typeof accumulator === 'object' ? Object.keys(accumulator) : [];
+      if (ops.length !== 1) {
+        throw new DataOrbitError(`El acumulador de '${field}' debe tener un único operador`, 'E_QUERY');
       }
       
-      if (data[uniqueKey] !== undefined && data[uniqueKey] !== null) {
-        this.uniqueKeyMap[tableName][uniqueKey].add(data[uniqueKey]);
+      const op = ops[0];
+      const evaluated = () => docs.map(doc => this._evaluate(accumulator[op], doc));
+      const numbers = () => evaluated().filter(value => typeof value === 'number');
+      const present = () => evaluated().filter(value => value !== undefined && value !== null);
+      
+      switch (op) {
+        case '$sum':
+          values[field] = numbers().reduce((sum, value) => sum + value, 0);
+          break;
+        case '$avg': {
+          const list = numbers();
+          values[field] = list.length > 0 ? list.reduce((sum, value) => sum + value, 0) / list.length : null;
+          break;
+        }
+        case '$min':
+        case '$max': {
+          const sign = op === '$min' ? 1 : -1;
+          const list = present().sort((a, b) => this._compareValues(a, b) * sign);
+          values[field] = list.length > 0 ? list[0] : null;
+          break;
+        }
+        case '$push':
+          values[field] = evaluated();
+          break;
+        case '$addToSet': {
+          const unique = new Map();
+          for (const value of evaluated()) {
+            const key = this._stringify(value);
+            if (!unique.has(key)) unique.set(key, value);
+          }
+          values[field] = [...unique.values()];
+          break;
+        }
+        case '$first':
+          values[field] = docs.length > 0 ? this._evaluate(accumulator[op], docs[0]) : null;
+          break;
+        case '$last':
+          values[field] = docs.length > 0 ? this._evaluate(accumulator[op], docs[docs.length - 1]) : null;
+          break;
+        case '$count':
+          values[field] = docs.length;
+          break;
+        default:
+          throw new DataOrbitError(`Acumulador desconocido: '${op}'`, 'E_QUERY');
       }
     }
+    
+    return values;
   }
 
   /**
-   * Actualiza los mapas de claves únicas para actualización
-   * @param {string} tableName - Nombre de la tabla
-   * @param {Object} newData - Nuevos datos
-   * @param {Object} originalData - Datos originales
+   * Evalúa una expresión de agregación sobre un documento. Admite referencias a campos
+   * ('$campo.sub'), variables ('$$ROOT', '$$CURRENT', '$$NOW'), objetos cuyos valores son
+   * expresiones, y operadores ({ $add: [...] }).
+   * @param {any} expression - Expresión
+   * @param {Object} doc - Documento actual
+   * @returns {any} - Resultado
    * @private
    */
-  _updateUniqueKeyMapForUpdate(tableName, newData, originalData) {
-    const tableConfig = this.config.tables[tableName];
-    if (!tableConfig) return;
+  _evaluate(expression, doc) {
+    if (typeof expression === 'string' && expression.startsWith('$$')) {
+      const [name, ...rest] = expression.substring(2).split('.');
+      let value;
+      if (name === 'ROOT' || name === 'CURRENT') {
+        value = doc;
+      } else if (name === 'NOW') {
+        value = new Date();
+      } else {
+        throw new DataOrbitError(`Variable no definida: '$$${name}'`, 'E_QUERY');
+      }
+      return rest.length > 0 ? this._getPath(value, rest.join('.')) : value;
+    }
     
-    const uniqueConstraints = tableConfig.unique || [];
+    if (typeof expression === 'string' && expression.startsWith('$')) {
+      return this._getPath(doc, expression.substring(1));
+    }
     
-    for (const uniqueKey of uniqueConstraints) {
-      // Si el valor cambió, actualizar los sets
-      if (newData[uniqueKey] !== originalData[uniqueKey]) {
-        // Eliminar el valor antiguo
-        if (originalData[uniqueKey] !== undefined && originalData[uniqueKey] !== null) {
-          this.uniqueKeyMap[tableName][uniqueKey].delete(originalData[uniqueKey]);
-        }
-        
-        // Añadir el nuevo valor
-        if (newData[uniqueKey] !== undefined && newData[uniqueKey] !== null) {
-          this.uniqueKeyMap[tableName][uniqueKey].add(newData[uniqueKey]);
-        }
+    if (Array.isArray(expression)) {
+      return expression.map(element => this._evaluate(element, doc));
+    }
+    
+    if (expression === null || typeof expression !== 'object' || expression instanceof Date || expression instanceof RegExp) {
+      return expression;
+    }
+    
+    const keys = Object.keys(expression);
+    if (keys.length === 1 && keys[0].startsWith('$')) {
+      return this._evaluateOperator(keys[0], expression[keys[0]], doc);
+    }
+    
+    // Objeto literal con expresiones
+    const result = {};
+    for (const key of keys) {
+      if (key.startsWith('$')) {
+        throw new DataOrbitError(`Un objeto de expresión solo puede tener un operador: '${key}'`, 'E_QUERY');
       }
+      result[key] = this._evaluate(expression[key], doc);
     }
+    return result;
   }
 
   /**
-   * Elimina un documento de los mapas de claves únicas
-   * @param {string} tableName - Nombre de la tabla
-   * @param {Object} doc - Documento
+   * Evalúa un operador de expresión
    * @private
    */
-  _removeFromUniqueKeyMap(tableName, doc) {
-    const tableConfig = this.config.tables[tableName];
-    if (!tableConfig) return;
+  _evaluateOperator(op, args, doc) {
+    if (op === '$literal') {
+      return args;
+    }
     
-    const uniqueConstraints = tableConfig.unique || [];
+    // $cond admite también la forma { if, then, else }
+    if (op === '$cond' && args !== null && typeof args === 'object' && !Array.isArray(args)) {
+      args = [args.if, args.then, args.else];
+    }
     
-    for (const uniqueKey of uniqueConstraints) {
-      if (this.uniqueKeyMap[tableName] && 
-          this.uniqueKeyMap[tableName][uniqueKey] && 
-          doc[uniqueKey] !== undefined) {
-        this.uniqueKeyMap[tableName][uniqueKey].delete(doc[uniqueKey]);
+    if (op === '$cond') {
+      if (!Array.isArray(args) || args.length !== 3) {
+        throw new DataOrbitError('$cond requiere if, then y else', 'E_QUERY');
+      }
+      return this._evaluate(this._isTruthy(this._evaluate(args[0], doc)) ? args[1] : args[2], doc);
+    }
+    
+    if (op === '$dateToString') {
+      const date = this._toDate(this._evaluate(args.date, doc));
+      if (date === undefined || date === null) {
+        return args.onNull !== undefined ? this._evaluate(args.onNull, doc) : null;
+      }
+      if (!(date instanceof Date) || isNaN(date.getTime())) {
+        throw new DataOrbitError('$dateToString requiere una fecha', 'E_QUERY');
+      }
+      return this._formatDate(date, args.format || '%Y-%m-%dT%H:%M:%S.%LZ', args.timezone);
+    }
+    
+    const values = (Array.isArray(args) ? args : [args]).map(arg => this._evaluate(arg, doc));
+    const isMissing = value => value === undefined || value === null;
+    
+    switch (op) {
+      case '$add': {
+        if (values.some(isMissing)) return null;
+        const date = values.find(value => value instanceof Date);
+        const total = values.reduce((sum, value) => sum + (value instanceof Date ? value.getTime() : value), 0);
+        return date ? new Date(total) : total;
+      }
+      case '$subtract': {
+        if (values.some(isMissing)) return null;
+        const [a, b] = values;
+        if (a instanceof Date && b instanceof Date) return a.getTime() - b.getTime();
+        if (a instanceof Date) return new Date(a.getTime() - b);
+        return a - b;
       }
+      case '$multiply':
+        return values.some(isMissing) ? null : values.reduce((product, value) => product * value, 1);
+      case '$divide':
+        if (values.some(isMissing)) return null;
+        if (values[1] === 0) {
+          throw new DataOrbitError('$divide no admite la división por cero', 'E_QUERY');
+        }
+        return values[0] / values[1];
+      case '$mod':
+        return values.some(isMissing) ? null : values[0] % values[1];
+      case '$concat':
+        return values.some(isMissing) ? null : values.join('');
+      case '$toUpper':
+        return isMissing(values[0]) ? '' : String(values[0]).toUpperCase();
+      case '$toLower':
+        return isMissing(values[0]) ? '' : String(values[0]).toLowerCase();
+      case '$ifNull':
+        return values.find(value => !isMissing(value)) ?? null;
+      case '$size':
+        if (!Array.isArray(values[0])) {
+          throw new DataOrbitError('$size requiere un array', 'E_QUERY');
+        }
+        return values[0].length;
+      case '$eq':
+        return this._valuesEqual(values[0], values[1]);
+      case '$ne':
+        return !this._valuesEqual(values[0], values[1]);
+      case '$gt':
+        return this._compareValues(values[0], values[1]) > 0;
+      case '$gte':
+        return this._compareValues(values[0], values[1]) >= 0;
+      case '$lt':
+        return this._compareValues(values[0], values[1]) < 0;
+      case '$lte':
+        return this._compareValues(values[0], values[1]) <= 0;
+      case '$and':
+        return values.every(value => this._isTruthy(value));
+      case '$or':
+        return values.some(value => this._isTruthy(value));
+      case '$not':
+        return !this._isTruthy(values[0]);
+      default:
+        throw new DataOrbitError(`Operador de expresión desconocido: '${op}'`, 'E_QUERY');
     }
   }
 
   /**
-   * Ejecuta una transacción
-   * @param {Function} transactionFn - Función de transacción
-   * @returns {any} - Resultado de la transacción
+   * Verdad de un valor en las expresiones: undefined, null, false y 0 son falsos
+   * @private
    */
-  transaction(transactionFn) {
-    // Guardar estado actual
-    const currentState = JSON.stringify(this.data);
-    
-    try {
-      // Ejecutar transacción
-      const result = transactionFn(this);
-      
-      // Guardar cambios
-      this.saveDatabase();
-      
-      return result;
-    } catch (error) {
-      // Restaurar estado anterior en caso de error
-      this.data = JSON.parse(currentState);
-      
-      console.error('Error en transacción, rollback realizado:', error);
-      throw error;
+  _isTruthy(value) {
+    return value !== undefined && value !== null && value !== false && value !== 0;
+  }
+
+  /**
+   * Formatea una fecha para $dateToString (%Y, %m, %d, %H, %M, %S, %L, %j, %%)
+   * @param {Date} date - Fecha
+   * @param {string} format - Formato
+   * @param {string} timezone - 'UTC' o un desplazamiento como '+02:00' (por defecto UTC)
+   * @private
+   */
+  _formatDate(date, format, timezone = 'UTC') {
+    let offsetMinutes = 0;
+    if (timezone !== 'UTC' && timezone !== 'Z') {
+      const match = /^([+-])(\d{2}):?(\d{2})$/.exec(timezone);
+      if (!match) {
+        throw new DataOrbitError(`Zona horaria no soportada: '${timezone}'`, 'E_QUERY');
+      }
+      offsetMinutes = (match[1] === '-' ? -1 : 1) * (Number(match[2]) * 60 + Number(match[3]));
     }
+    
+    const local = new Date(date.getTime() + offsetMinutes * 60000);
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+    const startOfYear = Date.UTC(local.getUTCFullYear(), 0, 1);
+    
+    const parts = {
+      Y: pad(local.getUTCFullYear(), 4),
+      m: pad(local.getUTCMonth() + 1),
+      d: pad(local.getUTCDate()),
+      H: pad(local.getUTCHours()),
+      M: pad(local.getUTCMinutes()),
+      S: pad(local.getUTCSeconds()),
+      L: pad(local.getUTCMilliseconds(), 3),
+      j: pad(Math.floor((local.getTime() - startOfYear) / 86400000) + 1, 3),
+      '%': '%'
+    };
+    
+    return format.replace(/%([YmdHMSLj%])/g, (match, token) => parts[token]);
   }
 
   /**
-   * Ejecuta una consulta agregada
-   * @param {string} tableName - Nombre de la tabla
-   * @param {Array} pipeline - Pipeline de agregación
-   * @returns {Array} - Resultados de la agregación
+   * Etapa $lookup: añade a cada documento los de otra tabla cuyo foreignField coincide
+   * con su localField, usando el índice de la tabla externa si existe. Con `pipeline`
+   * los documentos unidos (o toda la tabla externa si no hay campos) pasan además por
+   * ese pipeline, en el que `$$variable` se sustituye por los valores definidos en `let`.
+   * @param {Array} docs - Documentos de entrada
+   * @param {Object} spec - { from, localField, foreignField, let, pipeline, as }
+   * @returns {Array} - Documentos con el campo `as`
+   * @private
    */
-  aggregate(tableName, pipeline) {
-    if (!this.data[tableName]) {
-      return [];
+  _lookup(docs, spec) {
+    const { from, localField, foreignField, as } = spec;
+    
+    if (typeof from !== 'string' || typeof as !== 'string') {
+      throw new DataOrbitError('$lookup requiere los campos from y as', 'E_QUERY');
     }
     
-    let result = [...this.data[tableName]];
+    const byFields = localField !== undefined || foreignField !== undefined;
+    if (byFields && (typeof localField !== 'string' || typeof foreignField !== 'string')) {
+      throw new DataOrbitError('$lookup requiere localField y foreignField juntos', 'E_QUERY');
+    }
+    if (!byFields && !Array.isArray(spec.pipeline)) {
+      throw new DataOrbitError('$lookup requiere localField y foreignField, o un pipeline', 'E_QUERY');
+    }
     
-    // Procesar cada etapa del pipeline
-    for (const stage of pipeline) {
-      // $match - filtrado similar a find()
-      if (stage.$match) {
-        result = result.filter(doc => this._matchesQuery(doc, stage.$match));
-      }
-      
-      // $project - selección de campos
-      if (stage.$project) {
-        result = result.map(doc => {
-          const projected = {};
-          for (const field in stage.$project) {
-            if (stage.$project[field] === 1) {
-              projected[field] = doc[field];
-            }
+    // Índice de la tabla externa; si no existe se construye uno temporal para esta etapa
+    let index = null;
+    if (byFields && this.data[from]) {
+      index = this.indexes[from]?.[foreignField];
+      if (!index) {
+        index = new HashIndex();
+        index.fields = [foreignField];
+        const primaryKey = this.config.tables[from]?.primaryKey || 'id';
+        for (const row of this.data[from]) {
+          for (const key of this._indexKeys(row, index)) {
+            index.add(key, row[primaryKey]);
           }
-          return projected;
-        });
+        }
       }
+    }
+    
+    return docs.map(doc => {
+      let joined = null;
       
-      // $group - agrupación
-      if (stage.$group) {
-        const groups = {};
-        const idField = stage.$group._id;
-        
-        result.forEach(doc => {
-          // Determinar clave de grupo
-          let groupKey;
-          if (typeof idField === 'string' && idField.startsWith('$')) {
-            // $group: { _id: "$campo" }
-            const fieldName = idField.substring(1);
-            groupKey = doc[fieldName];
-          } else {
-            // Grupo único
-            groupKey = '_all';
-          }
-          
-          // Convertir a string para usar como clave
-          const groupKeyStr = String(groupKey);
-          
-          // Inicializar grupo si no existe
-          if (!groups[groupKeyStr]) {
-            groups[groupKeyStr] = { _id: groupKey };
-            
-            // Inicializar acumuladores
-            for (const field in stage.$group) {
-              if (field !== '_id') {
-                const accumulator = stage.$group[field];
-                
-                if (accumulator.$sum) {
-                  groups[groupKeyStr][field] = 0;
-                } else if (accumulator.$avg) {
-                  groups[groupKeyStr][field] = { sum: 0, count: 0 };
-                } else if (accumulator.$min) {
-                  groups[groupKeyStr][field] = Infinity;
-                } else if (accumulator.$max) {
-                  groups[groupKeyStr][field] = -Infinity;
-                } else if (accumulator.$push) {
-                  groups[groupKeyStr][field] = [];
-                }
-              }
-            }
-          }
-          
-          // Actualizar acumuladores
-          for (const field in stage.$group) {
-            if (field !== '_id') {
-              const accumulator = stage.$group[field];
-              
-              if (accumulator.$sum) {
-                const valueField = accumulator.$sum;
-                if (valueField === 1) {
-                  groups[groupKeyStr][field] += 1;
-                } else if (typeof valueField === 'string' && valueField.startsWith('$')) {
-                  const fieldName = valueField.substring(1);
-                  groups[groupKeyStr][field] += (doc[fieldName] || 0);
-                }
-              } else if (accumulator.$avg) {
-                const valueField = accumulator.$avg;
-                if (typeof valueField === 'string' && valueField.startsWith('$')) {
-                  const fieldName = valueField.substring(1);
-                  groups[groupKeyStr][field].sum += (doc[fieldName] || 0);
-                  groups[groupKeyStr][field].count += 1;
-                }
-              } else if (accumulator.$min) {
-                const valueField = accumulator.$min;
-                if (typeof valueField === 'string' && valueField.startsWith('$')) {
-                  const fieldName = valueField.substring(1);
-                  groups[groupKeyStr][field] = Math.min(groups[groupKeyStr][field], doc[fieldName] || Infinity);
-                }
-              } else if (accumulator.$max) {
-                const valueField = accumulator.$max;
-                if (typeof valueField === 'string' && valueField.startsWith('$')) {
-                  const fieldName = valueField.substring(1);
-                  groups[groupKeyStr][field] = Math.max(groups[groupKeyStr][field], doc[fieldName] || -Infinity);
-                }
-              } else if (accumulator.$push) {
-                const valueField = accumulator.$push;
-                if (typeof valueField === 'string' && valueField.startsWith('$')) {
-                  const fieldName = valueField.substring(1);
-                  groups[groupKeyStr][field].push(doc[fieldName]);
-                }
-              }
-            }
-          }
-        });
-        
-        // Finalizar acumuladores
-        result = Object.values(groups).map(group => {
-          for (const field in stage.$group) {
-            if (field !== '_id') {
-              const accumulator = stage.$group[field];
-              
-              if (accumulator.$avg) {
-                group[field] = group[field].sum / (group[field].count || 1);
-              }
+      if (byFields) {
+        const ids = new Set();
+        if (index) {
+          for (const key of this._indexKeys(doc, { fields: [localField], type: 'hash' })) {
+            for (const id of index.get(key) || []) {
+              ids.add(id);
             }
           }
-          return group;
-        });
+        }
+        joined = Array.from(ids, id => this.documentMap[from].get(id)).filter(Boolean);
       }
       
-      // $sort - ordenamiento
-      if (stage.$sort) {
-        result.sort((a, b) => {
-          for (const field in stage.$sort) {
-            const dir = stage.$sort[field];
-            if (a[field] < b[field]) return -1 * dir;
-            if (a[field] > b[field]) return 1 * dir;
-          }
-          return 0;
-        });
+      if (Array.isArray(spec.pipeline)) {
+        const variables = {};
+        for (const name in spec.let || {}) {
+          const value = spec.let[name];
+          variables[name] = typeof value === 'string' && value.startsWith('$') ? this._getPath(doc, value.substring(1)) : value;
+        }
+        joined = this._runPipeline(from, joined, this._bindVariables(spec.pipeline, variables));
       }
       
-      // $limit - limitar resultados
-      if (stage.$limit) {
-        result = result.slice(0, stage.$limit);
+      return this._withPath(doc, as, joined);
+    });
+  }
+
+  /**
+   * Sustituye las referencias `$$variable` (o `$$variable.ruta`) de un pipeline por sus valores
+   * @private
+   */
+  _bindVariables(value, variables) {
+    if (typeof value === 'string' && value.startsWith('$$')) {
+      const [name, ...rest] = value.substring(2).split('.');
+      
+      // Las variables del sistema ($$ROOT, $$NOW, ...) se resuelven al evaluar
+      if (['ROOT', 'CURRENT', 'NOW'].includes(name)) {
+        return value;
       }
       
-      // $skip - saltar resultados
-      if (stage.$skip) {
-        result = result.slice(stage.$skip);
+      if (!(name in variables)) {
+        throw new DataOrbitError(`Variable no definida: '$$${name}'`, 'E_QUERY');
       }
+      return rest.length > 0 ? this._getPath(variables[name], rest.join('.')) : variables[name];
     }
     
-    return result;
+    if (Array.isArray(value)) {
+      return value.map(element => this._bindVariables(element, variables));
+    }
+    
+    if (value !== null && typeof value === 'object' && !(value instanceof RegExp) && !(value instanceof Date)) {
+      const bound = {};
+      for (const key in value) {
+        bound[key] = this._bindVariables(value[key], variables);
+      }
+      return bound;
+    }
+    
+    return value;
+  }
+
+  /**
+   * Etapa $unwind: genera un documento por cada elemento del array de la ruta
+   * @param {Array} docs - Documentos de entrada
+   * @param {string|Object} spec - '$ruta' o { path, includeArrayIndex, preserveNullAndEmptyArrays }
+   * @returns {Array} - Documentos resultantes
+   * @private
+   */
+  _unwind(docs, spec) {
+    const options = typeof spec === 'string' ? { path: spec } : spec;
+    if (typeof options.path !== 'string' || !options.path.startsWith('$')) {
+      throw new DataOrbitError("$unwind requiere una ruta que empiece por '$'", 'E_QUERY');
+    }
+    
+    const field = options.path.substring(1);
+    const withIndex = (doc, index) => options.includeArrayIndex
+      ? this._withPath(doc, options.includeArrayIndex, index)
+      : doc;
+    
+    return docs.flatMap(doc => {
+      const value = this._getPath(doc, field);
+      
+      if (Array.isArray(value) && value.length > 0) {
+        return value.map((element, index) => withIndex(this._withPath(doc, field, element), index));
+      }
+      
+      // Sin elementos: el documento se descarta salvo que se pida conservarlo
+      if (value === undefined || value === null || Array.isArray(value)) {
+        if (!options.preserveNullAndEmptyArrays) return [];
+        
+        const kept = Array.isArray(value) ? this._clone(doc) : doc;
+        if (Array.isArray(value)) this._unsetPath(kept, field);
+        return [withIndex(kept, null)];
+      }
+      
+      // Un valor que no es un array se trata como un array de un elemento
+      return [withIndex(doc, null)];
+    });
+  }
+
+  /**
+   * Ejecuta una consulta agregada (versión asíncrona)
+   * @param {string} tableName - Nombre de la tabla
+   * @param {Array} pipeline - Pipeline de agregación
+   * @returns {Promise<Array>} - Resultados de la agregación
+   */
+  async aggregateAsync(tableName, pipeline) {
+    return this.aggregate(tableName, pipeline);
   }
 
   /**
    * Crea un índice en un campo
    * @param {string} tableName - Nombre de la tabla
-   * @param {string} field - Campo a indexar
+   * @param {string|Array<string>} field - Campo a indexar, o lista de campos para un índice compuesto
+   * @param {Object} options - Opciones del índice
+   * @param {string} options.type - 'hash' (igualdad, por defecto) o 'sorted' (rangos, prefijos y ordenación)
    * @returns {boolean} - Éxito de la operación
    */
-  createIndex(tableName, field) {
+  createIndex(tableName, field, options = {}) {
     if (!this.data[tableName]) {
       return false;
     }
     
-    this._createIndex(tableName, field);
+    this._createIndex(tableName, field, options);
     
     return true;
   }
@@ -1197,15 +6900,16 @@ class DataOrbit {
   /**
    * Elimina un índice
    * @param {string} tableName - Nombre de la tabla
-   * @param {string} field - Campo indexado
+   * @param {string|Array<string>} field - Campo indexado, o lista de campos de un índice compuesto
    * @returns {boolean} - Éxito de la operación
    */
   dropIndex(tableName, field) {
-    if (!this.indexes[tableName] || !this.indexes[tableName][field]) {
+    const name = this._indexName(field);
+    if (!this.indexes[tableName] || !this.indexes[tableName][name]) {
       return false;
     }
     
-    delete this.indexes[tableName][field];
+    delete this.indexes[tableName][name];
     
     return true;
   }
@@ -1219,6 +6923,7 @@ class DataOrbit {
       tables: {},
       totalDocuments: 0,
       databaseSize: 0,
+      journalEntries: this._journalSize,
       indexes: {}
     };
     
@@ -1253,15 +6958,21 @@ class DataOrbit {
    * @returns {boolean} - Éxito de la operación
    */
   reset() {
+    if (this._needsLock()) {
+      return this._write(() => this.reset());
+    }
+    
     try {
       // Crear backup antes de reiniciar
       this.backup();
       
       // Reiniciar estado
+      Object.keys(this.data).forEach(tableName => this._touchTable(tableName));
       this.data = {};
       this.primaryKeyMap = {};
       this.uniqueKeyMap = {};
       this.indexes = {};
+      this.documentMap = {};
       
       // Guardar cambios
       this.saveDatabase();
@@ -1273,6 +6984,39 @@ class DataOrbit {
     }
   }
 
+  /**
+   * Reinicia completamente la base de datos (versión asíncrona)
+   * @returns {Promise<boolean>} - Éxito de la operación
+   */
+  async resetAsync() {
+    if (this._needsLockAsync()) {
+      return this._writeAsync(() => this.resetAsync());
+    }
+    
+    try {
+      // Crear backup antes de reiniciar
+      await this.backupAsync();
+      
+      // Reiniciar estado
+      Object.keys(this.data).forEach(tableName => this._touchTable(tableName));
+      this.data = {};
+      this.primaryKeyMap = {};
+      this.uniqueKeyMap = {};
+      this.indexes = {};
+      this.documentMap = {};
+      
+      // Guardar cambios
+      this._pendingEntries = [];
+      this._pendingBatches = [];
+      await this._enqueueIO(() => this.saveDatabaseAsync());
+      
+      return true;
+    } catch (error) {
+      console.error('Error al reiniciar la base de datos:', error);
+      return false;
+    }
+  }
+
   /**
    * Importa datos de un archivo JSON
    * @param {string} filePath - Ruta del archivo
@@ -1280,44 +7024,13 @@ class DataOrbit {
    * @returns {boolean} - Éxito de la operación
    */
   importFromJson(filePath, options = {}) {
+    if (this._needsLock()) {
+      return this._write(() => this.importFromJson(filePath, options));
+    }
+    
     try {
       const rawData = fs.readFileSync(filePath, 'utf8');
-      const importData = JSON.parse(rawData);
-      
-      // Determinar modo de importación
-      const mode = options.mode || 'merge'; // 'merge' o 'replace'
-      
-      if (mode === 'replace') {
-        // Reemplazar toda la base de datos
-        this.data = importData;
-      } else {
-        // Fusionar con datos existentes
-        for (const tableName in importData) {
-          if (!this.data[tableName]) {
-            this.data[tableName] = [];
-          }
-          
-          // Añadir documentos
-          importData[tableName].forEach(doc => {
-            // Verificar si ya existe un documento con la misma clave primaria
-            const primaryKey = this.config.tables[tableName]?.primaryKey || 'id';
-            const existingIndex = this.data[tableName].findIndex(item => item[primaryKey] === doc[primaryKey]);
-            
-            if (existingIndex === -1) {
-              // No existe, añadir
-              this.data[tableName].push(doc);
-            } else if (options.overwrite) {
-              // Existe y se debe sobreescribir
-              this.data[tableName][existingIndex] = doc;
-            }
-            // Si no se debe sobreescribir, ignorar
-          });
-        }
-      }
-      
-      // Reconstruir índices y mapas
-      this._initializeUniqueKeyMaps();
-      this._initializeIndexes();
+      this._importData(this._parse(rawData), options);
       
       // Guardar cambios
       this.saveDatabase();
@@ -1330,41 +7043,144 @@ class DataOrbit {
   }
 
   /**
-   * Exporta la base de datos a un archivo JSON
+   * Importa datos de un archivo JSON (versión asíncrona)
    * @param {string} filePath - Ruta del archivo
-   * @param {Object} options - Opciones de exportación
-   * @returns {boolean} - Éxito de la operación
+   * @param {Object} options - Opciones de importación
+   * @returns {Promise<boolean>} - Éxito de la operación
    */
-  exportToJson(filePath, options = {}) {
+  async importFromJsonAsync(filePath, options = {}) {
+    if (this._needsLockAsync()) {
+      return this._writeAsync(() => this.importFromJsonAsync(filePath, options));
+    }
+    
     try {
-      let exportData = this.data;
-      
-      // Exportar tablas específicas
-      if (options.tables && Array.isArray(options.tables)) {
-        exportData = {};
-        options.tables.forEach(tableName => {
-          if (this.data[tableName]) {
-            exportData[tableName] = this.data[tableName];
+      const rawData = await fs.promises.readFile(filePath, 'utf8');
+      this._importData(this._parse(rawData), options);
+      
+      // Guardar cambios
+      this._pendingEntries = [];
+      this._pendingBatches = [];
+      await this._enqueueIO(() => this.saveDatabaseAsync());
+      
+      return true;
+    } catch (error) {
+      console.error('Error al importar datos:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Incorpora en memoria los datos importados
+   * @private
+   */
+  _importData(importData, options) {
+    // Determinar modo de importación
+    const mode = options.mode || 'merge'; // 'merge' o 'replace'
+    
+    // Se construye el resultado aparte para no modificar nada si no es válido
+    const data = mode === 'replace' ? {} : { ...this.data };
+    
+    if (mode === 'replace') {
+      // Reemplazar toda la base de datos
+      for (const tableName in importData) {
+        // Los datos exportados traen ya cifrados los campos cifrados
+        data[tableName] = importData[tableName].map(doc => this._encryptFields(tableName, this._reviveDocument(tableName, doc), doc));
+      }
+    } else {
+      // Fusionar con datos existentes
+      for (const tableName in importData) {
+        const rows = [...(data[tableName] || [])];
+        const primaryKey = this.config.tables[tableName]?.primaryKey || 'id';
+        const positions = new Map(rows.map((row, index) => [row[primaryKey], index]));
+        
+        // Añadir documentos
+        importData[tableName].forEach(doc => {
+          doc = this._encryptFields(tableName, this._reviveDocument(tableName, doc), doc);
+          
+          // Verificar si ya existe un documento con la misma clave primaria
+          const existingIndex = positions.get(doc[primaryKey]);
+          
+          if (existingIndex === undefined) {
+            // No existe, añadir
+            positions.set(doc[primaryKey], rows.length);
+            rows.push(doc);
+          } else if (options.overwrite) {
+            // Existe y se debe sobreescribir
+            rows[existingIndex] = doc;
           }
+          // Si no se debe sobreescribir, ignorar
         });
-      }
-      
-      // Excluir metadatos si se solicita
-      if (options.excludeMetadata) {
-        exportData = JSON.parse(JSON.stringify(exportData));
         
-        for (const tableName in exportData) {
-          exportData[tableName] = exportData[tableName].map(doc => {
-            const cleaned = { ...doc };
-            delete cleaned._createdAt;
-            delete cleaned._updatedAt;
-            return cleaned;
-          });
+        data[tableName] = rows;
+      }
+    }
+    
+    // Verificar las restricciones de unicidad de las tablas importadas
+    for (const tableName in importData) {
+      for (const uniqueKey of this.config.tables[tableName]?.unique || []) {
+        const seen = new Set();
+        for (const row of data[tableName]) {
+          const value = this._uniqueValue(row, uniqueKey);
+          if (value === undefined) continue;
+          if (seen.has(value)) {
+            throw new Error(`Violación de restricción de unicidad en '${tableName}' (${this._indexName(uniqueKey)})`);
+          }
+          seen.add(value);
         }
       }
+    }
+    
+    // Verificar las claves foráneas de todas las tablas resultantes
+    for (const foreignKey of this._foreignKeys()) {
+      const { table, field, references } = foreignKey;
+      if (!data[table]) continue;
       
+      const targets = new Set((data[references.table] || []).map(row => this._getPath(row, references.field)));
+      for (const row of data[table]) {
+        const value = this._getPath(row, field);
+        if (value !== undefined && value !== null && !targets.has(value)) {
+          throw this._referenceError(foreignKey, value);
+        }
+      }
+    }
+    
+    for (const tableName of new Set([...Object.keys(this.data), ...Object.keys(data)])) {
+      this._touchTable(tableName);
+    }
+    this.data = data;
+    
+    // Reconstruir índices y mapas
+    this._initializeUniqueKeyMaps();
+    this._initializeIndexes();
+  }
+
+  /**
+   * Exporta la base de datos a un archivo JSON
+   * @param {string} filePath - Ruta del archivo
+   * @param {Object} options - Opciones de exportación
+   * @returns {boolean} - Éxito de la operación
+   */
+  exportToJson(filePath, options = {}) {
+    try {
       // Escribir a archivo
-      fs.writeFileSync(filePath, JSON.stringify(exportData, null, 2));
+      fs.writeFileSync(filePath, this._stringify(this._buildExport(options), 2));
+      
+      return true;
+    } catch (error) {
+      console.error('Error al exportar datos:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Exporta la base de datos a un archivo JSON (versión asíncrona)
+   * @param {string} filePath - Ruta del archivo
+   * @param {Object} options - Opciones de exportación
+   * @returns {Promise<boolean>} - Éxito de la operación
+   */
+  async exportToJsonAsync(filePath, options = {}) {
+    try {
+      await fs.promises.writeFile(filePath, this._stringify(this._buildExport(options), 2));
       
       return true;
     } catch (error) {
@@ -1372,10 +7188,45 @@ class DataOrbit {
       return false;
     }
   }
+
+  /**
+   * Prepara los datos a exportar según las opciones
+   * @private
+   */
+  _buildExport(options) {
+    let exportData = this.data;
+    
+    // Exportar tablas específicas
+    if (options.tables && Array.isArray(options.tables)) {
+      exportData = {};
+      options.tables.forEach(tableName => {
+        if (this.data[tableName]) {
+          exportData[tableName] = this.data[tableName];
+        }
+      });
+    }
+    
+    // Excluir metadatos si se solicita
+    if (options.excludeMetadata) {
+      exportData = this._clone(exportData);
+      
+      for (const tableName in exportData) {
+        exportData[tableName] = exportData[tableName].map(doc => {
+          const cleaned = { ...doc };
+          delete cleaned._createdAt;
+          delete cleaned._updatedAt;
+          return cleaned;
+        });
+      }
+    }
+    
+    return exportData;
+  }
 }
 
 // Exportar clase y tipos
 module.exports = {
   DataOrbit,
-  DataType
+  DataType,
+  DataOrbitError
 };
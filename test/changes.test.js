@@ -0,0 +1,148 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { createDb, quiet } = require('./helpers');
+
+const tables = { items: { primaryKey: 'id' } };
+
+/**
+ * Lotes entregados por watch() hasta el número de secuencia indicado
+ */
+async function collect(stream, lastSeq) {
+  const seqs = [];
+  for await (const { seq } of stream) {
+    seqs.push(seq);
+    if (seq >= lastSeq) break;
+  }
+  return seqs;
+}
+
+test('los lotes síncronos y asíncronos se guardan y se emiten en orden', async t => {
+  const { db, reopen } = createDb(t, { tables });
+  const stream = db.watch();
+  
+  // Una escritura síncrona mientras se guarda un lote de forma asíncrona
+  const appendFile = fs.promises.appendFile;
+  let interleaved = false;
+  t.mock.method(fs.promises, 'appendFile', async (file, ...args) => {
+    if (String(file).endsWith('.changes') && !interleaved) {
+      interleaved = true;
+      db.insert('items', { id: 2 });
+    }
+    return appendFile(file, ...args);
+  });
+  
+  await db.insertAsync('items', { id: 1 });
+  await db.flush();
+  assert.ok(interleaved);
+  
+  assert.deepStrictEqual(await collect(stream, 2), [1, 2]);
+  await db.close();
+  
+  const reopened = reopen();
+  const resumed = reopened.watch({ resumeAfter: 0 });
+  const records = [resumed.next(), resumed.next()];
+  assert.deepStrictEqual((await Promise.all(records)).map(({ value }) => value.changes[0].key), [1, 2]);
+  resumed.close();
+});
+
+test('un lote que no se puede guardar no consume número de secuencia', async t => {
+  quiet(t);
+  const { db } = createDb(t, { tables });
+  const changes = [];
+  const inserts = [];
+  db.on('change', record => changes.push(record.seq));
+  db.on('insert', ({ key }) => inserts.push(key));
+  
+  const appendFileSync = fs.appendFileSync;
+  t.mock.method(fs, 'appendFileSync', (file, ...args) => {
+    if (String(file).endsWith('.changes')) throw new Error('disco lleno');
+    return appendFileSync(file, ...args);
+  });
+  db.insert('items', { id: 1 });
+  t.mock.restoreAll();
+  
+  t.mock.method(fs.promises, 'appendFile', async file => {
+    if (String(file).endsWith('.changes')) throw new Error('disco lleno');
+  });
+  await db.insertAsync('items', { id: 2 });
+  t.mock.restoreAll();
+  
+  db.insert('items', { id: 3 });
+  assert.deepStrictEqual(inserts, [1, 2, 3]);
+  assert.deepStrictEqual(changes, [1]);
+  assert.deepStrictEqual(db.find('items').map(item => item.id), [1, 2, 3]);
+});
+
+test('watch() detecta los lotes que faltan en medio del registro', async t => {
+  quiet(t);
+  const { db, dir, reopen } = createDb(t, { tables });
+  db.insert('items', { id: 1 });
+  db.insert('items', { id: 2 });
+  db.insert('items', { id: 3 });
+  await db.close();
+  
+  const file = `${dir}/db.json.changes`;
+  const lines = fs.readFileSync(file, 'utf8').split('\n');
+  lines[1] = 'ilegible';
+  fs.writeFileSync(file, lines.join('\n'));
+  
+  const reopened = reopen();
+  assert.throws(() => reopened.watch({ resumeAfter: 0 }), { code: 'E_CHANGES' });
+  reopened.watch({ resumeAfter: 2 }).close();
+});
+
+test('el registro de cambios rota sin perder los lotes que conserva', async t => {
+  const { db, dir, reopen } = createDb(t, { tables, changes: { retain: 2 } });
+  db.insert('items', { id: 1 });
+  db.insert('items', { id: 2 });
+  db.insert('items', { id: 3 });
+  await db.insertAsync('items', { id: 4 });
+  await db.insertAsync('items', { id: 5 });
+  await db.close();
+  
+  assert.ok(fs.existsSync(`${dir}/db.json.changes.1`));
+  
+  const reopened = reopen({ changes: { retain: 2 } });
+  assert.throws(() => reopened.watch({ resumeAfter: 0 }), { code: 'E_CHANGES' });
+  const stream = reopened.watch({ resumeAfter: 2 });
+  reopened.insert('items', { id: 6 });
+  assert.deepStrictEqual(await collect(stream, 6), [3, 4, 5, 6]);
+});
+
+test('rekey() vuelve a cifrar el registro de cambios con la nueva clave', async t => {
+  const { db, reopen } = createDb(t, { tables });
+  db.insert('items', { id: 1 });
+  db.insert('items', { id: 2 });
+  db.rekey('clave', 'otra', { backups: false });
+  await db.close();
+  
+  const reopened = reopen({ encryptionKey: 'otra' });
+  assert.strictEqual(reopened._changeSeq, 2);
+  const resumed = reopened.watch({ resumeAfter: 0 });
+  const records = [resumed.next(), resumed.next()];
+  assert.deepStrictEqual((await Promise.all(records)).map(({ value }) => value.changes[0].key), [1, 2]);
+  resumed.close();
+});
+
+test('rekey() no sustituye ningún archivo si no puede escribir el registro de cambios', async t => {
+  quiet(t);
+  const { db, dir, reopen } = createDb(t, { tables });
+  db.insert('items', { id: 1 });
+  
+  const openSync = fs.openSync;
+  t.mock.method(fs, 'openSync', (file, ...args) => {
+    if (/\.changes\.\d+\.tmp$/.test(String(file))) throw new Error('disco lleno');
+    return openSync(file, ...args);
+  });
+  
+  assert.throws(() => db.rekey('clave', 'otra', { backups: false }), /disco lleno/);
+  t.mock.restoreAll();
+  await db.close();
+  
+  // Todo sigue cifrado con la clave anterior y no quedan temporales
+  const reopened = reopen();
+  assert.deepStrictEqual(reopened.find('items').map(item => item.id), [1]);
+  assert.strictEqual(reopened._changeSeq, 1);
+  assert.deepStrictEqual(fs.readdirSync(dir).filter(file => file.endsWith('.tmp')), []);
+});
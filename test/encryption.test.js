@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { createDb, tempDir, config, quiet } = require('./helpers');
+const { DataOrbit } = require('..');
+
+const tables = {
+  users: {
+    primaryKey: 'id',
+    schema: { secret: { type: 'Text', encrypted: true }, name: { type: 'Text' } }
+  }
+};
+
+test('un valor que parece cifrado se cifra igualmente', t => {
+  const { db, dir } = createDb(t, { tables });
+  const lookalike = 'enc1$00$00$AAAA';
+  
+  const inserted = db.insert('users', { secret: lookalike, name: 'a' });
+  assert.notStrictEqual(inserted.secret, lookalike);
+  assert.strictEqual(db.decryptFields('users', inserted).secret, lookalike);
+  assert.strictEqual(db.findOne('users', { secret: lookalike }).id, inserted.id);
+  
+  db.update('users', inserted.id, { secret: lookalike });
+  assert.strictEqual(db.decryptFields('users', db.findOne('users', { id: 1 })).secret, lookalike);
+  
+  // Los valores ya guardados no se vuelven a cifrar
+  db.update('users', inserted.id, { name: 'b' });
+  assert.strictEqual(db.findOne('users', { id: 1 }).secret, inserted.secret);
+  
+  const file = path.join(dir, 'export.json');
+  db.exportToJson(file);
+  db.importFromJson(file, { mode: 'replace' });
+  assert.strictEqual(db.decryptFields('users', db.findOne('users', { id: 1 })).secret, lookalike);
+});
+
+test('un campo cifrado de tipo Date se descifra como fecha', t => {
+  const tables = { events: { primaryKey: 'id', schema: { at: { type: 'Date', encrypted: true } } } };
+  const { db, reopen } = createDb(t, { tables });
+  const at = new Date('2024-05-01T10:00:00.000Z');
+  
+  db.insert('events', { at });
+  const decrypted = db.decryptFields('events', db.findOne('events', { at }));
+  assert.ok(decrypted.at instanceof Date);
+  assert.strictEqual(decrypted.at.getTime(), at.getTime());
+  assert.strictEqual(db.findOne('events', { at: at.toISOString() }).id, 1);
+  
+  const reopened = reopen();
+  assert.ok(reopened.decryptFields('events', reopened.findOne('events', { id: 1 })).at instanceof Date);
+});
+
+/**
+ * Cifra como las versiones anteriores: AES-256-CBC con la clave sacada del hash, sin sal
+ */
+function legacyCbc(data, encryptionKey) {
+  const key = crypto.createHash('sha256').update(encryptionKey).digest('base64').substr(0, 32);
+  const iv = crypto.randomBytes(16);
+  const cipher = crypto.createCipheriv('aes-256-cbc', Buffer.from(key), iv);
+  return `${iv.toString('hex')}:${cipher.update(data, 'utf8', 'hex')}${cipher.final('hex')}`;
+}
+
+/**
+ * Cifra como las primeras versiones: XOR con la clave
+ */
+function legacyXor(data, encryptionKey) {
+  let result = '';
+  for (let i = 0; i < data.length; i++) {
+    result += String.fromCharCode(data.charCodeAt(i) ^ encryptionKey.charCodeAt(i % encryptionKey.length));
+  }
+  return result;
+}
+
+const legacyData = JSON.stringify({ items: [{ id: 1, name: 'a' }] });
+
+for (const [format, encrypt] of [['AES-256-CBC', legacyCbc], ['XOR', legacyXor]]) {
+  test(`un archivo antiguo ${format} se lee y se actualiza al guardar`, t => {
+    const dir = tempDir(t);
+    const options = config(dir, { tables: { items: { primaryKey: 'id' } } });
+    fs.writeFileSync(options.file, encrypt(legacyData, 'clave'));
+    
+    const db = new DataOrbit(options);
+    assert.deepStrictEqual(db.find('items').map(item => item.name), ['a']);
+    assert.strictEqual(db.insert('items', { name: 'b' }).id, 2);
+    db.compact();
+    
+    const [header, payload] = fs.readFileSync(options.file, 'utf8').split('\n');
+    assert.ok(header.startsWith('DATAORBIT '));
+    assert.ok(payload.startsWith('v2$'));
+    assert.deepStrictEqual(new DataOrbit(options).find('items').map(item => item.name), ['a', 'b']);
+  });
+}
+
+test('un archivo antiguo AES-256-CBC con otra clave da un error de autenticación', t => {
+  quiet(t);
+  const dir = tempDir(t);
+  const options = config(dir);
+  fs.writeFileSync(options.file, legacyCbc(legacyData, 'otra'));
+  
+  assert.throws(() => new DataOrbit(options), { code: 'E_AUTH' });
+});
+
+test('una clave incorrecta o unos datos manipulados dan un error de autenticación', t => {
+  quiet(t);
+  const { db, reopen } = createDb(t);
+  db.insert('items', { id: 1 });
+  db.compact();
+  assert.throws(() => reopen({ encryptionKey: 'otra' }), { code: 'E_AUTH' });
+  
+  const encrypted = db.encryptData('hola', 'clave');
+  const parts = encrypted.split('$');
+  parts[6] = Buffer.from('adios').toString('base64');
+  assert.throws(() => db.decryptData(parts.join('$'), 'clave'), { code: 'E_AUTH' });
+  assert.strictEqual(db.decryptData(encrypted, 'clave'), 'hola');
+});
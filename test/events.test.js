@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createDb, quiet } = require('./helpers');
+
+test('modificar los documentos de un evento o de un hook no altera los datos', t => {
+  const tables = {
+    users: {
+      primaryKey: 'id',
+      unique: ['email'],
+      hooks: { afterInsert: doc => { doc.email = 'hook@x'; } }
+    }
+  };
+  const { db } = createDb(t, { tables });
+  db.createIndex('users', 'city');
+  db.on('insert', ({ newDoc }) => { newDoc.city = 'Vigo'; });
+  db.on('update', ({ oldDoc }) => { oldDoc.city = 'Ourense'; });
+  
+  db.insert('users', { email: 'a@x', city: 'Lugo' });
+  db.update('users', 1, { name: 'Ana' });
+  
+  const user = db.findOne('users', { id: 1 });
+  assert.strictEqual(user.email, 'a@x');
+  assert.strictEqual(user.city, 'Lugo');
+  assert.strictEqual(db.find('users', { city: 'Lugo' }).length, 1);
+  assert.deepStrictEqual(db.find('users', { city: 'Vigo' }), []);
+  assert.throws(() => db.insert('users', { email: 'a@x' }), /unicidad/);
+  assert.strictEqual(db.insert('users', { email: 'hook@x' }).email, 'hook@x');
+});
+
+test('un hook after que falla no impide emitir el evento', t => {
+  quiet(t);
+  const calls = [];
+  const tables = {
+    users: {
+      primaryKey: 'id',
+      hooks: { afterInsert: [() => { throw new Error('fallo'); }, () => calls.push('hook')] }
+    }
+  };
+  const { db } = createDb(t, { tables });
+  db.on('insert', () => calls.push('evento'));
+  
+  db.insert('users', { name: 'Ana' });
+  assert.deepStrictEqual(calls, ['hook', 'evento']);
+});
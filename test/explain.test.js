@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createDb } = require('./helpers');
+
+const tables = { users: { primaryKey: 'id', unique: ['email'] } };
+
+/**
+ * 40 usuarios: la mitad activos, con edades de 20 a 59
+ */
+function usersDb(t) {
+  const { db } = createDb(t, { tables });
+  db.insertMany('users', Array.from({ length: 40 }, (_, i) => ({
+    email: `u${i}@x`,
+    status: i % 2 === 0 ? 'activo' : 'baja',
+    age: 20 + i
+  })));
+  return db;
+}
+
+test('explain() describe un recorrido completo', t => {
+  const db = usersDb(t);
+  
+  const result = db.explain('users', { age: { $gte: 50 } }, { limit: 3 });
+  assert.strictEqual(result.table, 'users');
+  assert.deepStrictEqual(result.query, { age: { $gte: 50 } });
+  assert.deepStrictEqual(result.plan, { stage: 'COLLSCAN', index: null });
+  assert.deepStrictEqual(result.candidates, []);
+  assert.strictEqual(result.sort, null);
+  assert.strictEqual(result.docsExamined, 40);
+  assert.strictEqual(result.matched, 10);
+  assert.strictEqual(result.returned, 3);
+  assert.strictEqual(typeof result.executionTimeMs, 'number');
+  assert.ok(result.executionTimeMs >= 0);
+});
+
+test('explain() elige el índice que devuelve menos candidatos', t => {
+  const db = usersDb(t);
+  db.createIndex('users', 'status');
+  db.createIndex('users', 'age', { type: 'sorted' });
+  
+  const result = db.explain('users', { status: 'activo', age: { $gte: 55 } });
+  assert.deepStrictEqual(result.plan, { stage: 'IXSCAN', index: 'age', indexType: 'sorted' });
+  assert.deepStrictEqual(result.candidates, [
+    { stage: 'IXSCAN', index: 'status', indexType: 'hash', keys: 20, chosen: false },
+    { stage: 'IXSCAN', index: 'age', indexType: 'sorted', keys: 5, chosen: true }
+  ]);
+  assert.strictEqual(result.docsExamined, 5);
+  assert.strictEqual(result.matched, 2);
+  assert.strictEqual(result.returned, 2);
+  
+  // El índice único de email se crea con la tabla
+  assert.strictEqual(db.explain('users', { email: 'u3@x', status: 'baja' }).plan.index, 'email');
+});
+
+test('explain() describe las ramas de un $or y la ordenación', t => {
+  const db = usersDb(t);
+  db.createIndex('users', 'age', { type: 'sorted' });
+  
+  const or = db.explain('users', { $or: [{ email: 'u1@x' }, { age: { $lt: 22 } }] });
+  assert.deepStrictEqual(or.plan, {
+    stage: 'OR',
+    index: null,
+    branches: [
+      { stage: 'IXSCAN', index: 'email', indexType: 'hash' },
+      { stage: 'IXSCAN', index: 'age', indexType: 'sorted' }
+    ]
+  });
+  assert.strictEqual(or.docsExamined, 2);
+  assert.strictEqual(or.returned, 2);
+  
+  // Una rama sin índice obliga a recorrer la tabla
+  assert.strictEqual(db.explain('users', { $or: [{ email: 'u1@x' }, { status: 'baja' }] }).plan.stage, 'COLLSCAN');
+  
+  assert.strictEqual(db.explain('users', {}, { sort: { age: -1 } }).sort, 'index');
+  assert.strictEqual(db.explain('users', {}, { sort: { status: 1 } }).sort, 'memory');
+});
+
+test('explain() sobre una tabla inexistente no examina nada', t => {
+  const { db } = createDb(t);
+  
+  const result = db.explain('nada', { a: 1 });
+  assert.strictEqual(result.plan.stage, 'COLLSCAN');
+  assert.strictEqual(result.docsExamined, 0);
+  assert.strictEqual(result.returned, 0);
+});
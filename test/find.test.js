@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createDb } = require('./helpers');
+
+const tables = { users: { primaryKey: 'id' } };
+
+/**
+ * Base de datos con usuarios de varias edades, algunas repetidas
+ */
+function usersDb(t) {
+  const { db } = createDb(t, { tables });
+  db.insertMany('users', [
+    { name: 'ana', age: 30, password: 'a' },
+    { name: 'luis', age: 25, password: 'b' },
+    { name: 'eva', age: 30, password: 'c' },
+    { name: 'pablo', age: 40, password: 'd' },
+    { name: 'sara', age: 25, password: 'e' }
+  ]);
+  return db;
+}
+
+test('find() ordena, salta y limita los resultados', t => {
+  const db = usersDb(t);
+  const names = options => db.find('users', {}, options).map(user => user.name);
+  
+  // La clave primaria desempata entre edades iguales
+  assert.deepStrictEqual(names({ sort: { age: 1 } }), ['luis', 'sara', 'ana', 'eva', 'pablo']);
+  assert.deepStrictEqual(names({ sort: { age: -1 } }), ['pablo', 'ana', 'eva', 'luis', 'sara']);
+  assert.deepStrictEqual(names({ sort: { age: -1, name: -1 } }), ['pablo', 'eva', 'ana', 'sara', 'luis']);
+  assert.deepStrictEqual(names({ sort: { age: 1 }, skip: 1, limit: 2 }), ['sara', 'ana']);
+  assert.deepStrictEqual(names({ limit: 0 }), []);
+  assert.strictEqual(db.findOne('users', { age: 30 }, { sort: { name: -1 } }).name, 'eva');
+});
+
+test('find() proyecta por inclusión o por exclusión', t => {
+  const db = usersDb(t);
+  
+  assert.deepStrictEqual(db.find('users', { id: 1 }, { projection: { name: 1 } }), [{ id: 1, name: 'ana' }]);
+  const [user] = db.find('users', { id: 1 }, { projection: { password: 0 } });
+  assert.strictEqual(user.password, undefined);
+  assert.strictEqual(user.age, 30);
+  
+  // La proyección no modifica los documentos guardados
+  assert.strictEqual(db.findById('users', 1).password, 'a');
+});
+
+test('after pagina de forma estable aunque cambien los datos', t => {
+  const db = usersDb(t);
+  const options = { sort: { age: 1 }, limit: 2 };
+  
+  const first = db.find('users', {}, options);
+  assert.deepStrictEqual(first.map(user => user.name), ['luis', 'sara']);
+  
+  // Una inserción antes del punto de corte no repite ni salta documentos
+  db.insert('users', { name: 'bea', age: 20 });
+  const second = db.find('users', {}, { ...options, after: first[first.length - 1] });
+  assert.deepStrictEqual(second.map(user => user.name), ['ana', 'eva']);
+  
+  // También con la clave primaria del último documento
+  assert.deepStrictEqual(db.find('users', {}, { ...options, after: second[1].id }).map(user => user.name), ['pablo']);
+  assert.deepStrictEqual(db.find('users', {}, { limit: 2, after: 2 }).map(user => user.id), [3, 4]);
+  assert.throws(() => db.find('users', {}, { sort: { age: 1 }, after: 99 }), { code: 'E_QUERY' });
+});
+
+test('cursor() recorre los resultados bajo demanda con las mismas opciones', t => {
+  const db = usersDb(t);
+  
+  const cursor = db.cursor('users', { age: { $gte: 30 } });
+  assert.strictEqual(cursor.next().value.name, 'ana');
+  assert.deepStrictEqual(Array.from(cursor, user => user.name), ['eva', 'pablo']);
+  
+  const options = { sort: { age: -1 }, skip: 1, limit: 2, projection: { name: 1 } };
+  assert.deepStrictEqual(Array.from(db.cursor('users', {}, options)), db.find('users', {}, options));
+  assert.deepStrictEqual(Array.from(db.cursor('nada', {})), []);
+});
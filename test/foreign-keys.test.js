@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { createDb, quiet } = require('./helpers');
+
+const tables = {
+  users: { primaryKey: 'id' },
+  orders: {
+    primaryKey: 'id',
+    schema: { userId: { type: 'Number', references: { table: 'users', onDelete: 'cascade' } } }
+  },
+  notes: {
+    primaryKey: 'id',
+    schema: { orderId: { type: 'Number', references: { table: 'orders', onDelete: 'setNull' } } }
+  }
+};
+
+test('una eliminación en cascada cortada a mitad de escritura se descarta entera', t => {
+  quiet(t);
+  const { db, dir, reopen } = createDb(t, { tables });
+  db.insert('users', { id: 1 });
+  db.insertMany('orders', [{ id: 1, userId: 1 }, { id: 2, userId: 1 }]);
+  db.insert('notes', { id: 1, orderId: 2 });
+  db.compact();
+  
+  db.delete('users', 1);
+  const walPath = `${dir}/db.json.wal`;
+  const content = fs.readFileSync(walPath, 'utf8');
+  assert.strictEqual(content.trim().split('\n').length, 1);
+  
+  fs.writeFileSync(walPath, content.slice(0, content.length - 40));
+  const reopened = reopen();
+  assert.strictEqual(reopened.find('users').length, 1);
+  assert.strictEqual(reopened.find('orders').length, 2);
+  assert.strictEqual(reopened.findOne('notes', { id: 1 }).orderId, 2);
+});
+
+test('insert y update rechazan valores que no existen en la tabla referenciada', t => {
+  quiet(t);
+  const { db } = createDb(t, { tables });
+  db.insert('users', { id: 1 });
+  
+  assert.throws(() => db.insert('orders', { userId: 2 }), { code: 'E_FOREIGN_KEY' });
+  assert.throws(() => db.insertMany('orders', [{ userId: 1 }, { userId: 2 }]), { code: 'E_FOREIGN_KEY' });
+  assert.strictEqual(db.count('orders'), 0);
+  
+  db.insert('orders', { id: 1, userId: 1 });
+  db.insert('orders', { id: 2, userId: null });
+  assert.throws(() => db.update('orders', 1, { userId: 2 }), { code: 'E_FOREIGN_KEY' });
+  assert.throws(() => db.updateMany('orders', {}, { $set: { userId: 3 } }), { code: 'E_FOREIGN_KEY' });
+  
+  assert.deepStrictEqual(db.find('orders').map(order => order.userId), [1, null]);
+});
+
+test('update no permite cambiar un valor que otras filas referencian', t => {
+  const { db } = createDb(t, {
+    tables: {
+      users: { primaryKey: 'id', unique: ['code'] },
+      orders: { primaryKey: 'id', schema: { userCode: { type: 'Text', references: { table: 'users', field: 'code' } } } }
+    }
+  });
+  db.insertMany('users', [{ code: 'a' }, { code: 'b' }]);
+  db.insert('orders', { userCode: 'a' });
+  
+  assert.throws(() => db.update('users', 1, { code: 'c' }), { code: 'E_FOREIGN_KEY' });
+  db.update('users', 2, { code: 'c' });
+  assert.deepStrictEqual(db.find('users').map(user => user.code), ['a', 'c']);
+});
+
+test('onDelete decide qué pasa con las filas que referencian la eliminada', t => {
+  const { db, reopen } = createDb(t, {
+    tables: {
+      ...tables,
+      invoices: {
+        primaryKey: 'id',
+        schema: { orderId: { type: 'Number', references: { table: 'orders', onDelete: 'restrict' } } }
+      }
+    }
+  });
+  db.insertMany('users', [{ id: 1 }, { id: 2 }]);
+  db.insertMany('orders', [{ id: 1, userId: 1 }, { id: 2, userId: 1 }, { id: 3, userId: 2 }]);
+  db.insertMany('notes', [{ id: 1, orderId: 1 }, { id: 2, orderId: 3 }]);
+  db.insert('invoices', { id: 1, orderId: 3 });
+  
+  // restrict en el último eslabón de la cascada bloquea toda la eliminación
+  assert.throws(() => db.delete('users', 2), { code: 'E_FOREIGN_KEY' });
+  assert.strictEqual(db.count('orders'), 3);
+  assert.strictEqual(db.findById('notes', 2).orderId, 3);
+  
+  // cascade elimina los pedidos y setNull vacía las notas de esos pedidos
+  db.delete('users', 1);
+  for (const instance of [db, reopen()]) {
+    assert.deepStrictEqual(instance.find('users').map(user => user.id), [2]);
+    assert.deepStrictEqual(instance.find('orders').map(order => order.id), [3]);
+    assert.deepStrictEqual(instance.find('notes').map(note => note.orderId), [null, 3]);
+  }
+  
+  db.delete('invoices', 1);
+  assert.strictEqual(db.deleteMany('users', {}).deletedCount, 1);
+  assert.strictEqual(db.count('orders'), 0);
+  assert.deepStrictEqual(db.find('notes').map(note => note.orderId), [null, null]);
+});
+
+test('dropTable y importFromJson respetan las claves foráneas', t => {
+  quiet(t);
+  const { db } = createDb(t, { tables });
+  db.insert('users', { id: 1 });
+  db.insert('orders', { id: 1, userId: 1 });
+  db.insert('notes', { id: 1, orderId: 1 });
+  
+  const file = `${db.config.file}.import.json`;
+  fs.writeFileSync(file, JSON.stringify({ orders: [{ id: 2, userId: 7 }] }));
+  assert.strictEqual(db.importFromJson(file, { mode: 'merge' }), false);
+  assert.strictEqual(console.error.mock.calls.at(-1).arguments[1].code, 'E_FOREIGN_KEY');
+  assert.strictEqual(db.count('orders'), 1);
+  
+  // Al borrar la tabla de usuarios se borran sus pedidos en cascada
+  db.dropTable('users');
+  assert.strictEqual(db.count('orders'), 0);
+  assert.strictEqual(db.findById('notes', 1).orderId, null);
+});
@@ -0,0 +1,47 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DataOrbit } = require('..');
+
+/**
+ * Crea un directorio temporal que se elimina al terminar la prueba
+ * @param {Object} t - Contexto de node:test
+ * @returns {string} - Ruta del directorio
+ */
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dataorbit-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+/**
+ * Configuración de una base de datos en un directorio temporal
+ * @param {string} dir - Directorio de la base de datos
+ * @param {Object} config - Opciones adicionales
+ */
+function config(dir, config = {}) {
+  return { file: path.join(dir, 'db.json'), encryptionKey: 'clave', backups: [], ...config };
+}
+
+/**
+ * Abre una base de datos nueva en un directorio temporal
+ * @param {Object} t - Contexto de node:test
+ * @param {Object} options - Opciones adicionales de configuración
+ * @returns {{ db: DataOrbit, dir: string, reopen: Function }}
+ */
+function createDb(t, options = {}) {
+  const dir = tempDir(t);
+  const db = new DataOrbit(config(dir, options));
+  return { db, dir, reopen: (extra = {}) => new DataOrbit(config(dir, { ...options, ...extra })) };
+}
+
+/**
+ * Silencia console.log/warn/error durante las pruebas que provocan errores a propósito
+ */
+function quiet(t) {
+  for (const method of ['log', 'warn', 'error']) {
+    t.mock.method(console, method, () => {});
+  }
+}
+
+module.exports = { tempDir, config, createDb, quiet };
@@ -0,0 +1,224 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { createDb, quiet } = require('./helpers');
+
+const tables = { users: { primaryKey: 'id' } };
+
+/**
+ * Documentos de prueba con valores repetidos, arrays y campos ausentes
+ */
+function sampleUsers(count = 60) {
+  return Array.from({ length: count }, (_, i) => ({
+    status: ['activo', 'baja', 'pendiente'][i % 3],
+    city: i % 7 === 0 ? undefined : ['Lugo', 'Vigo', 'Ourense', 'Ferrol'][i % 4],
+    tags: i % 5 === 0 ? [] : [['a', 'b', 'c'][i % 3], ['x', 'y'][i % 2]],
+    age: 18 + (i * 7) % 50
+  }));
+}
+
+/**
+ * Dos bases de datos con los mismos documentos: una sin índices y otra con los indicados
+ */
+function twins(t, indexes, options = {}) {
+  const plain = createDb(t, { tables, ...options }).db;
+  const indexed = createDb(t, { tables, ...options }).db;
+  
+  for (const db of [plain, indexed]) {
+    db.insertMany('users', sampleUsers());
+  }
+  for (const [field, indexOptions] of indexes) {
+    indexed.createIndex('users', field, indexOptions);
+  }
+  
+  return { plain, indexed, both: fn => [plain, indexed].forEach(fn) };
+}
+
+/**
+ * Comprueba que una consulta devuelve lo mismo con y sin índices. Sin `sort` el orden no
+ * está garantizado, así que se comparan los conjuntos y, aparte, el resultado ordenado.
+ */
+function assertSameResults(plain, indexed, query, options = {}) {
+  const ids = (db, options) => db.find('users', query, options).map(user => user.id);
+  const sorted = db => ids(db, {}).sort((a, b) => a - b);
+  assert.deepStrictEqual(sorted(indexed), sorted(plain), JSON.stringify(query));
+  assert.deepStrictEqual(ids(indexed, { sort: { age: -1 }, ...options }), ids(plain, { sort: { age: -1 }, ...options }));
+  assert.strictEqual(indexed.count('users', query), plain.count('users', query));
+  assert.strictEqual(indexed.findOne('users', query, { sort: { id: 1 } })?.id, plain.findOne('users', query, { sort: { id: 1 } })?.id);
+}
+
+const equalityQueries = [
+  { status: 'activo' },
+  { status: { $eq: 'baja' } },
+  { status: { $in: ['baja', 'pendiente'] } },
+  { city: 'Vigo' },
+  { city: null },
+  { tags: 'a' },
+  { tags: { $in: ['b', 'y'] } },
+  { status: 'activo', city: 'Lugo' },
+  { status: 'activo', tags: 'x', age: { $gt: 30 } },
+  { $or: [{ status: 'baja' }, { city: 'Ferrol' }] },
+  { status: 'inexistente' }
+];
+
+test('un índice devuelve todos los documentos con el mismo valor', t => {
+  const { plain, indexed } = twins(t, [['status'], ['city'], ['tags']]);
+  
+  for (const query of equalityQueries) {
+    assertSameResults(plain, indexed, query);
+  }
+  assert.strictEqual(indexed.find('users', { status: 'activo' }).length, 20);
+  assert.strictEqual(indexed.explain('users', { status: 'activo', city: 'Lugo' }).plan.stage, 'IXSCAN');
+});
+
+test('los índices se mantienen al insertar, actualizar y eliminar', t => {
+  const { plain, indexed, both } = twins(t, [['status'], ['city'], ['tags']]);
+  
+  both(db => {
+    db.update('users', 4, { status: 'baja', tags: ['z'] });
+    db.updateMany('users', { city: 'Lugo' }, { $set: { city: 'Vigo' } });
+    db.delete('users', 1);
+    db.deleteMany('users', { status: 'pendiente', age: { $lt: 40 } });
+    db.insert('users', { status: 'activo', city: 'Lugo', tags: ['a'] });
+  });
+  
+  for (const query of [...equalityQueries, { tags: 'z' }]) {
+    assertSameResults(plain, indexed, query);
+  }
+  
+  // Las posiciones no se desplazan al eliminar
+  const withoutDates = ({ _createdAt, _updatedAt, ...user }) => user;
+  for (const user of plain.find('users')) {
+    assert.deepStrictEqual(withoutDates(indexed.findById('users', user.id)), withoutDates(user));
+  }
+});
+
+test('los índices se reconstruyen al importar y restaurar', t => {
+  quiet(t);
+  const { plain, indexed, both } = twins(t, [['status'], ['tags']]);
+  const file = path.join(path.dirname(indexed.config.file), 'export.json');
+  indexed.exportToJson(file);
+  const backup = indexed.backup();
+  
+  both(db => db.deleteMany('users', { status: 'activo' }));
+  indexed.importFromJson(file, { mode: 'replace' });
+  assert.strictEqual(indexed.find('users', { status: 'activo' }).length, 20);
+  
+  both(db => db.deleteMany('users', { tags: 'a' }));
+  indexed.restore(backup);
+  assert.deepStrictEqual(
+    indexed.find('users', { tags: 'a' }).map(user => user.id),
+    sampleUsers().flatMap((user, i) => user.tags.includes('a') ? [i + 1] : [])
+  );
+  assert.strictEqual(indexed.explain('users', { tags: 'a' }).plan.index, 'tags');
+});
+
+const rangeQueries = [
+  { age: { $gt: 40 } },
+  { age: { $gte: 30, $lt: 45 } },
+  { age: { $lte: 18 } },
+  { age: { $gt: 100 } },
+  { age: { $gte: 30 }, status: 'baja' },
+  { city: { $regex: '^Vi' } },
+  { city: { $gte: 'Lugo', $lt: 'Vigo' } },
+  { $or: [{ age: { $lt: 20 } }, { age: { $gt: 60 } }] }
+];
+
+test('un índice ordenado resuelve rangos y prefijos igual que un recorrido completo', t => {
+  const { plain, indexed, both } = twins(t, [['age', { type: 'sorted' }], ['city', { type: 'sorted' }]]);
+  
+  for (const query of rangeQueries) {
+    assertSameResults(plain, indexed, query);
+  }
+  assert.strictEqual(indexed.explain('users', { age: { $gt: 40 } }).plan.indexType, 'sorted');
+  
+  both(db => {
+    db.updateMany('users', { age: { $lt: 25 } }, { $inc: { age: 50 } });
+    db.deleteMany('users', { age: { $gte: 60, $lt: 65 } });
+  });
+  for (const query of rangeQueries) {
+    assertSameResults(plain, indexed, query);
+  }
+});
+
+test('un índice ordenado sirve la ordenación de find, cursor y $sort', t => {
+  const { plain, indexed } = twins(t, [['age', { type: 'sorted' }]]);
+  
+  for (const sort of [{ age: 1 }, { age: -1 }]) {
+    const options = { sort, skip: 3, limit: 10 };
+    const expected = plain.find('users', {}, options).map(user => user.id);
+    assert.deepStrictEqual(indexed.find('users', {}, options).map(user => user.id), expected);
+    assert.deepStrictEqual(Array.from(indexed.cursor('users', {}, options), user => user.id), expected);
+    const sorted = db => db.aggregate('users', [{ $sort: sort }]).map(user => user.id);
+    assert.deepStrictEqual(sorted(indexed), sorted(plain));
+  }
+  assert.strictEqual(indexed.explain('users', {}, { sort: { age: 1 } }).sort, 'index');
+});
+
+test('un índice ordenado compara las fechas cronológicamente', t => {
+  const tables = { events: { primaryKey: 'id', schema: { at: { type: 'Date' } } } };
+  const { db } = createDb(t, { tables });
+  db.insertMany('events', [
+    { at: '2024-05-01T10:00:00+02:00' },
+    { at: '2024-05-01T09:00:00Z' },
+    { at: new Date('2024-04-30T23:00:00Z') }
+  ]);
+  const ids = (query, options) => db.find('events', query, options).map(event => event.id);
+  
+  const before = [ids({ at: { $gt: '2024-05-01T08:30:00Z' } }), ids({}, { sort: { at: 1 } })];
+  db.createIndex('events', 'at', { type: 'sorted' });
+  
+  assert.deepStrictEqual(ids({ at: { $gt: '2024-05-01T08:30:00Z' } }), [2]);
+  assert.deepStrictEqual(ids({ at: { $lt: new Date('2024-05-01T09:00:00Z') } }, { sort: { at: 1 } }), [3, 1]);
+  assert.deepStrictEqual(ids({}, { sort: { at: 1 } }), [3, 1, 2]);
+  assert.deepStrictEqual([ids({ at: { $gt: '2024-05-01T08:30:00Z' } }), ids({}, { sort: { at: 1 } })], before);
+});
+
+test('un índice compuesto resuelve las consultas sobre un prefijo de sus campos', t => {
+  const { plain, indexed, both } = twins(t, [[['status', 'age']]]);
+  const queries = [
+    { status: 'activo' },
+    { status: 'baja', age: 25 },
+    { status: 'baja', age: { $gte: 30, $lt: 50 } },
+    { status: { $in: ['activo', 'pendiente'] }, age: { $gt: 40 } },
+    { age: 25 }
+  ];
+  
+  for (const query of queries) {
+    assertSameResults(plain, indexed, query);
+  }
+  assert.strictEqual(indexed.explain('users', { status: 'baja', age: { $gte: 30 } }).plan.index, 'status,age');
+  assert.strictEqual(indexed.explain('users', { age: 25 }).plan.stage, 'COLLSCAN');
+  
+  both(db => {
+    db.updateMany('users', { status: 'baja' }, { $inc: { age: 1 } });
+    db.deleteMany('users', { status: 'activo', age: { $lt: 40 } });
+  });
+  for (const query of queries) {
+    assertSameResults(plain, indexed, query);
+  }
+});
+
+test('una restricción única compuesta se comprueba al insertar, actualizar e importar', t => {
+  quiet(t);
+  const { db } = createDb(t, { tables: { users: { primaryKey: 'id', unique: [['tenantId', 'email']] } } });
+  db.insert('users', { tenantId: 1, email: 'a@x' });
+  db.insert('users', { tenantId: 2, email: 'a@x' });
+  
+  assert.throws(() => db.insert('users', { tenantId: 1, email: 'a@x' }), /unicidad/);
+  assert.throws(() => db.update('users', 2, { tenantId: 1 }), /unicidad/);
+  
+  // Sin alguno de los campos no se comprueba
+  db.insert('users', { email: 'a@x' });
+  db.insert('users', { email: 'a@x' });
+  
+  const file = path.join(path.dirname(db.config.file), 'import.json');
+  fs.writeFileSync(file, JSON.stringify({ users: [{ id: 9, tenantId: 2, email: 'a@x' }] }));
+  assert.strictEqual(db.importFromJson(file, { mode: 'merge' }), false);
+  assert.match(console.error.mock.calls.at(-1).arguments[1].message, /unicidad/);
+  assert.strictEqual(db.count('users'), 4);
+  
+  db.update('users', 2, { email: 'b@x' });
+  db.insert('users', { tenantId: 2, email: 'a@x' });
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createDb } = require('./helpers');
+
+test('insertMany() rechaza una clave explícita que coincide con una automática del lote', t => {
+  const { db } = createDb(t, { tables: { users: { primaryKey: 'id' } } });
+  
+  assert.throws(() => db.insertMany('users', [{ a: 1 }, { id: 1, a: 2 }]), /duplicada/);
+  assert.deepStrictEqual(db.find('users'), []);
+  
+  const result = db.insertMany('users', [{ a: 1 }, { id: 5, a: 2 }, { a: 3 }]);
+  assert.deepStrictEqual(result.insertedIds, [1, 5, 2]);
+  assert.deepStrictEqual(db.find('users').map(user => user.id), [1, 5, 2]);
+});
+
+test('insertMany() guarda los valores por defecto que validó', t => {
+  let calls = 0;
+  const tables = {
+    codes: {
+      primaryKey: 'id',
+      unique: ['code'],
+      schema: { code: { type: 'string', default: () => `c${++calls}` } }
+    }
+  };
+  const { db } = createDb(t, { tables });
+  
+  db.insertMany('codes', [{}, {}]);
+  assert.strictEqual(calls, 2);
+  assert.deepStrictEqual(db.find('codes').map(doc => doc.code), ['c1', 'c2']);
+  assert.strictEqual(db.findOne('codes', { code: 'c2' }).id, 2);
+  
+  // El valor por defecto guardado se comprueba contra la restricción de unicidad
+  calls = 0;
+  assert.throws(() => db.insertMany('codes', [{}]), /unicidad/);
+  assert.strictEqual(db.find('codes').length, 2);
+});
+
+test('insert() rechazado no consume una clave primaria', t => {
+  const { db } = createDb(t, {
+    tables: {
+      users: { primaryKey: 'id', unique: ['email'] },
+      orders: { primaryKey: 'id', schema: { userId: { type: 'Number', references: { table: 'users' } } } }
+    }
+  });
+  
+  db.insert('users', { email: 'a@x' });
+  assert.throws(() => db.insert('users', { email: 'a@x' }), /unicidad/);
+  assert.strictEqual(db.insert('users', { email: 'b@x' }).id, 2);
+  
+  assert.throws(() => db.insert('orders', { userId: 9 }));
+  assert.strictEqual(db.insert('orders', { userId: 1 }).id, 1);
+});
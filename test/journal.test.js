@@ -0,0 +1,165 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { createDb, quiet } = require('./helpers');
+
+const tables = { items: { primaryKey: 'id' } };
+
+test('una escritura síncrona durante un compactAsync() no se pierde', async t => {
+  const { db, reopen } = createDb(t, { tables });
+  db.insert('items', { id: 1 });
+  
+  const compaction = db.compactAsync();
+  await new Promise(resolve => setImmediate(resolve));
+  db.insert('items', { id: 2 });
+  await compaction;
+  
+  assert.deepStrictEqual(reopen().find('items').map(item => item.id), [1, 2]);
+});
+
+test('una escritura síncrona durante un backupAsync() no se pierde', async t => {
+  quiet(t);
+  const { db, reopen } = createDb(t, { tables });
+  db.insert('items', { id: 1 });
+  
+  const backup = db.backupAsync();
+  await new Promise(resolve => setImmediate(resolve));
+  db.insert('items', { id: 2 });
+  await backup;
+  await db.close();
+  
+  assert.deepStrictEqual(reopen().find('items').map(item => item.id), [1, 2]);
+});
+
+test('rekeyAsync() se ejecuta en exclusiva', async t => {
+  quiet(t);
+  const { db, reopen } = createDb(t, { tables });
+  db.insert('items', { id: 1 });
+  
+  const rekey = db.rekeyAsync('clave', 'otra', { backups: false });
+  await new Promise(resolve => setImmediate(resolve));
+  assert.throws(() => db.insert('items', { id: 2 }), { code: 'E_TRANSACTION' });
+  const insert = db.insertAsync('items', { id: 3 });
+  await rekey;
+  await insert;
+  await db.close();
+  
+  assert.deepStrictEqual(reopen({ encryptionKey: 'otra' }).find('items').map(item => item.id), [1, 3]);
+});
+
+test('una operación del journal que ya contiene el snapshot no se vuelve a aplicar', t => {
+  const { db, dir, reopen } = createDb(t, { tables });
+  const walPath = `${dir}/db.json.wal`;
+  db.insert('items', { id: 1, value: 'a' });
+  db.compact();
+  
+  db.update('items', 1, { value: 'b' });
+  const staleLine = fs.readFileSync(walPath, 'utf8');
+  db.update('items', 1, { value: 'c' });
+  db.compact();
+  
+  // Una escritura asíncrona anterior al snapshot que llega al disco después de vaciar el journal
+  fs.appendFileSync(walPath, staleLine);
+  
+  assert.strictEqual(reopen().findById('items', 1).value, 'c');
+});
+
+test('las operaciones del journal se aplican en orden aunque estén desordenadas', t => {
+  const { db, dir, reopen } = createDb(t, { tables });
+  const walPath = `${dir}/db.json.wal`;
+  db.insert('items', { id: 1, value: 'a' });
+  db.compact();
+  
+  db.update('items', 1, { value: 'b' });
+  const first = fs.readFileSync(walPath, 'utf8');
+  db.update('items', 1, { value: 'c' });
+  const second = fs.readFileSync(walPath, 'utf8').slice(first.length);
+  fs.writeFileSync(walPath, second + first);
+  
+  assert.strictEqual(reopen().findById('items', 1).value, 'c');
+});
+
+test('las escrituras se añaden al journal sin reescribir el archivo y se reaplican al cargar', t => {
+  const { db, dir, reopen } = createDb(t, { tables });
+  const snapshot = fs.readFileSync(`${dir}/db.json`, 'utf8');
+  
+  db.insert('items', { id: 1, value: 'a' });
+  db.insert('items', { id: 2, value: 'b' });
+  db.update('items', 1, { value: 'c' });
+  db.delete('items', 2);
+  db.createTable('logs');
+  db.insert('logs', { id: 1 });
+  db.createTable('tmp');
+  db.dropTable('tmp');
+  
+  assert.strictEqual(fs.readFileSync(`${dir}/db.json`, 'utf8'), snapshot);
+  assert.strictEqual(fs.readFileSync(`${dir}/db.json.wal`, 'utf8').trim().split('\n').length, 8);
+  
+  const reopened = reopen();
+  assert.deepStrictEqual(reopened.find('items').map(item => [item.id, item.value]), [[1, 'c']]);
+  assert.strictEqual(reopened.find('logs').length, 1);
+  assert.strictEqual(reopened.data.tmp, undefined);
+});
+
+test('compact() vuelca el journal en el archivo principal', t => {
+  const { db, dir, reopen } = createDb(t, { tables });
+  db.insert('items', { id: 1 });
+  db.insert('items', { id: 2 });
+  
+  db.compact();
+  assert.strictEqual(fs.existsSync(`${dir}/db.json.wal`), false);
+  assert.deepStrictEqual(reopen().find('items').map(item => item.id), [1, 2]);
+  
+  // Las escrituras posteriores vuelven al journal
+  db.insert('items', { id: 3 });
+  assert.strictEqual(fs.readFileSync(`${dir}/db.json.wal`, 'utf8').trim().split('\n').length, 1);
+  assert.deepStrictEqual(reopen().find('items').map(item => item.id), [1, 2, 3]);
+});
+
+test('el journal se compacta al llegar a compactThreshold operaciones', t => {
+  const { db, dir, reopen } = createDb(t, { tables, journal: { compactThreshold: 3 } });
+  db.insert('items', { id: 1 });
+  db.insert('items', { id: 2 });
+  assert.ok(fs.existsSync(`${dir}/db.json.wal`));
+  
+  db.insert('items', { id: 3 });
+  assert.strictEqual(fs.existsSync(`${dir}/db.json.wal`), false);
+  assert.deepStrictEqual(reopen().find('items').map(item => item.id), [1, 2, 3]);
+});
+
+test('con journal: false cada escritura guarda el archivo completo', t => {
+  const { db, dir, reopen } = createDb(t, { tables, journal: false });
+  db.insert('items', { id: 1 });
+  
+  assert.strictEqual(fs.existsSync(`${dir}/db.json.wal`), false);
+  assert.deepStrictEqual(reopen().find('items').map(item => item.id), [1]);
+});
+
+test('una última operación incompleta del journal se descarta al cargar', t => {
+  quiet(t);
+  const { db, dir, reopen } = createDb(t, { tables });
+  const walPath = `${dir}/db.json.wal`;
+  db.insert('items', { id: 1 });
+  db.insert('items', { id: 2 });
+  
+  // Una escritura interrumpida deja media línea al final
+  const content = fs.readFileSync(walPath, 'utf8');
+  const lines = content.trim().split('\n');
+  fs.writeFileSync(walPath, `${lines[0]}\n${lines[1].slice(0, 20)}`);
+  
+  assert.deepStrictEqual(reopen().find('items').map(item => item.id), [1]);
+  assert.strictEqual(fs.readFileSync(walPath, 'utf8'), `${lines[0]}\n`);
+});
+
+test('una operación ilegible en medio del journal impide cargar la base de datos', t => {
+  quiet(t);
+  const { db, dir, reopen } = createDb(t, { tables });
+  const walPath = `${dir}/db.json.wal`;
+  db.insert('items', { id: 1 });
+  db.insert('items', { id: 2 });
+  
+  const lines = fs.readFileSync(walPath, 'utf8').trim().split('\n');
+  fs.writeFileSync(walPath, `${lines[0].slice(0, 20)}\n${lines[1]}\n`);
+  
+  assert.throws(() => reopen(), /Journal corrupto en la línea 1/);
+});
@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { DataOrbit } = require('..');
+const { tempDir, config } = require('./helpers');
+
+const tables = { items: { primaryKey: 'id' } };
+
+test('dos instancias con bloqueo sobre el mismo archivo no pierden escrituras', async t => {
+  const dir = tempDir(t);
+  const options = config(dir, { tables, lock: true });
+  const a = new DataOrbit(options);
+  const b = new DataOrbit(options);
+  const names = db => db.find('items').map(item => `${item.id}${item.name}`);
+  
+  a.insert('items', { name: 'a' });
+  b.insert('items', { name: 'b' });
+  a.insert('items', { name: 'a2' });
+  assert.deepStrictEqual(names(a), ['1a', '2b', '3a2']);
+  
+  b.compact();
+  a.insert('items', { name: 'a3' });
+  await a.insertAsync('items', { name: 'a4' });
+  b.insert('items', { name: 'b2' });
+  assert.deepStrictEqual(names(b), ['1a', '2b', '3a2', '4a3', '5a4', '6b2']);
+  
+  await a.close();
+  await b.close();
+  assert.deepStrictEqual(names(new DataOrbit(options)), ['1a', '2b', '3a2', '4a3', '5a4', '6b2']);
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createDb, quiet } = require('./helpers');
+
+const tables = { items: { primaryKey: 'id' } };
+
+test('migrateToAsync() hace esperar a las demás escrituras', async t => {
+  quiet(t);
+  const migrations = [{
+    version: 1,
+    up: async db => {
+      await new Promise(resolve => setImmediate(resolve));
+      await db.insertAsync('items', { id: 1 });
+    }
+  }];
+  const { db, reopen } = createDb(t, { tables, migrations, autoMigrate: false });
+  
+  const migration = db.migrateToAsync(1);
+  assert.throws(() => db.insert('items', { id: 2 }), { code: 'E_TRANSACTION' });
+  const insert = db.insertAsync('items', { id: 3 });
+  await migration;
+  await insert;
+  await db.close();
+  
+  const reopened = reopen();
+  assert.strictEqual(reopened.getSchemaVersion(), 1);
+  assert.deepStrictEqual(reopened.find('items').map(item => item.id), [1, 3]);
+});
+
+test('una escritura ajena no se descarta con el rollback de migrateToAsync()', async t => {
+  quiet(t);
+  let started;
+  const running = new Promise(resolve => { started = resolve; });
+  const migrations = [{
+    version: 1,
+    up: async () => {
+      started();
+      await new Promise(resolve => setImmediate(resolve));
+      throw new Error('fallo');
+    }
+  }];
+  const { db, reopen } = createDb(t, { tables, migrations, autoMigrate: false });
+  
+  const migration = db.migrateToAsync(1);
+  await running;
+  const insert = db.insertAsync('items', { id: 1 });
+  await assert.rejects(migration, /fallo/);
+  await insert;
+  await db.close();
+  
+  const reopened = reopen();
+  assert.strictEqual(reopened.getSchemaVersion(), 0);
+  assert.deepStrictEqual(reopened.find('items').map(item => item.id), [1]);
+});
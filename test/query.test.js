@@ -0,0 +1,164 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createDb } = require('./helpers');
+
+test('$regex con las opciones g o y no depende de búsquedas anteriores', t => {
+  const { db } = createDb(t, {
+    tables: { users: { primaryKey: 'id', schema: { code: { type: 'Text', pattern: /^[a-z]+$/g } } } }
+  });
+  db.insertMany('users', [{ name: 'ana', code: 'a' }, { name: 'anabel', code: 'b' }, { name: 'luis', code: 'c' }]);
+  
+  for (const regex of [/an/g, /an/y]) {
+    assert.deepStrictEqual(db.find('users', { name: { $regex: regex } }).map(user => user.name), ['ana', 'anabel']);
+    assert.deepStrictEqual(db.find('users', { name: { $regex: regex } }).map(user => user.name), ['ana', 'anabel']);
+  }
+  assert.strictEqual(db.find('users', { name: { $regex: 'an', $options: 'g' } }).length, 2);
+});
+
+test('$group sin _id o con _id: null agrupa todo bajo _all', t => {
+  const { db } = createDb(t, { tables: { orders: { primaryKey: 'id' } } });
+  db.insertMany('orders', [{ total: 10 }, { total: 5 }]);
+  
+  assert.deepStrictEqual(db.aggregate('orders', [{ $group: { total: { $sum: '$total' } } }]), [{ _id: '_all', total: 15 }]);
+  assert.deepStrictEqual(db.aggregate('orders', [{ $group: { _id: null, total: { $sum: '$total' } } }]), [{ _id: '_all', total: 15 }]);
+  assert.deepStrictEqual(db.aggregate('orders', [{ $group: { _id: 'total', total: { $sum: '$total' } } }]), [{ _id: 'total', total: 15 }]);
+});
+
+test('$project admite _id: 0 junto a campos incluidos', t => {
+  const { db } = createDb(t, { tables: { orders: { primaryKey: 'id' } } });
+  db.insertMany('orders', [{ cliente: 'a', total: 10 }, { cliente: 'a', total: 5 }]);
+  
+  const result = db.aggregate('orders', [
+    { $group: { _id: '$cliente', total: { $sum: '$total' } } },
+    { $project: { _id: 0, total: 1 } }
+  ]);
+  assert.deepStrictEqual(result, [{ total: 15 }]);
+  assert.throws(() => db.aggregate('orders', [{ $project: { cliente: 0, total: 1 } }]), { code: 'E_QUERY' });
+});
+
+test('las rutas con puntos funcionan en consultas, índices y arrays', t => {
+  const { db } = createDb(t, { tables: { orders: { primaryKey: 'id' } } });
+  db.insertMany('orders', [
+    { address: { city: 'Lugo' }, items: [{ sku: 'a', qty: 1 }, { sku: 'b', qty: 5 }] },
+    { address: { city: 'Vigo' }, items: [{ sku: 'b', qty: 2 }] },
+    { address: {}, items: [] }
+  ]);
+  const ids = query => db.find('orders', query).map(order => order.id);
+  
+  assert.deepStrictEqual(ids({ 'address.city': 'Lugo' }), [1]);
+  assert.deepStrictEqual(ids({ 'address.city': { $exists: false } }), [3]);
+  assert.deepStrictEqual(ids({ 'items.0.sku': 'b' }), [2]);
+  
+  // Basta con que cumpla la condición un elemento del array
+  assert.deepStrictEqual(ids({ 'items.sku': 'b' }), [1, 2]);
+  assert.deepStrictEqual(ids({ 'items.qty': { $gt: 4 } }), [1]);
+  
+  db.createIndex('orders', 'items.sku');
+  assert.deepStrictEqual(ids({ 'items.sku': 'b' }), [1, 2]);
+  assert.strictEqual(db.explain('orders', { 'items.sku': 'b' }).plan.index, 'items.sku');
+  
+  assert.deepStrictEqual(db.getAllColumns('orders', 'address.city'), ['Lugo', 'Vigo', undefined]);
+});
+
+test('las rutas con puntos funcionan en unique, el esquema, $project y $group', t => {
+  const { db } = createDb(t, {
+    tables: {
+      users: {
+        primaryKey: 'id',
+        unique: ['contact.email'],
+        schema: { contact: { type: 'Object', schema: { email: { type: 'Text', required: true } } } }
+      }
+    }
+  });
+  db.insert('users', { contact: { email: 'a@x' }, city: 'Lugo' });
+  db.insert('users', { contact: { email: 'b@x' }, city: 'Lugo' });
+  
+  assert.throws(() => db.insert('users', { contact: { email: 'a@x' } }), /unicidad/);
+  assert.throws(() => db.insert('users', { contact: {} }), error => {
+    assert.strictEqual(error.code, 'E_VALIDATION');
+    assert.strictEqual(error.errors[0].field, 'contact.email');
+    return true;
+  });
+  
+  assert.deepStrictEqual(
+    db.aggregate('users', [{ $project: { _id: 0, 'contact.email': 1 } }]).map(user => user.contact.email),
+    ['a@x', 'b@x']
+  );
+  assert.deepStrictEqual(
+    db.aggregate('users', [{ $group: { _id: '$city', emails: { $push: '$contact.email' } } }]),
+    [{ _id: 'Lugo', emails: ['a@x', 'b@x'] }]
+  );
+});
+
+/**
+ * Usuarios y pedidos para las pruebas de $lookup
+ */
+function shopDb(t) {
+  const { db } = createDb(t, { tables: { users: { primaryKey: 'id' }, orders: { primaryKey: 'id' } } });
+  db.insertMany('users', [{ name: 'ana' }, { name: 'luis' }, { name: 'eva' }]);
+  db.insertMany('orders', [
+    { userId: 1, total: 50 },
+    { userId: 1, total: 150 },
+    { userId: 2, total: 120 },
+    { userId: 9, total: 10 }
+  ]);
+  return db;
+}
+
+test('$lookup con localField y foreignField une los documentos de otra tabla', t => {
+  const db = shopDb(t);
+  
+  const users = db.aggregate('users', [
+    { $lookup: { from: 'orders', localField: 'id', foreignField: 'userId', as: 'orders' } },
+    { $project: { _id: 0, name: 1, totals: '$orders.total' } }
+  ]);
+  assert.deepStrictEqual(users, [
+    { name: 'ana', totals: [50, 150] },
+    { name: 'luis', totals: [120] },
+    { name: 'eva', totals: [] }
+  ]);
+  
+  // Sin índice en la tabla externa se usa uno temporal que no se conserva
+  assert.strictEqual(db.indexes.orders.userId, undefined);
+  db.createIndex('orders', 'userId');
+  assert.deepStrictEqual(db.aggregate('users', [
+    { $lookup: { from: 'orders', localField: 'id', foreignField: 'userId', as: 'orders' } },
+    { $project: { _id: 0, count: { $size: '$orders' } } }
+  ]), [{ count: 2 }, { count: 1 }, { count: 0 }]);
+});
+
+test('$lookup con pipeline usa las variables de let', t => {
+  const db = shopDb(t);
+  
+  const users = db.aggregate('users', [
+    { $lookup: {
+      from: 'orders',
+      let: { uid: '$id' },
+      pipeline: [{ $match: { userId: '$$uid', total: { $gte: 100 } } }, { $project: { _id: 0, total: 1 } }],
+      as: 'big'
+    } },
+    { $project: { _id: 0, name: 1, big: 1 } }
+  ]);
+  assert.deepStrictEqual(users, [
+    { name: 'ana', big: [{ total: 150 }] },
+    { name: 'luis', big: [{ total: 120 }] },
+    { name: 'eva', big: [] }
+  ]);
+});
+
+test('$unwind genera un documento por elemento', t => {
+  const db = shopDb(t);
+  const lookup = { $lookup: { from: 'users', localField: 'userId', foreignField: 'id', as: 'user' } };
+  
+  // Los pedidos sin usuario desaparecen salvo que se pida conservarlos
+  const names = unwind => db.aggregate('orders', [lookup, { $unwind: unwind }]).map(order => order.user?.name ?? null);
+  assert.deepStrictEqual(names('$user'), ['ana', 'ana', 'luis']);
+  assert.deepStrictEqual(names({ path: '$user', preserveNullAndEmptyArrays: true }), ['ana', 'ana', 'luis', null]);
+  
+  const result = db.aggregate('users', [
+    { $lookup: { from: 'orders', localField: 'id', foreignField: 'userId', as: 'orders' } },
+    { $unwind: { path: '$orders', includeArrayIndex: 'n' } },
+    { $group: { _id: '$name', total: { $sum: '$orders.total' }, last: { $max: '$n' } } }
+  ]);
+  assert.deepStrictEqual(result, [{ _id: 'ana', total: 200, last: 1 }, { _id: 'luis', total: 120, last: 0 }]);
+});
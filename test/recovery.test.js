@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { createDb, quiet } = require('./helpers');
+
+const tables = { items: { primaryKey: 'id' } };
+
+/**
+ * Cambia un carácter de los datos cifrados del archivo, después de la cabecera
+ */
+function damage(file) {
+  const content = fs.readFileSync(file, 'utf8');
+  const at = content.indexOf('\n') + 10;
+  fs.writeFileSync(file, content.slice(0, at) + (content[at] === 'A' ? 'B' : 'A') + content.slice(at + 1));
+}
+
+test('un archivo modificado no supera el checksum', t => {
+  quiet(t);
+  const { db, dir, reopen } = createDb(t, { tables });
+  db.insert('items', { id: 1 });
+  db.compact();
+  
+  damage(`${dir}/db.json`);
+  assert.throws(() => reopen(), { code: 'E_CORRUPT', message: /checksum/ });
+});
+
+test('un archivo truncado tras la cabecera se detecta', t => {
+  quiet(t);
+  const { dir, reopen } = createDb(t, { tables });
+  const content = fs.readFileSync(`${dir}/db.json`, 'utf8');
+  
+  fs.writeFileSync(`${dir}/db.json`, content.slice(0, content.indexOf('\n')));
+  assert.throws(() => reopen(), { code: 'E_CORRUPT', message: /truncado/ });
+});
+
+test('con recover se restaura el backup válido más reciente', t => {
+  quiet(t);
+  const { db, dir, reopen } = createDb(t, { tables });
+  db.insert('items', { id: 1 });
+  db.backup();
+  db.insert('items', { id: 2 });
+  db.compact();
+  
+  // Un backup posterior dañado se omite
+  fs.writeFileSync(`${dir}/backups/db_9999-01-01T00-00-00-000Z.json`, 'basura');
+  damage(`${dir}/db.json`);
+  
+  assert.deepStrictEqual(reopen({ recover: true }).find('items').map(item => item.id), [1]);
+  assert.strictEqual(fs.readdirSync(dir).filter(file => file.startsWith('db.json.corrupt-')).length, 1);
+  
+  // El archivo principal ya es el del backup
+  assert.deepStrictEqual(reopen().find('items').map(item => item.id), [1]);
+});
+
+test('sin recover, o sin backups válidos, un archivo dañado impide cargar', t => {
+  quiet(t);
+  const { db, dir, reopen } = createDb(t, { tables });
+  db.insert('items', { id: 1 });
+  db.compact();
+  damage(`${dir}/db.json`);
+  
+  assert.throws(() => reopen(), { code: 'E_CORRUPT' });
+  assert.throws(() => reopen({ recover: true }), { code: 'E_CORRUPT', message: /ningún backup válido/ });
+});
+
+test('un guardado que falla deja intacto el archivo anterior', t => {
+  quiet(t);
+  const { db, dir, reopen } = createDb(t, { tables });
+  db.insert('items', { id: 1 });
+  db.compact();
+  db.insert('items', { id: 2 });
+  const snapshot = fs.readFileSync(`${dir}/db.json`, 'utf8');
+  
+  t.mock.method(fs, 'fsyncSync', () => {
+    throw new Error('disco lleno');
+  });
+  assert.throws(() => db.compact(), /disco lleno/);
+  t.mock.restoreAll();
+  
+  // Ni el archivo ni el journal se han perdido
+  assert.strictEqual(fs.readFileSync(`${dir}/db.json`, 'utf8'), snapshot);
+  assert.deepStrictEqual(fs.readdirSync(dir).filter(file => file.endsWith('.tmp')), []);
+  assert.deepStrictEqual(reopen().find('items').map(item => item.id), [1, 2]);
+});
@@ -0,0 +1,170 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { createDb, quiet } = require('./helpers');
+
+const tables = { users: { primaryKey: 'id', unique: ['email'] } };
+
+test('el rollback restaura datos, índices, claves únicas y contadores', t => {
+  quiet(t);
+  const { db } = createDb(t, { tables });
+  db.createIndex('users', 'city');
+  db.insert('users', { email: 'a@x', city: 'Lugo' });
+  const nextKey = db.primaryKeyMap.users;
+  
+  assert.throws(() => db.transaction(tx => {
+    tx.insert('users', { email: 'b@x', city: 'Vigo' });
+    tx.update('users', 1, { city: 'Vigo' });
+    tx.createTable('logs');
+    tx.insert('users', { email: 'a@x' });
+  }), /unicidad/);
+  
+  assert.deepStrictEqual(db.find('users').map(user => user.city), ['Lugo']);
+  assert.deepStrictEqual(db.find('users', { city: 'Vigo' }), []);
+  assert.strictEqual(db.find('users', { city: 'Lugo' }).length, 1);
+  assert.strictEqual(db.data.logs, undefined);
+  assert.strictEqual(db.primaryKeyMap.users, nextKey);
+  
+  // El email de la fila descartada vuelve a estar libre
+  assert.strictEqual(db.insert('users', { email: 'b@x' }).id, nextKey);
+});
+
+test('el rollback solo copia las tablas que la transacción modifica', t => {
+  quiet(t);
+  const { db } = createDb(t, { tables: { ...tables, logs: {}, tags: {} } });
+  db.createIndex('logs', 'level');
+  db.insert('users', { email: 'a@x' });
+  db.insert('logs', { level: 'info' });
+  db.insert('tags', { name: 'x' });
+  const tags = db.data.tags;
+  
+  assert.throws(() => db.transaction(tx => {
+    tx.delete('users', 1);
+    tx.dropTable('logs');
+    tx.transaction(() => {
+      tx.insert('users', { email: 'b@x' });
+      tx.createTable('logs');
+      tx.insert('logs', { level: 'error' });
+    });
+    throw new Error('fallo');
+  }), /fallo/);
+  
+  // La tabla que no se tocó sigue siendo el mismo array
+  assert.strictEqual(db.data.tags, tags);
+  assert.deepStrictEqual(db.find('users').map(user => user.email), ['a@x']);
+  assert.strictEqual(db.find('logs', { level: 'info' }).length, 1);
+  assert.deepStrictEqual(db.find('logs', { level: 'error' }), []);
+  assert.throws(() => db.insert('users', { email: 'a@x' }), /unicidad/);
+  assert.deepStrictEqual(db._undoLog, []);
+});
+
+test('el rollback no deja escrituras en disco', t => {
+  quiet(t);
+  const { db, reopen } = createDb(t, { tables });
+  db.insert('users', { email: 'a@x' });
+  
+  assert.throws(() => db.transaction(tx => {
+    tx.insert('users', { email: 'b@x' });
+    throw new Error('fallo');
+  }), /fallo/);
+  
+  assert.deepStrictEqual(reopen().find('users').map(user => user.email), ['a@x']);
+});
+
+test('una transacción anidada es un punto de guardado', t => {
+  quiet(t);
+  const { db, reopen } = createDb(t, { tables });
+  
+  const result = db.transaction(tx => {
+    tx.insert('users', { email: 'a@x' });
+    assert.throws(() => tx.transaction(() => {
+      tx.insert('users', { email: 'b@x' });
+      throw new Error('interna');
+    }), /interna/);
+    tx.insert('users', { email: 'c@x' });
+    return 'ok';
+  });
+  
+  assert.strictEqual(result, 'ok');
+  assert.deepStrictEqual(db.find('users').map(user => user.email), ['a@x', 'c@x']);
+  assert.deepStrictEqual(db.find('users').map(user => user.id), [1, 2]);
+  assert.deepStrictEqual(reopen().find('users').map(user => user.email), ['a@x', 'c@x']);
+});
+
+test('una transacción se guarda en una sola línea del journal y se reaplica tras una caída', t => {
+  const { db, dir, reopen } = createDb(t, { tables });
+  
+  db.transaction(tx => {
+    tx.insert('users', { email: 'a@x' });
+    tx.insert('users', { email: 'b@x' });
+    tx.update('users', 1, { name: 'Ana' });
+  });
+  
+  const wal = fs.readFileSync(`${dir}/db.json.wal`, 'utf8').trim().split('\n');
+  assert.strictEqual(wal.length, 1);
+  
+  // Sin compactar, el archivo principal no contiene la transacción: la recupera el journal
+  const reopened = reopen();
+  assert.deepStrictEqual(reopened.find('users').map(user => user.name || user.email), ['Ana', 'b@x']);
+});
+
+test('una transacción cortada a mitad de escritura se descarta entera', t => {
+  quiet(t);
+  const { db, dir, reopen } = createDb(t, { tables });
+  db.insert('users', { email: 'a@x' });
+  db.transaction(tx => {
+    tx.insert('users', { email: 'b@x' });
+    tx.insert('users', { email: 'c@x' });
+  });
+  
+  const walPath = `${dir}/db.json.wal`;
+  const content = fs.readFileSync(walPath, 'utf8');
+  fs.writeFileSync(walPath, content.slice(0, content.length - 40));
+  
+  assert.deepStrictEqual(reopen().find('users').map(user => user.email), ['a@x']);
+});
+
+test('transaction() rechaza funciones asíncronas', t => {
+  quiet(t);
+  const { db } = createDb(t, { tables });
+  
+  assert.throws(() => db.transaction(async () => {}), { code: 'E_TRANSACTION' });
+});
+
+test('transactionAsync() hace esperar a las demás escrituras', async t => {
+  quiet(t);
+  const { db, reopen } = createDb(t, { tables });
+  const order = [];
+  
+  const transaction = db.transactionAsync(async tx => {
+    await tx.insertAsync('users', { email: 'a@x' });
+    await new Promise(resolve => setTimeout(resolve, 20));
+    await tx.insertAsync('users', { email: 'b@x' });
+    order.push('transacción');
+  });
+  const write = db.insertAsync('users', { email: 'c@x' }).then(() => order.push('escritura'));
+  
+  assert.throws(() => db.insert('users', { email: 'd@x' }), { code: 'E_TRANSACTION' });
+  
+  await Promise.all([transaction, write]);
+  await db.close();
+  
+  assert.deepStrictEqual(order, ['transacción', 'escritura']);
+  assert.deepStrictEqual(reopen().find('users').map(user => user.email), ['a@x', 'b@x', 'c@x']);
+});
+
+test('transactionAsync() deshace todo al fallar, también los puntos de guardado', async t => {
+  quiet(t);
+  const { db, reopen } = createDb(t, { tables });
+  await db.insertAsync('users', { email: 'a@x' });
+  
+  await assert.rejects(db.transactionAsync(async tx => {
+    await tx.insertAsync('users', { email: 'b@x' });
+    await tx.transactionAsync(async () => tx.insert('users', { email: 'c@x' }));
+    throw new Error('fallo');
+  }), /fallo/);
+  await db.close();
+  
+  assert.deepStrictEqual(db.find('users').map(user => user.email), ['a@x']);
+  assert.deepStrictEqual(reopen().find('users').map(user => user.email), ['a@x']);
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createDb } = require('./helpers');
+
+const tables = { posts: { primaryKey: 'id' } };
+
+test('update() aplica los operadores sobre rutas con puntos', t => {
+  const { db, reopen } = createDb(t, { tables });
+  db.insert('posts', { title: 'a', views: 2, price: 10, stats: { likes: 1 }, tags: ['x', 'y', 'x'], low: 5, high: 5 });
+  
+  db.update('posts', 1, {
+    $set: { 'meta.author': 'ana' },
+    $unset: { title: '' },
+    $inc: { views: 3, 'stats.likes': 1, 'stats.shares': 1 },
+    $mul: { price: 1.5 },
+    $min: { low: 3, high: 9 },
+    $max: { high: 7 },
+    $pull: { tags: 'x' },
+    $rename: { views: 'visits' },
+    $currentDate: { seenAt: true, seenTs: { $type: 'timestamp' } }
+  });
+  
+  const post = db.findById('posts', 1);
+  assert.strictEqual(post.title, undefined);
+  assert.strictEqual(post.views, undefined);
+  assert.strictEqual(post.visits, 5);
+  assert.deepStrictEqual(post.stats, { likes: 2, shares: 1 });
+  assert.strictEqual(post.meta.author, 'ana');
+  assert.strictEqual(post.price, 15);
+  assert.strictEqual(post.low, 3);
+  assert.strictEqual(post.high, 7);
+  assert.deepStrictEqual(post.tags, ['y']);
+  assert.ok(!isNaN(Date.parse(post.seenAt)));
+  assert.strictEqual(typeof post.seenTs, 'number');
+  
+  // Las operaciones se reaplican igual desde el journal
+  assert.deepStrictEqual(reopen().findById('posts', 1), post);
+});
+
+test('$push admite $each y $slice y $addToSet no repite valores', t => {
+  const { db } = createDb(t, { tables });
+  db.insert('posts', { tags: ['a'], log: [1, 2] });
+  
+  db.update('posts', 1, { $addToSet: { tags: { $each: ['a', 'b', 'b'] } } });
+  db.update('posts', 1, { $push: { log: { $each: [3, 4, 5], $slice: -3 }, 'extra.list': 'z' } });
+  db.update('posts', 1, { $pull: { log: { $gte: 5 } } });
+  
+  const post = db.findById('posts', 1);
+  assert.deepStrictEqual(post.tags, ['a', 'b']);
+  assert.deepStrictEqual(post.log, [3, 4]);
+  assert.deepStrictEqual(post.extra, { list: ['z'] });
+});
+
+test('los operadores no válidos no modifican el documento', t => {
+  const { db } = createDb(t, { tables });
+  db.insert('posts', { title: 'a', tags: 'x' });
+  
+  assert.throws(() => db.update('posts', 1, { $inc: { title: 1 } }), { code: 'E_UPDATE' });
+  assert.throws(() => db.update('posts', 1, { $push: { tags: 'y' } }), { code: 'E_UPDATE' });
+  assert.throws(() => db.update('posts', 1, { $foo: { title: 1 } }), { code: 'E_UPDATE' });
+  assert.throws(() => db.update('posts', 1, { $set: { title: 'b' }, views: 1 }), { code: 'E_UPDATE' });
+  assert.deepStrictEqual(db.findById('posts', 1).title, 'a');
+});
+
+test('el resultado de los operadores se valida contra el esquema y la unicidad', t => {
+  const { db } = createDb(t, {
+    tables: {
+      users: {
+        primaryKey: 'id',
+        unique: ['email'],
+        schema: { email: { type: 'Text' }, age: { type: 'Number', max: 120 } }
+      }
+    }
+  });
+  db.insert('users', { email: 'a@x', age: 119 });
+  db.insert('users', { email: 'b@x', age: 30 });
+  
+  assert.throws(() => db.update('users', 1, { $inc: { age: 5 } }), { code: 'E_VALIDATION' });
+  assert.throws(() => db.update('users', 2, { $set: { email: 'a@x' } }), /unicidad/);
+  assert.throws(() => db.update('users', 2, { $rename: { email: 'age' } }), { code: 'E_VALIDATION' });
+  
+  assert.deepStrictEqual(db.find('users').map(user => [user.email, user.age]), [['a@x', 119], ['b@x', 30]]);
+  assert.strictEqual(db.updateMany('users', {}, { $inc: { age: 1 } }).modifiedCount, 2);
+  assert.deepStrictEqual(db.find('users').map(user => user.age), [120, 31]);
+});